@@ -4,11 +4,17 @@ module.exports = {
     script : "./server.js",               // The script PM2 will run
     // instances: 2, // Removed for single instance mode
     // exec_mode: "cluster", // Removed for single instance mode
+    // With several instances and subscriptions enabled, set SUBSCRIPTION_DRIVER=sqlite (instances
+    // other than 0 refuse to start otherwise): every instance then runs the subscription
+    // scheduler and leases in the shared database keep each run to one instance.
     watch  : process.env.NODE_ENV !== 'production', // Watch only in non-production
     // watch_delay: 1000,                 // Optional: Delay between file change detection and restart
-    ignore_watch : ["node_modules", ".git", "*.log"], // Folders/files to ignore when watching
+    // data/ holds the file stores (match cache, jobs, history, sessions, subscriptions):
+    // they're written during requests, so watching it would restart the app after each one
+    ignore_watch : ["node_modules", ".git", "*.log", "data"], // Folders/files to ignore when watching
     max_memory_restart: '512M',          // Restart app if it exceeds 512MB memory usage
-    log_date_format: "YYYY-MM-DD HH:mm:ss Z", // Consistent log timestamp format
+    // No log_date_format: log lines are JSON objects with their own "time" (lib/logger.js),
+    // and a pm2 prefix would stop them from parsing.
     env: {                               // Default environment variables
        NODE_ENV: "development"           // Set default Node environment
        // PM2 automatically loads .env if it exists, no need to list vars here usually
@@ -0,0 +1,184 @@
+const { STATUS_CODES } = require('http');
+
+// --- API Error Codes ---
+// Stable, machine-readable codes for every error response. Each code has one
+// HTTP status, so routes decide the status by the code rather than by reading
+// the message. Errors thrown inside a conversion carry their code as
+// `err.errorCode` (see apiError()); upstream failures are classified where they
+// are caught (youtubeErrorCode(), destinationErrorCode()).
+//
+// Responses: the unversioned routes answer { error: "<message>", code, ... } and
+// /api/v1 wraps the same thing in an envelope (see errorEnvelope()):
+//   { success: false, error: { code, message, status, request_id, details? }, data? }
+// The unversioned routes also keep the statuses they answered with before the
+// codes existed (see errorStatus()).
+// Codes are part of the API contract: add new ones, never rename or reuse them.
+
+const ERROR_CODES = {
+    // Request problems
+    VALIDATION_FAILED: { status: 400, description: "The request body or parameters are invalid. `details.field_errors` lists each problem when the body failed its schema." },
+    UNSUPPORTED_SOURCE: { status: 400, description: "The source URL isn't a YouTube source this API can read (e.g. an auto-generated mix)." },
+    AUTH_REQUIRED: { status: 401, description: "No access token was sent (Authorization: Bearer ...)." },
+    SPOTIFY_TOKEN_EXPIRED: { status: 401, description: "Spotify rejected the access token: refresh it or log in again." },
+    DEEZER_TOKEN_EXPIRED: { status: 401, description: "Deezer rejected the access token: log in again." },
+    GOOGLE_AUTH_REQUIRED: { status: 401, description: "This source needs a Google login (X-Google-Token header)." },
+    GOOGLE_TOKEN_EXPIRED: { status: 401, description: "Google rejected the Google token (X-Google-Token): refresh it or log in again." },
+    FORBIDDEN: { status: 403, description: "The token is valid but may not do this." },
+    PLAYLIST_NOT_EDITABLE: { status: 403, description: "The target playlist is neither owned by the user nor collaborative." },
+    NOT_FOUND: { status: 404, description: "The resource (conversion, job, subscription, ...) doesn't exist." },
+    TARGET_PLAYLIST_NOT_FOUND: { status: 404, description: "The target playlist doesn't exist or can't be read." },
+    SOURCE_EMPTY: { status: 404, description: "The source has no items that could be read." },
+    NO_MATCHES: { status: 404, description: "None of the source's items were found on the destination service." },
+    CONFLICT: { status: 409, description: "The resource isn't in a state that allows this (e.g. a job that hasn't finished)." },
+    JOB_CANCELLED: { status: 410, description: "The job was cancelled, so it has no result." },
+    // Server and upstream problems
+    INTERNAL_ERROR: { status: 500, description: "Unexpected server error; quote `request_id` when reporting it." },
+    NOT_IMPLEMENTED: { status: 501, description: "Not available in this server's configuration." },
+    SOURCE_NOT_FOUND: { status: 502, description: "YouTube reports that the playlist or video doesn't exist (or is private)." },
+    SOURCE_PRIVATE: { status: 502, description: "YouTube refuses to list the playlist's items (private playlist)." },
+    YOUTUBE_QUOTA_EXCEEDED: { status: 502, description: "The server's YouTube API quota is used up for today." },
+    YOUTUBE_API_ERROR: { status: 502, description: "Any other YouTube API failure." },
+    SPOTIFY_API_ERROR: { status: 502, description: "Any other Spotify API failure." },
+    DEEZER_API_ERROR: { status: 502, description: "Any other Deezer API failure." },
+    UPSTREAM_ERROR: { status: 502, description: "An external service failed." },
+    SERVICE_UNAVAILABLE: { status: 503, description: "The feature is disabled on this server, or a dependency is down." },
+    SPOTIFY_RATE_LIMITED: { status: 503, description: "Spotify kept rate limiting after retries; try again later." },
+    DEEZER_RATE_LIMITED: { status: 503, description: "Deezer kept rate limiting after retries; try again later." }
+};
+
+// Used when a response names no code of its own
+const STATUS_FALLBACK_CODES = {
+    400: 'VALIDATION_FAILED',
+    401: 'AUTH_REQUIRED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'JOB_CANCELLED',
+    501: 'NOT_IMPLEMENTED',
+    502: 'UPSTREAM_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+const isErrorCode = (code) => Object.prototype.hasOwnProperty.call(ERROR_CODES, code);
+
+function statusFor(code) {
+    return ERROR_CODES[code].status;
+}
+
+function codeForStatus(status) {
+    return STATUS_FALLBACK_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'VALIDATION_FAILED');
+}
+
+/**
+ * An Error carrying a catalog code.
+ * @param {string} code Key of ERROR_CODES
+ * @param {string} message
+ * @returns {Error}
+ */
+function apiError(code, message) {
+    if (!isErrorCode(code)) throw new Error(`Unknown API error code '${code}'`);
+    const error = new Error(message);
+    error.errorCode = code;
+    return error;
+}
+
+// The code of a thrown error; uncoded errors are `fallback`
+function errorCodeOf(err, fallback = 'INTERNAL_ERROR') {
+    return err && isErrorCode(err.errorCode) ? err.errorCode : fallback;
+}
+
+/**
+ * HTTP status for a caught error. /api/v1 (routes/v1.js sets req.apiVersion)
+ * answers with the code's status; the unversioned aliases keep `legacyStatus`,
+ * mostly 502 when the message names an upstream service and 500 otherwise.
+ * @param {string} code
+ * @param {number} legacyStatus
+ * @param {?number} apiVersion
+ */
+function errorStatus(code, legacyStatus, apiVersion) {
+    return apiVersion ? statusFor(code) : legacyStatus;
+}
+
+// googleapis (gaxios) errors: status and reason from the YouTube error body
+function youtubeErrorCode(err) {
+    const status = err.response?.status;
+    const reason = err.response?.data?.error?.errors?.[0]?.reason;
+    if (status === 401) return 'GOOGLE_TOKEN_EXPIRED';
+    if (status === 404) return 'SOURCE_NOT_FOUND';
+    if (reason === 'quotaExceeded' || reason === 'dailyLimitExceeded') return 'YOUTUBE_QUOTA_EXCEEDED';
+    if (reason === 'playlistItemsNotAccessible') return 'SOURCE_PRIVATE';
+    return 'YOUTUBE_API_ERROR';
+}
+
+/**
+ * Code for a failed call to a destination service (lib/destinations.js)
+ * @param {string} destinationId 'spotify' | 'deezer'
+ * @param {?number} statusCode HTTP status the service answered with
+ */
+function destinationErrorCode(destinationId, statusCode) {
+    const prefix = String(destinationId).toUpperCase();
+    const code = statusCode === 401 ? `${prefix}_TOKEN_EXPIRED`
+        : statusCode === 429 ? `${prefix}_RATE_LIMITED`
+        : `${prefix}_API_ERROR`;
+    return isErrorCode(code) ? code : 'UPSTREAM_ERROR';
+}
+
+// --- Response Shapes ---
+
+/**
+ * /api/v1 envelope for an error response. `body` is what the route sent:
+ * { error, code?, data?, ...details } (other JSON bodies are kept as details).
+ */
+function errorEnvelope(status, body, requestId) {
+    const { error, code, data, ...details } = body && typeof body === 'object' ? body : {};
+    const message = typeof error === 'string' ? error : (details.reason || STATUS_CODES[status] || 'Error');
+    const envelope = {
+        success: false,
+        error: {
+            code: isErrorCode(code) ? code : codeForStatus(status),
+            message: message,
+            status: status,
+            request_id: requestId || null,
+            ...(Object.keys(details).length > 0 ? { details } : {})
+        }
+    };
+    if (data !== undefined) envelope.data = data;
+    return envelope;
+}
+
+/**
+ * Middleware that shapes JSON error responses (status >= 400) sent after it.
+ * Unversioned routes keep their body and gain `code`; with `envelope: true`
+ * (/api/v1) the body becomes errorEnvelope().
+ */
+function errorResponses({ envelope = false } = {}) {
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode < 400) return json(body);
+            if (envelope) {
+                // Already shaped (the error handler can run after a route's own reply failed)
+                if (body && body.success === false && body.error && typeof body.error === 'object') return json(body);
+                return json(errorEnvelope(res.statusCode, body, req.id));
+            }
+            if (body && typeof body.error === 'string' && !body.code) {
+                return json({ ...body, code: codeForStatus(res.statusCode) });
+            }
+            return json(body);
+        };
+        next();
+    };
+}
+
+module.exports = {
+    ERROR_CODES,
+    statusFor,
+    codeForStatus,
+    apiError,
+    errorCodeOf,
+    errorStatus,
+    youtubeErrorCode,
+    destinationErrorCode,
+    errorEnvelope,
+    errorResponses
+};
@@ -0,0 +1,429 @@
+const { ERROR_CODES } = require('./apiErrors');
+const { DESTINATION_IDS } = require('./destinations');
+const { SYNC_MODES } = require('./spotifyPlaylists');
+const { IMPORT_FORMATS } = require('./importParsers');
+const { EXPORT_FORMATS } = require('./exportFormats');
+const { DEDUPE_POLICIES, MAX_BATCH_PLAYLISTS, PLAYLIST_VISIBILITIES } = require('../routes/convert');
+
+// --- /api/v1 Description ---
+// One table of operations drives both routes/v1.js (request body validation,
+// see lib/schemaValidator.js) and the OpenAPI document served at
+// /api/v1/openapi.json. Paths are relative to /api/v1 in OpenAPI's `{param}`
+// form; `errors` lists the codes (lib/apiErrors.js) an operation can answer with.
+
+const API_VERSION = '1.0.0';
+
+// --- Request Body Schemas ---
+
+const playlistUrl = { type: 'string', minLength: 1, description: "YouTube playlist, album, video, shorts or channel link, or a playlist ID." };
+const matchThreshold = { type: 'number', minimum: 0, maximum: 1, description: "Minimum match score (server default when omitted)." };
+const target = { type: 'string', enum: DESTINATION_IDS, description: "Destination service; the bearer token must belong to it." };
+const targetPlaylist = { type: 'string', minLength: 1, description: "Existing playlist (ID, URL or URI) to update instead of creating one." };
+const syncMode = { type: 'string', enum: SYNC_MODES, description: "How target_playlist is updated." };
+const runAsJob = { type: 'boolean', description: "Run as a background job: answers 202 with the job to poll or stream." };
+const dedupe = { type: 'string', enum: DEDUPE_POLICIES, description: "Repeated matches: keep_all (not with target_playlist), uri (each track once) or isrc (each recording once)." };
+const refreshToken = { type: 'string', minLength: 1 };
+
+// Settings of created playlists (routes/convert.js checkPlaylistOptions)
+const playlistOptions = {
+    visibility: { type: 'string', enum: PLAYLIST_VISIBILITIES },
+    collaborative: { type: 'boolean', description: "Collaborative playlists are always private." },
+    description: { type: ['string', 'null'], description: "Template with {source_url}, {date} and {playlist_name}; '' or null for none." },
+    cover_image: { type: 'string', pattern: '^(source|none|https?://.+)$', description: "'source' (the YouTube thumbnail), 'none' or an image URL." }
+};
+
+const SCHEMAS = {
+    ConvertRequest: {
+        type: 'object',
+        required: ['playlist_url'],
+        additionalProperties: false,
+        properties: {
+            playlist_url: playlistUrl,
+            playlist_name: { type: 'string', minLength: 1 },
+            async: runAsJob,
+            match_threshold: matchThreshold,
+            target: target,
+            target_playlist: targetPlaylist,
+            sync_mode: syncMode,
+            dedupe: dedupe,
+            ...playlistOptions
+        }
+    },
+    BatchRequest: {
+        type: 'object',
+        required: ['playlists'],
+        additionalProperties: false,
+        properties: {
+            playlists: {
+                type: 'array',
+                minItems: 1,
+                maxItems: MAX_BATCH_PLAYLISTS,
+                items: {
+                    oneOf: [
+                        playlistUrl,
+                        {
+                            type: 'object',
+                            required: ['playlist_url'],
+                            additionalProperties: false,
+                            properties: {
+                                playlist_url: playlistUrl,
+                                playlist_name: { type: 'string', minLength: 1 },
+                                target_playlist: targetPlaylist,
+                                sync_mode: syncMode
+                            }
+                        }
+                    ]
+                }
+            },
+            match_threshold: matchThreshold,
+            share_cache: { type: 'boolean', description: "Share search results between the batch's playlists (default true)." },
+            async: runAsJob,
+            target: target,
+            dedupe: dedupe,
+            ...playlistOptions
+        }
+    },
+    PreviewRequest: {
+        type: 'object',
+        required: ['playlist_url'],
+        additionalProperties: false,
+        properties: {
+            playlist_url: playlistUrl,
+            match_threshold: matchThreshold,
+            target: target
+        }
+    },
+    CommitRequest: {
+        type: 'object',
+        required: ['track_uris'],
+        additionalProperties: false,
+        properties: {
+            track_uris: { type: 'array', minItems: 1, items: { type: 'string' }, description: "Track URIs of the target service, in order." },
+            playlist_name: { type: 'string', minLength: 1 },
+            playlist_url: { ...playlistUrl, description: "The previewed source: used for the description and the cover." },
+            target: target,
+            ...playlistOptions
+        }
+    },
+    RerunRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            sync_mode: syncMode,
+            match_threshold: matchThreshold,
+            async: runAsJob,
+            target: target,
+            dedupe: dedupe
+        }
+    },
+    ConvertToYoutubeRequest: {
+        type: 'object',
+        required: ['playlist_url'],
+        additionalProperties: false,
+        properties: {
+            playlist_url: { type: 'string', minLength: 1, description: "Spotify playlist URL, URI or ID." },
+            playlist_name: { type: 'string', minLength: 1 },
+            match_threshold: matchThreshold
+        }
+    },
+    RefreshRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            refresh_token: { ...refreshToken, description: "Required unless AUTH_MODE=session (the session cookie is used instead)." }
+        }
+    },
+    SubscriptionCreateRequest: {
+        type: 'object',
+        required: ['playlist_url', 'target_playlist', 'interval_minutes', 'refresh_token'],
+        additionalProperties: false,
+        properties: {
+            playlist_url: { type: 'string', minLength: 1, description: "YouTube playlist link or ID." },
+            target_playlist: { type: 'string', minLength: 1, description: "Spotify playlist (ID, URL or URI) to append to." },
+            interval_minutes: { type: 'integer', minimum: 1, maximum: 7 * 24 * 60, description: "At least SUBSCRIPTION_MIN_INTERVAL_MINUTES." },
+            refresh_token: refreshToken
+        }
+    },
+    SubscriptionResumeRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            refresh_token: { ...refreshToken, description: "Required when paused_reason is token_revoked." }
+        }
+    },
+    MatchCacheCorrection: {
+        type: 'object',
+        required: ['spotify_uri'],
+        additionalProperties: false,
+        properties: {
+            spotify_uri: { type: 'string', pattern: '^spotify:track:[A-Za-z0-9]{22}$' },
+            name: { type: 'string' },
+            artists: { type: 'array', items: { type: 'string' } },
+            corrected_by: { type: 'string' }
+        }
+    }
+};
+
+// --- Operations ---
+
+const CONVERT_AUTH_ERRORS = ['AUTH_REQUIRED', 'SPOTIFY_TOKEN_EXPIRED', 'DEEZER_TOKEN_EXPIRED'];
+const YOUTUBE_READ_ERRORS = [
+    'UNSUPPORTED_SOURCE', 'GOOGLE_AUTH_REQUIRED', 'GOOGLE_TOKEN_EXPIRED', 'SOURCE_NOT_FOUND', 'SOURCE_PRIVATE',
+    'YOUTUBE_QUOTA_EXCEEDED', 'YOUTUBE_API_ERROR'
+];
+const DESTINATION_WRITE_ERRORS = [
+    'PLAYLIST_NOT_EDITABLE', 'TARGET_PLAYLIST_NOT_FOUND', 'SPOTIFY_API_ERROR', 'DEEZER_API_ERROR',
+    'SPOTIFY_RATE_LIMITED', 'DEEZER_RATE_LIMITED'
+];
+const CONVERSION_ERRORS = [...CONVERT_AUTH_ERRORS, ...YOUTUBE_READ_ERRORS, 'SOURCE_EMPTY', 'NO_MATCHES', ...DESTINATION_WRITE_ERRORS];
+const HISTORY_ERRORS = [...CONVERT_AUTH_ERRORS, 'NOT_FOUND', 'SERVICE_UNAVAILABLE'];
+const SUBSCRIPTION_ERRORS = ['AUTH_REQUIRED', 'SPOTIFY_TOKEN_EXPIRED', 'NOT_IMPLEMENTED', 'SERVICE_UNAVAILABLE'];
+const ADMIN_ERRORS = ['AUTH_REQUIRED', 'SERVICE_UNAVAILABLE'];
+
+const targetQuery = { name: 'target', schema: target };
+const pageQuery = (defaultLimit, maxLimit) => [
+    { name: 'limit', schema: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit } },
+    { name: 'offset', schema: { type: 'integer', minimum: 0, default: 0 } }
+];
+
+const SPOTIFY_USER = ['bearer', 'session'];
+const CONVERT_SECURITY = ['bearer', 'session', 'google'];
+
+/**
+ * @typedef {object} Operation
+ * @property {string} method
+ * @property {string} path Relative to /api/v1, with {params}
+ * @property {string} summary
+ * @property {string} tag
+ * @property {string[]} [security] Keys of SECURITY_SCHEMES; any one of them is enough
+ * @property {string} [body] Key of SCHEMAS (validated before the route runs)
+ * @property {string} [rawBody] Content type of a body that isn't JSON
+ * @property {object[]} [query] { name, schema, required? }
+ * @property {object} success { status: description } of the success responses
+ * @property {string[]} errors Codes the operation can answer with
+ */
+const OPERATIONS = [
+    // Auth
+    { method: 'get', path: '/auth/status', tag: 'auth', summary: "Whether the Spotify token (or session) is logged in", security: SPOTIFY_USER,
+        success: { 200: "{ logged_in, user? }" }, errors: ['AUTH_REQUIRED'] },
+    { method: 'post', path: '/auth/refresh', tag: 'auth', summary: "Refresh a Spotify access token (or the session)", body: 'RefreshRequest',
+        success: { 200: "{ access_token, expires_in, refresh_token? }" }, errors: ['AUTH_REQUIRED'] },
+    { method: 'get', path: '/auth/login', tag: 'auth', summary: "Redirect to Spotify's consent screen",
+        query: [{ name: 'features', schema: { type: 'string' } }], success: { 302: "Redirect to Spotify." }, errors: [] },
+    { method: 'get', path: '/auth/google/login', tag: 'auth', summary: "Redirect to Google's consent screen",
+        success: { 302: "Redirect to Google." }, errors: ['SERVICE_UNAVAILABLE'] },
+    { method: 'get', path: '/auth/google/status', tag: 'auth', summary: "Whether the Google token (or session) is logged in", security: ['google', 'session'],
+        success: { 200: "{ logged_in, ... }" }, errors: ['AUTH_REQUIRED', 'SERVICE_UNAVAILABLE'] },
+    { method: 'post', path: '/auth/google/refresh', tag: 'auth', summary: "Refresh a Google access token (or the session)", body: 'RefreshRequest',
+        success: { 200: "{ access_token, expires_in, refresh_token? }" }, errors: ['AUTH_REQUIRED', 'SERVICE_UNAVAILABLE'] },
+    { method: 'post', path: '/auth/logout', tag: 'auth', summary: "End the session (session mode)",
+        success: { 200: "{ success, revoked }" }, errors: [] },
+
+    // Convert (YouTube -> Spotify/Deezer)
+    { method: 'post', path: '/convert', tag: 'convert', summary: "Convert a YouTube source into a playlist", security: CONVERT_SECURITY, body: 'ConvertRequest',
+        success: { 200: "The conversion report.", 202: "The queued job (async: true)." }, errors: CONVERSION_ERRORS },
+    { method: 'post', path: '/convert/batch', tag: 'convert', summary: "Convert several YouTube sources", security: CONVERT_SECURITY, body: 'BatchRequest',
+        success: { 200: "Totals and one result per playlist.", 202: "The queued job (async: true)." },
+        errors: [...CONVERT_AUTH_ERRORS, 'UNSUPPORTED_SOURCE', 'GOOGLE_AUTH_REQUIRED', 'UPSTREAM_ERROR'] },
+    { method: 'post', path: '/convert/import', tag: 'convert', summary: "Convert an uploaded playlist file", security: SPOTIFY_USER,
+        rawBody: 'text/plain',
+        query: [
+            { name: 'format', schema: { type: 'string', enum: IMPORT_FORMATS } },
+            { name: 'file_name', schema: { type: 'string' } },
+            { name: 'playlist_name', schema: { type: 'string' } },
+            { name: 'source_playlist', schema: { type: 'string' } },
+            { name: 'match_threshold', schema: matchThreshold },
+            targetQuery,
+            { name: 'target_playlist', schema: targetPlaylist },
+            { name: 'sync_mode', schema: syncMode },
+            { name: 'async', schema: runAsJob },
+            { name: 'dedupe', schema: dedupe }
+        ],
+        success: { 200: "The conversion report.", 202: "The queued job (async: true)." },
+        errors: [...CONVERT_AUTH_ERRORS, 'NO_MATCHES', ...DESTINATION_WRITE_ERRORS] },
+    { method: 'post', path: '/convert/preview', tag: 'convert', summary: "Match a source without creating anything", security: CONVERT_SECURITY, body: 'PreviewRequest',
+        success: { 200: "Every item with its candidates." }, errors: [...CONVERT_AUTH_ERRORS, ...YOUTUBE_READ_ERRORS, 'SOURCE_EMPTY'] },
+    { method: 'post', path: '/convert/commit', tag: 'convert', summary: "Create a playlist from a preview selection", security: CONVERT_SECURITY, body: 'CommitRequest',
+        success: { 200: "The created playlist." }, errors: [...CONVERT_AUTH_ERRORS, ...DESTINATION_WRITE_ERRORS, 'UPSTREAM_ERROR'] },
+    { method: 'get', path: '/convert/history', tag: 'history', summary: "Past conversions, newest first", security: SPOTIFY_USER,
+        query: [targetQuery, ...pageQuery(20, 100)], success: { 200: "{ total, limit, offset, entries }" }, errors: HISTORY_ERRORS },
+    { method: 'get', path: '/convert/history/{entryId}', tag: 'history', summary: "One conversion with its per-track outcomes", security: SPOTIFY_USER,
+        query: [targetQuery], success: { 200: "The history entry." }, errors: HISTORY_ERRORS },
+    { method: 'post', path: '/convert/history/{entryId}/rerun', tag: 'history', summary: "Convert the same source again", security: CONVERT_SECURITY, body: 'RerunRequest',
+        success: { 200: "The conversion report.", 202: "The queued job (async: true)." }, errors: [...HISTORY_ERRORS, ...CONVERSION_ERRORS] },
+    { method: 'post', path: '/convert/history/{entryId}/undo', tag: 'history', summary: "Undo a conversion", security: SPOTIFY_USER,
+        query: [targetQuery], success: { 200: "The entry with its undo outcome." },
+        errors: [...HISTORY_ERRORS, 'CONFLICT', 'SPOTIFY_API_ERROR', 'DEEZER_API_ERROR', 'UPSTREAM_ERROR'] },
+    { method: 'get', path: '/convert/jobs/{jobId}', tag: 'jobs', summary: "Job status and progress",
+        success: { 200: "The job." }, errors: ['NOT_FOUND'] },
+    { method: 'get', path: '/convert/jobs/{jobId}/result', tag: 'jobs', summary: "Result of a finished job (same status and body as the synchronous call)",
+        security: SPOTIFY_USER, query: [targetQuery],
+        success: { 200: "The conversion report." }, errors: ['NOT_FOUND', 'CONFLICT', 'JOB_CANCELLED', 'INTERNAL_ERROR', ...CONVERSION_ERRORS] },
+    { method: 'get', path: '/convert/jobs/{jobId}/export', tag: 'jobs', summary: "Downloadable report of a finished job", security: SPOTIFY_USER,
+        query: [{ name: 'format', schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'json' } }, targetQuery],
+        success: { 200: "The report file." }, errors: [...CONVERT_AUTH_ERRORS, 'VALIDATION_FAILED', 'NOT_FOUND', 'CONFLICT'] },
+    { method: 'get', path: '/convert/jobs/{jobId}/events', tag: 'jobs', summary: "Server-Sent Events progress stream",
+        success: { 200: "text/event-stream of progress and done events." }, errors: ['NOT_FOUND'] },
+    { method: 'delete', path: '/convert/jobs/{jobId}', tag: 'jobs', summary: "Cancel a queued or running job", security: SPOTIFY_USER,
+        query: [targetQuery], success: { 200: "The job." }, errors: [...CONVERT_AUTH_ERRORS, 'NOT_FOUND'] },
+
+    // Convert (Spotify -> YouTube)
+    { method: 'post', path: '/convert-to-youtube', tag: 'convert', summary: "Convert a Spotify playlist into a YouTube playlist",
+        security: ['google', 'session'], body: 'ConvertToYoutubeRequest',
+        success: { 200: "The created YouTube playlist." },
+        errors: ['GOOGLE_AUTH_REQUIRED', 'GOOGLE_TOKEN_EXPIRED', 'SPOTIFY_TOKEN_EXPIRED', 'NOT_FOUND', 'SOURCE_EMPTY', 'NO_MATCHES',
+            'SPOTIFY_API_ERROR', 'YOUTUBE_QUOTA_EXCEEDED', 'YOUTUBE_API_ERROR', 'UPSTREAM_ERROR'] },
+
+    // Sync subscriptions
+    { method: 'post', path: '/subscriptions', tag: 'subscriptions', summary: "Follow a YouTube playlist into a Spotify playlist",
+        security: ['bearer'], body: 'SubscriptionCreateRequest',
+        success: { 201: "The subscription (its first run starts right away)." }, errors: [...SUBSCRIPTION_ERRORS, 'FORBIDDEN', 'CONFLICT', 'UPSTREAM_ERROR'] },
+    { method: 'get', path: '/subscriptions', tag: 'subscriptions', summary: "The user's subscriptions", security: ['bearer'],
+        success: { 200: "{ subscriptions }" }, errors: SUBSCRIPTION_ERRORS },
+    { method: 'get', path: '/subscriptions/{subscriptionId}', tag: 'subscriptions', summary: "One subscription and its last run", security: ['bearer'],
+        success: { 200: "The subscription." }, errors: [...SUBSCRIPTION_ERRORS, 'NOT_FOUND'] },
+    { method: 'post', path: '/subscriptions/{subscriptionId}/pause', tag: 'subscriptions', summary: "Stop running until resumed", security: ['bearer'],
+        success: { 200: "The subscription." }, errors: [...SUBSCRIPTION_ERRORS, 'NOT_FOUND'] },
+    { method: 'post', path: '/subscriptions/{subscriptionId}/resume', tag: 'subscriptions', summary: "Run again", security: ['bearer'],
+        body: 'SubscriptionResumeRequest', success: { 200: "The subscription." }, errors: [...SUBSCRIPTION_ERRORS, 'NOT_FOUND', 'FORBIDDEN', 'UPSTREAM_ERROR'] },
+    { method: 'post', path: '/subscriptions/{subscriptionId}/run', tag: 'subscriptions', summary: "Sync now", security: ['bearer'],
+        success: { 202: "The subscription." }, errors: [...SUBSCRIPTION_ERRORS, 'NOT_FOUND', 'CONFLICT'] },
+    { method: 'delete', path: '/subscriptions/{subscriptionId}', tag: 'subscriptions', summary: "Stop following and delete the stored token", security: ['bearer'],
+        success: { 200: "{ id, removed }" }, errors: [...SUBSCRIPTION_ERRORS, 'NOT_FOUND'] },
+
+    // Admin
+    { method: 'get', path: '/admin/match-cache', tag: 'admin', summary: "Page through match cache entries", security: ['admin'],
+        query: pageQuery(50, 500), success: { 200: "{ driver, total, limit, offset, entries }" }, errors: ADMIN_ERRORS },
+    { method: 'delete', path: '/admin/match-cache', tag: 'admin', summary: "Clear the match cache", security: ['admin'],
+        query: [{ name: 'kind', schema: { type: 'string', enum: ['negative', 'auto', 'user'] } }], success: { 200: "{ removed }" }, errors: ADMIN_ERRORS },
+    { method: 'get', path: '/admin/match-cache/{videoId}', tag: 'admin', summary: "One match cache entry", security: ['admin'],
+        success: { 200: "The entry." }, errors: [...ADMIN_ERRORS, 'NOT_FOUND'] },
+    { method: 'delete', path: '/admin/match-cache/{videoId}', tag: 'admin', summary: "Invalidate one match cache entry", security: ['admin'],
+        success: { 200: "{ video_id, removed }" }, errors: [...ADMIN_ERRORS, 'NOT_FOUND'] },
+    { method: 'put', path: '/admin/match-cache/{videoId}', tag: 'admin', summary: "Record a match correction", security: ['admin'],
+        body: 'MatchCacheCorrection', success: { 200: "The entry." }, errors: ADMIN_ERRORS },
+
+    { method: 'get', path: '/openapi.json', tag: 'meta', summary: "This document", success: { 200: "OpenAPI 3.1 document." }, errors: [] }
+];
+
+const SECURITY_SCHEMES = {
+    bearer: { type: 'http', scheme: 'bearer', description: "Spotify (or Deezer, with target=deezer) access token." },
+    google: { type: 'apiKey', in: 'header', name: 'X-Google-Token', description: "Google access token with the youtube scope." },
+    session: { type: 'apiKey', in: 'cookie', name: 'pc_session', description: "Session cookie (AUTH_MODE=session)." },
+    admin: { type: 'http', scheme: 'bearer', description: "ADMIN_TOKEN (or the X-Admin-Token header)." }
+};
+
+// --- OpenAPI Document ---
+
+function errorEnvelopeSchema() {
+    return {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: {
+                type: 'object',
+                required: ['code', 'message', 'status', 'request_id'],
+                properties: {
+                    code: {
+                        type: 'string',
+                        oneOf: Object.entries(ERROR_CODES).map(([code, { status, description }]) => ({
+                            const: code,
+                            description: `${status}: ${description}`
+                        }))
+                    },
+                    message: { type: 'string', description: "For people; don't parse it." },
+                    status: { type: 'integer' },
+                    request_id: { type: ['string', 'null'], description: "Also sent as the X-Request-Id header." },
+                    details: { type: 'object', description: "Extra fields of the error (e.g. field_errors, auth_required, target)." }
+                }
+            },
+            data: { description: "Partial results, when the error happened midway." }
+        }
+    };
+}
+
+function buildResponses(operation) {
+    const responses = {};
+    for (const [status, description] of Object.entries(operation.success)) {
+        responses[status] = status === '302' || operation.path === '/convert/jobs/{jobId}/events'
+            ? { description }
+            : { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } };
+    }
+    const codes = new Set(operation.errors);
+    if (operation.body) codes.add('VALIDATION_FAILED');
+    codes.add('INTERNAL_ERROR');
+    const byStatus = {};
+    for (const code of codes) {
+        const status = ERROR_CODES[code].status;
+        (byStatus[status] = byStatus[status] || []).push(code);
+    }
+    for (const [status, statusCodes] of Object.entries(byStatus)) {
+        responses[status] = {
+            description: `Error codes: ${statusCodes.join(', ')}`,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorEnvelope' } } }
+        };
+    }
+    return responses;
+}
+
+/**
+ * The OpenAPI 3.1 document for /api/v1.
+ * @returns {object}
+ */
+function buildOpenApiDocument() {
+    const paths = {};
+    for (const operation of OPERATIONS) {
+        const parameters = [
+            ...[...operation.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+            ...(operation.query || []).map(({ name, schema, required = false }) => ({ name, in: 'query', required, schema }))
+        ];
+        const entry = {
+            operationId: `${operation.method}${operation.path.replace(/[{}]/g, '').replace(/[/.-](\w)/g, (match, letter) => letter.toUpperCase())}`,
+            summary: operation.summary,
+            tags: [operation.tag],
+            ...(parameters.length > 0 ? { parameters } : {}),
+            ...(operation.security ? { security: operation.security.map(scheme => ({ [scheme]: [] })) } : {}),
+            responses: buildResponses(operation)
+        };
+        if (operation.body) {
+            entry.requestBody = {
+                required: Boolean(SCHEMAS[operation.body].required),
+                content: { 'application/json': { schema: { $ref: `#/components/schemas/${operation.body}` } } }
+            };
+        } else if (operation.rawBody) {
+            entry.requestBody = { required: true, content: { [operation.rawBody]: { schema: { type: 'string' } } } };
+        }
+        (paths[operation.path] = paths[operation.path] || {})[operation.method] = entry;
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Playlist Converter API',
+            version: API_VERSION,
+            description: "Errors are { success: false, error: { code, message, status, request_id } }: branch on `code`, " +
+                "never on `message`. The unversioned /api routes are aliases that keep the older { error, code } body."
+        },
+        servers: [{ url: '/api/v1' }],
+        paths,
+        components: {
+            securitySchemes: SECURITY_SCHEMES,
+            schemas: {
+                ...SCHEMAS,
+                Success: {
+                    type: 'object',
+                    properties: { success: { const: true }, data: {} }
+                },
+                ErrorEnvelope: errorEnvelopeSchema()
+            }
+        }
+    };
+}
+
+module.exports = {
+    API_VERSION,
+    SCHEMAS,
+    OPERATIONS,
+    buildOpenApiDocument
+};
@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseEncryptionKey, encrypt, decrypt } = require('./tokenEncryption');
+
+// --- Auth Sessions (AUTH_MODE=session) ---
+// Server-side login state for the hardened auth mode. The browser only holds an
+// opaque session ID in a signed HttpOnly cookie; the OAuth grants it stands for
+// ({ spotify, google }, each { access_token, refresh_token, expires_at }) stay
+// here, encrypted with AES-256-GCM under TOKEN_ENCRYPTION_KEY (lib/tokenEncryption.js).
+// Records are keyed by a SHA-256 of the session ID, so a copy of the store
+// yields neither tokens nor usable session IDs.
+//
+// Pending logins (state -> PKCE code verifier) live in the same store with a
+// short TTL, so the callback can land on any instance sharing the store.
+//
+// Drivers: 'memory', 'file' (JSON file) and 'sqlite' (needs the optional
+// better-sqlite3 package), same as lib/matchCache.js.
+
+const SESSION_DRIVERS = ['memory', 'file', 'sqlite'];
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const LOGIN_TTL_MS = 10 * 60 * 1000; // Time allowed between /login and the callback
+const REFRESH_MARGIN_MS = 60 * 1000; // Refresh access tokens this long before they expire
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const PERSIST_DEBOUNCE_MS = 1000;
+const SESSION_COOKIE = 'pc_session';
+const STATE_COOKIE_PREFIX = 'pc_oauth_state_'; // + provider
+
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// --- Drivers ---
+// Records: { key, expires_at (ms), payload (encrypted) }
+function createMemoryDriver() {
+    const records = new Map();
+    return {
+        flush: () => {}, // Nothing is pending in memory
+        get: (key) => records.get(key) || null,
+        set: (record) => { records.set(record.key, record); },
+        delete: (key) => records.delete(key),
+        deleteExpired: (now) => {
+            let removed = 0;
+            for (const [key, record] of records) {
+                if (record.expires_at <= now) {
+                    records.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+        records: () => records
+    };
+}
+
+// Memory driver mirrored to a JSON file (same approach as lib/matchCache.js)
+function createFileDriver(filePath) {
+    const memory = createMemoryDriver();
+    let persistTimer = null;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            (saved.records || []).forEach(record => memory.set(record));
+            console.log(`[AUTH_SESSIONS] Loaded ${memory.records().size} records from ${filePath}`);
+        } catch (err) {
+            console.error(`[AUTH_SESSIONS] Could not load ${filePath}:`, err.message);
+        }
+    }
+
+    function writeToDisk() {
+        persistTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpFile = `${filePath}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ records: Array.from(memory.records().values()) }), { mode: 0o600 });
+            fs.renameSync(tmpFile, filePath);
+        } catch (err) {
+            console.error(`[AUTH_SESSIONS] Could not write ${filePath}:`, err.message);
+        }
+    }
+
+    function schedulePersist() {
+        if (persistTimer) return;
+        persistTimer = setTimeout(writeToDisk, PERSIST_DEBOUNCE_MS);
+        persistTimer.unref();
+    }
+
+    // Writes a pending change now instead of after the debounce (shutdown)
+    function flush() {
+        if (!persistTimer) return;
+        clearTimeout(persistTimer);
+        writeToDisk();
+    }
+
+    return {
+        ...memory,
+        flush,
+        set: (record) => { memory.set(record); schedulePersist(); },
+        delete: (key) => {
+            const removed = memory.delete(key);
+            if (removed) schedulePersist();
+            return removed;
+        },
+        deleteExpired: (now) => {
+            const removed = memory.deleteExpired(now);
+            if (removed > 0) schedulePersist();
+            return removed;
+        }
+    };
+}
+
+function createSqliteDriver(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error("AUTH_SESSION_DRIVER=sqlite requires the 'better-sqlite3' package (npm install better-sqlite3).");
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL'); // Lets several pm2 instances read while one writes
+    db.exec(`CREATE TABLE IF NOT EXISTS auth_sessions (
+        key TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL,
+        payload TEXT NOT NULL
+    )`);
+    const statements = {
+        get: db.prepare('SELECT key, expires_at, payload FROM auth_sessions WHERE key = ?'),
+        set: db.prepare('INSERT OR REPLACE INTO auth_sessions (key, expires_at, payload) VALUES (?, ?, ?)'),
+        delete: db.prepare('DELETE FROM auth_sessions WHERE key = ?'),
+        deleteExpired: db.prepare('DELETE FROM auth_sessions WHERE expires_at <= ?')
+    };
+    console.log(`[AUTH_SESSIONS] Using SQLite database ${filePath}`);
+
+    return {
+        flush: () => {}, // Every write is already in the database
+        get: (key) => statements.get.get(key) || null,
+        set: (record) => { statements.set.run(record.key, record.expires_at, record.payload); },
+        delete: (key) => statements.delete.run(key).changes > 0,
+        deleteExpired: (now) => statements.deleteExpired.run(now).changes
+    };
+}
+
+// --- Store Facade ---
+/**
+ * @param {object} options
+ * @param {Buffer} options.encryptionKey 32-byte key (see parseEncryptionKey)
+ * @param {Object<string, function(string): Promise<object>>} options.refreshGrant
+ *   Per provider: refresh token -> new grant (lib/spotifyAuth.js, lib/googleAuth.js)
+ * @param {boolean} [options.cookieSecure=true] Mark cookies Secure (needs HTTPS)
+ */
+module.exports = function createAuthSessions(options = {}) {
+    const {
+        driver = 'memory',
+        filePath = null,
+        encryptionKey,
+        sessionTtlMs = DEFAULT_SESSION_TTL_MS,
+        refreshGrant = {},
+        cookieSecure = true
+    } = options;
+
+    if (!SESSION_DRIVERS.includes(driver)) {
+        throw new Error(`Unknown auth session driver '${driver}' (expected one of ${SESSION_DRIVERS.join(', ')}).`);
+    }
+    if (driver !== 'memory' && !filePath) {
+        throw new Error(`Auth session driver '${driver}' needs a file path.`);
+    }
+    if (!Buffer.isBuffer(encryptionKey) || encryptionKey.length !== 32) {
+        throw new Error('Auth sessions need a 32-byte encryption key.');
+    }
+    const store = driver === 'sqlite' ? createSqliteDriver(filePath)
+        : driver === 'file' ? createFileDriver(filePath)
+        : createMemoryDriver();
+    const pendingRefreshes = new Map(); // "<record key>:<provider>" -> Promise<grant>
+
+    const sweepTimer = setInterval(() => {
+        const removed = store.deleteExpired(Date.now());
+        if (removed > 0) console.log(`[AUTH_SESSIONS] Removed ${removed} expired records`);
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    // Decrypted value of a live record, or null (expired, missing or undecryptable)
+    function load(recordKey) {
+        const record = store.get(recordKey);
+        if (!record) return null;
+        if (record.expires_at <= Date.now()) {
+            store.delete(recordKey);
+            return null;
+        }
+        try {
+            return { expires_at: record.expires_at, value: decrypt(encryptionKey, recordKey, record.payload) };
+        } catch (err) {
+            console.error('[AUTH_SESSIONS] Could not decrypt a record (was TOKEN_ENCRYPTION_KEY changed?):', err.message);
+            store.delete(recordKey);
+            return null;
+        }
+    }
+
+    function save(recordKey, value, expiresAt) {
+        store.set({ key: recordKey, expires_at: expiresAt, payload: encrypt(encryptionKey, recordKey, value) });
+    }
+
+    const sessionKey = (sessionId) => `session:${hashKey(sessionId)}`;
+    const loginKey = (provider, state) => `login:${provider}:${hashKey(state)}`;
+
+    // --- Pending Logins ---
+    // Starts an OAuth login: returns the state and PKCE challenge for the authorize URL
+    function beginLogin(provider) {
+        const state = randomToken();
+        const codeVerifier = randomToken();
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+        save(loginKey(provider, state), { code_verifier: codeVerifier }, Date.now() + LOGIN_TTL_MS);
+        return { state, codeChallenge };
+    }
+
+    // Single use: returns { codeVerifier } for a state issued by beginLogin(), or null
+    function completeLogin(provider, state) {
+        if (!state || typeof state !== 'string') return null;
+        const recordKey = loginKey(provider, state);
+        const login = load(recordKey);
+        store.delete(recordKey);
+        return login ? { codeVerifier: login.value.code_verifier } : null;
+    }
+
+    // --- Sessions ---
+    function createSession(grants) {
+        const id = randomToken();
+        const expiresAt = Date.now() + sessionTtlMs;
+        save(sessionKey(id), { grants }, expiresAt);
+        return { id, expires_at: expiresAt };
+    }
+
+    // Adds a provider's grant after a login. Always issues a new session ID
+    // (the old one, if any, stops working) so a planted ID can't be upgraded.
+    function attachGrant(sessionId, provider, grant) {
+        const existing = sessionId ? load(sessionKey(sessionId)) : null;
+        if (existing) store.delete(sessionKey(sessionId));
+        return createSession({ ...(existing ? existing.value.grants : {}), [provider]: grant });
+    }
+
+    // New session ID and expiry for the same grants; null when the session is gone
+    function rotate(sessionId) {
+        const existing = load(sessionKey(sessionId));
+        if (!existing) return null;
+        store.delete(sessionKey(sessionId));
+        return createSession(existing.value.grants);
+    }
+
+    // Ends a session; returns its grants (for revocation) or null
+    function destroy(sessionId) {
+        const existing = load(sessionKey(sessionId));
+        store.delete(sessionKey(sessionId));
+        return existing ? existing.value.grants : null;
+    }
+
+    // Single-flight per session and provider: refresh tokens may rotate, so two
+    // concurrent refreshes with the same one would log the user out
+    function refreshProvider(sessionId, provider, grant) {
+        const flightKey = `${sessionKey(sessionId)}:${provider}`;
+        if (pendingRefreshes.has(flightKey)) return pendingRefreshes.get(flightKey);
+        const flight = refreshGrant[provider](grant.refresh_token)
+            .then((fresh) => {
+                const refreshed = { ...fresh, refresh_token: fresh.refresh_token || grant.refresh_token };
+                const current = load(sessionKey(sessionId));
+                if (current) {
+                    save(sessionKey(sessionId), { grants: { ...current.value.grants, [provider]: refreshed } }, current.expires_at);
+                }
+                console.log(`[AUTH_SESSIONS] Refreshed ${provider} access token`);
+                return refreshed;
+            })
+            .finally(() => pendingRefreshes.delete(flightKey));
+        pendingRefreshes.set(flightKey, flight);
+        return flight;
+    }
+
+    /**
+     * Looks up a session and makes sure its access tokens are fresh.
+     * @param {string} sessionId
+     * @param {{force?: boolean}} [options] force: refresh every grant regardless of expiry
+     * @returns {Promise<?{id: string, expires_at: number, tokens: {spotify: ?string, google: ?string}}>}
+     */
+    async function resolve(sessionId, { force = false } = {}) {
+        const session = load(sessionKey(sessionId));
+        if (!session) return null;
+        const grants = { ...session.value.grants };
+
+        for (const provider of Object.keys(grants)) {
+            const grant = grants[provider];
+            const stale = force || grant.expires_at - Date.now() < REFRESH_MARGIN_MS;
+            if (!stale || !grant.refresh_token || !refreshGrant[provider]) continue;
+            try {
+                grants[provider] = await refreshProvider(sessionId, provider, grant);
+            } catch (err) {
+                console.error(`[AUTH_SESSIONS] Could not refresh ${provider} access token:`, err.message);
+                if (err.statusCode === 400 || err.statusCode === 401) {
+                    // Refresh token revoked or expired: this service needs a new login
+                    delete grants[provider];
+                    const current = load(sessionKey(sessionId));
+                    if (current) save(sessionKey(sessionId), { grants }, current.expires_at);
+                }
+            }
+        }
+
+        const accessToken = (provider) => (grants[provider] && grants[provider].expires_at > Date.now() ? grants[provider].access_token : null);
+        return {
+            id: sessionId,
+            expires_at: session.expires_at,
+            tokens: { spotify: accessToken('spotify'), google: accessToken('google') }
+        };
+    }
+
+    // --- Cookies (signed, so cookie-parser must be set up with a secret) ---
+    const cookieOptions = {
+        httpOnly: true,
+        secure: cookieSecure,
+        sameSite: 'lax', // Sent on top-level navigations (OAuth callbacks) and same-site API calls
+        signed: true,
+        path: '/'
+    };
+
+    const sessionIdFrom = (req) => req.signedCookies?.[SESSION_COOKIE] || null;
+
+    function setSessionCookie(res, session) {
+        res.cookie(SESSION_COOKIE, session.id, { ...cookieOptions, maxAge: session.expires_at - Date.now() });
+    }
+
+    function clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE, cookieOptions);
+    }
+
+    // Binds a login's state to the browser that started it (login CSRF)
+    function setStateCookie(res, provider, state) {
+        res.cookie(`${STATE_COOKIE_PREFIX}${provider}`, state, { ...cookieOptions, maxAge: LOGIN_TTL_MS });
+    }
+
+    // Reads and clears the state cookie set by setStateCookie()
+    function takeStateCookie(req, res, provider) {
+        const name = `${STATE_COOKIE_PREFIX}${provider}`;
+        const state = req.signedCookies?.[name] || null;
+        res.clearCookie(name, cookieOptions);
+        return state;
+    }
+
+    // Express middleware: resolves the session cookie into req.authSession (or null)
+    function middleware() {
+        return async (req, res, next) => {
+            req.authSession = null;
+            const sessionId = sessionIdFrom(req);
+            if (!sessionId) return next();
+            try {
+                req.authSession = await resolve(sessionId);
+            } catch (err) {
+                console.error('[AUTH_SESSIONS] Could not resolve session:', err.message);
+            }
+            next();
+        };
+    }
+
+    return {
+        driver,
+        flush: () => store.flush(), // Pending file writes, now (shutdown)
+        beginLogin,
+        completeLogin,
+        attachGrant,
+        rotate,
+        destroy,
+        resolve,
+        sessionIdFrom,
+        setSessionCookie,
+        clearSessionCookie,
+        setStateCookie,
+        takeStateCookie,
+        middleware
+    };
+};
+
+module.exports.SESSION_DRIVERS = SESSION_DRIVERS;
+module.exports.parseEncryptionKey = parseEncryptionKey;
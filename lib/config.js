@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const { SEARCH_STRATEGIES } = require('./titleParser');
+const { parseEncryptionKey } = require('./tokenEncryption');
+
+// --- Configuration ---
+// Reads every environment variable the backend uses, checks types and formats,
+// and returns one frozen, typed config object. server.js builds everything from
+// it; nothing else should read process.env.
+//
+// Profiles (CONFIG_PROFILE):
+//   production  (default) the required variables must be set
+//   development fills in local defaults (port 5000, a localhost frontend, a
+//               per-boot session secret, readable logs) and allows the usual
+//               local frontend origins for CORS
+//   test        like production, but MOCK_UPSTREAMS is allowed (test/support/backend.js)
+// Explicitly set variables always win over profile defaults.
+
+const CONFIG_PROFILES = ['production', 'development', 'test'];
+const STORE_DRIVERS = ['memory', 'file', 'sqlite'];
+const MIN_SECRET_LENGTH = 16;
+const DEV_FRONTEND_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:5173', 'http://127.0.0.1:5173'];
+
+// --- Value Parsers ---
+// Each takes the raw string (and the option) and returns the typed value or throws
+const parsers = {
+    string: (raw) => raw,
+    secret: (raw) => {
+        if (raw.length < MIN_SECRET_LENGTH) throw new Error(`must be at least ${MIN_SECRET_LENGTH} characters`);
+        return raw;
+    },
+    url: (raw) => {
+        let parsed;
+        try {
+            parsed = new URL(raw);
+        } catch (err) {
+            throw new Error('must be an absolute URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('must be an http(s) URL');
+        return raw.replace(/\/+$/, ''); // Paths get appended to it
+    },
+    port: (raw) => {
+        const port = Number(raw);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('must be a port number (1-65535)');
+        return port;
+    },
+    int: (raw, { min = -Infinity, max = Infinity }) => {
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < min || value > max) throw new Error(`must be an integer between ${min} and ${max}`);
+        return value;
+    },
+    number: (raw, { min = -Infinity, max = Infinity }) => {
+        const value = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(value) || value < min || value > max) throw new Error(`must be a number between ${min} and ${max}`);
+        return value;
+    },
+    enum: (raw, { values }) => {
+        if (!values.includes(raw)) throw new Error(`must be one of ${values.join(', ')}`);
+        return raw;
+    },
+    // Comma-separated subset of `values`
+    list: (raw, { values }) => {
+        const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+        const unknown = items.filter(item => !values.includes(item));
+        if (unknown.length > 0) throw new Error(`unknown value(s) ${unknown.join(', ')} (expected ${values.join(', ')})`);
+        if (items.length === 0) throw new Error('must list at least one value');
+        return items;
+    },
+    // Comma-separated origins (scheme://host[:port])
+    origins: (raw) => raw.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        parsers.url(item);
+        return new URL(item).origin;
+    })
+};
+
+// --- Options ---
+// key: dotted path in the config object; dev: development profile default;
+// secret: never printed
+const OPTIONS = [
+    { key: 'port', env: 'PORT', type: 'port', required: true, dev: '5000' },
+    { key: 'frontendUrl', env: 'FRONTEND_URL', type: 'url', required: true, dev: 'http://localhost:3000' },
+    { key: 'corsOrigins', env: 'CORS_ORIGINS', type: 'origins' }, // Defaults to FRONTEND_URL's origin
+    { key: 'sessionSecret', env: 'SESSION_SECRET', type: 'secret', required: true, secret: true }, // Signs cookies
+
+    { key: 'youtube.apiKey', env: 'YOUTUBE_API_KEY', type: 'string', required: true, secret: true },
+    { key: 'spotify.clientId', env: 'SPOTIFY_CLIENT_ID', type: 'string', required: true },
+    { key: 'spotify.clientSecret', env: 'SPOTIFY_CLIENT_SECRET', type: 'string', required: true, secret: true },
+    { key: 'spotify.redirectUri', env: 'SPOTIFY_REDIRECT_URI', type: 'url', required: true }, // dev: derived from PORT
+    { key: 'google.clientId', env: 'GOOGLE_CLIENT_ID', type: 'string' },
+    { key: 'google.clientSecret', env: 'GOOGLE_CLIENT_SECRET', type: 'string', secret: true },
+    { key: 'google.redirectUri', env: 'GOOGLE_REDIRECT_URI', type: 'url' },
+
+    { key: 'matching.threshold', env: 'MATCH_THRESHOLD', type: 'number', min: 0, max: 1 },
+    { key: 'matching.searchStrategies', env: 'SEARCH_STRATEGIES', type: 'list', values: Object.keys(SEARCH_STRATEGIES) },
+    // Repeated matches: keep_all, uri (each track once) or isrc (each recording once); requests can override it
+    { key: 'matching.dedupe', env: 'DEDUPE_POLICY', type: 'enum', values: ['keep_all', 'uri', 'isrc'], default: 'uri' },
+    { key: 'playlists.defaultName', env: 'DEFAULT_PLAYLIST_NAME', type: 'string', default: 'Converted YouTube Playlist' },
+    { key: 'playlists.visibility', env: 'PLAYLIST_VISIBILITY', type: 'enum', values: ['public', 'private'], default: 'public' },
+    // Placeholders: {source_url}, {date}, {playlist_name}; set it empty for no description
+    { key: 'playlists.description', env: 'PLAYLIST_DESCRIPTION', type: 'string', default: 'Converted from {source_url} on {date}' },
+
+    { key: 'concurrency.spotify', env: 'SPOTIFY_CONCURRENCY', type: 'int', min: 1, max: 100, default: '4' }, // Max in-flight API calls per service (whole process)
+    { key: 'concurrency.youtube', env: 'YOUTUBE_CONCURRENCY', type: 'int', min: 1, max: 100, default: '4' },
+    { key: 'concurrency.deezer', env: 'DEEZER_CONCURRENCY', type: 'int', min: 1, max: 100, default: '4' },
+    { key: 'concurrency.perUser', env: 'PER_USER_CONCURRENCY', type: 'int', min: 1, max: 100, default: '2' }, // Max in-flight calls per user, per service
+
+    { key: 'jobStore.file', env: 'JOB_STORE_FILE', type: 'string' }, // Persists conversion jobs across restarts
+    { key: 'jobStore.maxFinished', env: 'JOB_STORE_MAX_FINISHED', type: 'int', min: 1, default: '500' }, // Oldest finished jobs (and their reports) are dropped beyond this
+    { key: 'matchCache.driver', env: 'MATCH_CACHE_DRIVER', type: 'enum', values: STORE_DRIVERS, default: 'file' },
+    { key: 'matchCache.path', env: 'MATCH_CACHE_PATH', type: 'string' }, // Defaults to data/match-cache.json (or .sqlite)
+    { key: 'matchCache.negativeTtlHours', env: 'MATCH_CACHE_NEGATIVE_TTL_HOURS', type: 'number', min: 0, default: '168' }, // How long misses stay cached
+    { key: 'history.driver', env: 'HISTORY_DRIVER', type: 'enum', values: STORE_DRIVERS, default: 'file' },
+    { key: 'history.path', env: 'HISTORY_PATH', type: 'string' },
+
+    { key: 'auth.mode', env: 'AUTH_MODE', type: 'enum', values: ['fragment', 'session'], default: 'fragment' }, // session: PKCE, tokens kept server-side
+    { key: 'auth.tokenEncryptionKey', env: 'TOKEN_ENCRYPTION_KEY', type: 'string', secret: true }, // Session mode and subscriptions: 32 bytes, hex or base64
+    { key: 'auth.sessionDriver', env: 'AUTH_SESSION_DRIVER', type: 'enum', values: STORE_DRIVERS, default: 'file' },
+    { key: 'auth.sessionPath', env: 'AUTH_SESSION_PATH', type: 'string' },
+    { key: 'auth.sessionTtlHours', env: 'AUTH_SESSION_TTL_HOURS', type: 'number', min: 0.1, default: '24' },
+
+    // Sync subscriptions (need TOKEN_ENCRYPTION_KEY); use sqlite when running several pm2 instances
+    { key: 'subscriptions.driver', env: 'SUBSCRIPTION_DRIVER', type: 'enum', values: STORE_DRIVERS, default: 'file' },
+    { key: 'subscriptions.path', env: 'SUBSCRIPTION_PATH', type: 'string' },
+    { key: 'subscriptions.pollSeconds', env: 'SUBSCRIPTION_POLL_SECONDS', type: 'int', min: 1, max: 3600, default: '60' }, // How often the scheduler looks for due runs
+    { key: 'subscriptions.minIntervalMinutes', env: 'SUBSCRIPTION_MIN_INTERVAL_MINUTES', type: 'int', min: 1, max: 10080, default: '15' },
+    { key: 'instance', env: 'NODE_APP_INSTANCE', type: 'int', min: 0 }, // Set by pm2 per instance
+
+    { key: 'adminToken', env: 'ADMIN_TOKEN', type: 'secret', secret: true }, // Enables /api/admin
+    { key: 'metricsToken', env: 'METRICS_TOKEN', type: 'secret', secret: true }, // /metrics then requires it as a Bearer token
+    { key: 'logging.level', env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' }, // debug adds every search attempt
+    { key: 'logging.format', env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'json', dev: 'pretty' },
+
+    // Base URL of a stand-in for the Spotify and YouTube APIs (npm run mock-upstreams); development and test profiles only
+    { key: 'mockUpstreams', env: 'MOCK_UPSTREAMS', type: 'url' }
+];
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    let node = target;
+    parts.slice(0, -1).forEach(part => { node = node[part] = node[part] || {}; });
+    node[parts[parts.length - 1]] = value;
+}
+
+function getPath(source, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), source);
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) { // Buffers can't be frozen
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+/**
+ * Builds the config from environment variables.
+ * @param {object} [env=process.env]
+ * @returns {object} Frozen config (see OPTIONS for the keys)
+ * @throws {Error} Listing every invalid or missing variable at once
+ */
+function loadConfig(env = process.env) {
+    const profile = env.CONFIG_PROFILE || 'production';
+    if (!CONFIG_PROFILES.includes(profile)) {
+        throw new Error(`CONFIG_PROFILE must be one of ${CONFIG_PROFILES.join(', ')} (got '${profile}')`);
+    }
+    const development = profile === 'development';
+    const config = { profile };
+    const problems = [];
+    const warnings = [];
+
+    for (const option of OPTIONS) {
+        let raw = env[option.env];
+        if (raw === undefined || raw === '') raw = development && option.dev !== undefined ? option.dev : option.default;
+        if (raw === undefined) {
+            // Development can run without a redirect URI / session secret of its own
+            const devDerived = development && ['SPOTIFY_REDIRECT_URI', 'SESSION_SECRET'].includes(option.env);
+            if (option.required && !devDerived) problems.push(`${option.env} is required`);
+            setPath(config, option.key, null);
+            continue;
+        }
+        try {
+            setPath(config, option.key, parsers[option.type](raw, option));
+        } catch (err) {
+            const shown = option.secret ? '' : ` (got '${raw}')`;
+            problems.push(`${option.env} ${err.message}${shown}`);
+            setPath(config, option.key, null);
+        }
+    }
+
+    // --- Derived Defaults & Cross-Checks ---
+    if (development && !config.spotify.redirectUri && config.port) {
+        // Spotify only accepts loopback redirect URIs as 127.0.0.1, not localhost
+        config.spotify.redirectUri = `http://127.0.0.1:${config.port}/callback`;
+    }
+    if (development && !config.sessionSecret) {
+        config.sessionSecret = crypto.randomBytes(32).toString('hex');
+        warnings.push('SESSION_SECRET not set: using a random one, so session cookies end with every restart.');
+    }
+    if (!config.corsOrigins && config.frontendUrl) {
+        config.corsOrigins = [new URL(config.frontendUrl).origin];
+    }
+    if (development && config.corsOrigins) {
+        config.corsOrigins = Array.from(new Set([...config.corsOrigins, ...DEV_FRONTEND_ORIGINS]));
+    }
+
+    const googleKeys = ['clientId', 'clientSecret', 'redirectUri'];
+    const googleSet = googleKeys.filter(key => config.google[key]);
+    config.google.enabled = googleSet.length === googleKeys.length;
+    if (googleSet.length > 0 && !config.google.enabled) {
+        problems.push('GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_REDIRECT_URI must be set together');
+    }
+
+    // Session mode needs the key; subscriptions are enabled by setting it
+    config.auth.encryptionKey = null;
+    if (config.auth.mode === 'session' || config.auth.tokenEncryptionKey) {
+        try {
+            config.auth.encryptionKey = parseEncryptionKey(config.auth.tokenEncryptionKey);
+        } catch (err) {
+            problems.push(err.message);
+        }
+    }
+    delete config.auth.tokenEncryptionKey; // Only the parsed key is kept
+    config.subscriptions.enabled = Boolean(config.auth.encryptionKey);
+    // The memory and file stores belong to one process: a second pm2 instance would keep its own
+    // copy (and overwrite the file), so several instances need the shared sqlite store
+    if (config.subscriptions.enabled && config.instance > 0 && config.subscriptions.driver !== 'sqlite') {
+        problems.push(`SUBSCRIPTION_DRIVER must be sqlite when running several instances (NODE_APP_INSTANCE is ${config.instance}, ` +
+            `SUBSCRIPTION_DRIVER is '${config.subscriptions.driver}')`);
+    }
+
+    // Stores live under data/ unless a path is given
+    const defaultPath = (name, driver) => `data/${name}.${driver === 'sqlite' ? 'sqlite' : 'json'}`;
+    config.matchCache.path = config.matchCache.path || defaultPath('match-cache', config.matchCache.driver);
+    config.history.path = config.history.path || defaultPath('history', config.history.driver);
+    config.auth.sessionPath = config.auth.sessionPath || defaultPath('auth-sessions', config.auth.sessionDriver);
+    config.subscriptions.path = config.subscriptions.path || defaultPath('subscriptions', config.subscriptions.driver);
+    // Cookies are set by this server, so they can only be Secure when it is served over HTTPS
+    config.auth.cookieSecure = Boolean(config.spotify.redirectUri && config.spotify.redirectUri.startsWith('https://'));
+
+    if (config.mockUpstreams && profile === 'production') {
+        problems.push('MOCK_UPSTREAMS is only allowed with CONFIG_PROFILE=development or test');
+    } else if (config.mockUpstreams) {
+        warnings.push(`MOCK_UPSTREAMS is set: Spotify and YouTube calls go to ${config.mockUpstreams}, not the real services.`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    }
+    config.warnings = warnings;
+    return deepFreeze(config);
+}
+
+/**
+ * Flat, printable view of the config: secrets show only whether they are set.
+ * @param {object} config Result of loadConfig()
+ * @returns {Object<string, *>}
+ */
+function summarizeConfig(config) {
+    const summary = { profile: config.profile };
+    for (const option of OPTIONS) {
+        if (option.key === 'auth.tokenEncryptionKey') {
+            summary[option.key] = config.auth.encryptionKey ? '[set]' : null;
+            continue;
+        }
+        const value = getPath(config, option.key);
+        if (option.secret) {
+            summary[option.key] = value ? '[set]' : null;
+        } else {
+            summary[option.key] = value ?? null;
+        }
+    }
+    summary['google.enabled'] = config.google.enabled;
+    summary['subscriptions.enabled'] = config.subscriptions.enabled;
+    return summary;
+}
+
+module.exports = {
+    CONFIG_PROFILES,
+    loadConfig,
+    summarizeConfig
+};
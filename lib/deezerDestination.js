@@ -0,0 +1,281 @@
+const { planSync } = require('./spotifyPlaylists');
+const { apiError, destinationErrorCode } = require('./apiErrors');
+
+// --- Deezer Destination ---
+// Deezer implementation of the destination interface (lib/destinations.js).
+// The bearer token is a Deezer OAuth access token with the manage_library
+// permission. Searching needs no token. Track URIs are "deezer:track:<id>" so
+// they can't be confused with Spotify ones in reports and the match cache.
+//
+// Deezer reports most errors as HTTP 200 with an { error: { code, message } }
+// body; they're turned into errors carrying a statusCode so the shared
+// scheduler can retry quota hits (code 4) like any other 429.
+
+const API_BASE = 'https://api.deezer.com';
+const REQUEST_TIMEOUT_MS = 10000;
+const QUOTA_RETRY_AFTER_SEC = 5; // Deezer allows 50 calls per 5 seconds and sends no Retry-After
+const TRACKS_PER_CALL = 50; // Track IDs per add/remove call (they travel in the query string)
+const SYNC_MODES = ['append', 'mirror', 'replace'];
+const TRACK_URI_PATTERN = /^deezer:track:(\d+)$/;
+
+// Deezer error codes -> HTTP-ish status codes
+const ERROR_STATUS = { 4: 429, 200: 403, 300: 401, 800: 404 };
+
+const trackIdFromUri = (uri) => TRACK_URI_PATTERN.exec(uri)?.[1] || null;
+
+// Accepts https://www.deezer.com/<lang>/playlist/<id>, deezer:playlist:<id> or a bare numeric ID
+function getDeezerPlaylistId(playlistRef) {
+    if (!playlistRef || typeof playlistRef !== 'string') return null;
+    const trimmed = playlistRef.trim();
+    const uriMatch = /^deezer:playlist:(\d+)$/.exec(trimmed);
+    if (uriMatch) return uriMatch[1];
+    if (/^\d+$/.test(trimmed)) return trimmed;
+    try {
+        const parsedUrl = new URL(trimmed);
+        if (/(^|\.)deezer\.com$/.test(parsedUrl.hostname)) {
+            const pathMatch = /\/playlist\/(\d+)/.exec(parsedUrl.pathname);
+            if (pathMatch) return pathMatch[1];
+        }
+    } catch (e) {
+        console.error(`Error parsing Deezer playlist URL: ${playlistRef}`, e.message);
+    }
+    return null;
+}
+
+// Deezer track -> the Spotify track shape lib/trackMatcher.js scores
+function toCandidate(track) {
+    return {
+        uri: `deezer:track:${track.id}`,
+        name: track.title,
+        artists: track.contributors?.length
+            ? track.contributors.map(contributor => ({ name: contributor.name }))
+            : (track.artist ? [{ name: track.artist.name }] : []),
+        album: track.album ? { name: track.album.title } : null,
+        duration_ms: track.duration ? track.duration * 1000 : null,
+        preview_url: track.preview || null,
+        external_ids: { isrc: track.isrc || null }
+    };
+}
+
+const descriptor = {
+    id: 'deezer',
+    label: 'Deezer',
+    syncModes: SYNC_MODES,
+    supportsCoverImage: false, // The public API has no cover upload
+    isTrackUri: (uri) => typeof uri === 'string' && TRACK_URI_PATTERN.test(uri),
+    parsePlaylistRef: getDeezerPlaylistId,
+    playlistUrl: (playlistId) => `https://www.deezer.com/playlist/${playlistId}`,
+    trackUrl: (uri) => `https://www.deezer.com/track/${trackIdFromUri(uri)}`
+};
+
+/**
+ * @param {{accessToken: string, scheduler: object}} options
+ */
+function createDeezerDestination({ accessToken, scheduler }) {
+    if (!accessToken) throw new Error("Missing access token for Deezer operation.");
+    let userKey; // Set once getUser() has identified the user
+
+    // One API call through the scheduler's 'deezer' pool
+    function call(method, path, params = {}, { label = null, authenticated = true, signal = null } = {}) {
+        const query = new URLSearchParams(params);
+        if (authenticated) query.set('access_token', accessToken);
+        return scheduler.deezer(async () => {
+            let response;
+            try {
+                response = await fetch(`${API_BASE}${path}?${query}`, {
+                    method: method,
+                    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+                });
+            } catch (err) {
+                const networkError = new Error(`Deezer request failed: ${err.message}`);
+                networkError.code = err.name === 'TimeoutError' ? 'ETIMEDOUT' : (err.cause?.code || null);
+                throw networkError;
+            }
+            const body = await response.json().catch(() => null);
+            if (!response.ok || body?.error) {
+                const error = new Error(body?.error?.message || `HTTP ${response.status}`);
+                error.statusCode = ERROR_STATUS[body?.error?.code] || (response.ok ? 400 : response.status);
+                if (error.statusCode === 429) error.headers = { 'retry-after': String(QUOTA_RETRY_AFTER_SEC) };
+                throw error;
+            }
+            return body;
+        }, { userKey, label, signal });
+    }
+
+    async function getUser() {
+        const me = await call('GET', '/user/me', {}, { label: 'user/me' });
+        userKey = String(me.id);
+        return { id: String(me.id), name: me.name || String(me.id) };
+    }
+
+    // Deezer's advanced search takes the same artist:"..." track:"..." album:"..."
+    // fields lib/titleParser.js emits; only ISRC lookups need their own endpoint.
+    async function search(query, { limit = 5, signal = null } = {}) {
+        const isrcMatch = /^isrc:([A-Z0-9]{12})$/i.exec(query);
+        if (isrcMatch) {
+            try {
+                const track = await call('GET', `/track/isrc:${isrcMatch[1].toUpperCase()}`, {}, { label: 'track/isrc', authenticated: false, signal });
+                return [toCandidate(track)];
+            } catch (err) {
+                if (err.statusCode === 404) return []; // Unknown ISRC is just an empty result
+                throw err;
+            }
+        }
+        const results = await call('GET', '/search/track', { q: query, limit: limit }, { label: 'search/track', authenticated: false, signal });
+        return (results.data || []).map(toCandidate);
+    }
+
+    async function createPlaylist(playlistName, { public: isPublic = true, collaborative = false, description = null } = {}) {
+        try {
+            console.log(`Creating Deezer playlist '${playlistName}' for user ${userKey}`);
+            const created = await call('POST', '/user/me/playlists', { title: playlistName }, { label: 'createPlaylist' });
+            const playlistId = String(created.id);
+            // Deezer creates public playlists from a title only; everything else is an update
+            const settings = {};
+            if (!isPublic) settings.public = 'false';
+            if (collaborative) settings.collaborative = 'true';
+            if (description) settings.description = description;
+            if (Object.keys(settings).length > 0) {
+                await call('POST', `/playlist/${playlistId}`, settings, { label: 'updatePlaylist' });
+            }
+            console.log(`Successfully created playlist: ${playlistName} (${playlistId})`);
+            return {
+                id: playlistId,
+                uri: `deezer:playlist:${playlistId}`,
+                name: playlistName,
+                url: descriptor.playlistUrl(playlistId)
+            };
+        } catch (err) {
+            console.error(`Deezer API error creating playlist: ${err.message}`);
+            throw apiError(destinationErrorCode('deezer', err.statusCode), `Could not create playlist: ${err.message} (Status: ${err.statusCode})`);
+        }
+    }
+
+    // Runs `action(chunkOfTrackIds)` over URIs in chunks; returns the URIs that went through and any errors
+    async function inChunks(trackUris, description, action) {
+        let done = [];
+        let errors = [];
+        for (let i = 0; i < trackUris.length; i += TRACKS_PER_CALL) {
+            const chunk = trackUris.slice(i, i + TRACKS_PER_CALL);
+            try {
+                await action(chunk.map(trackIdFromUri).join(','));
+                done = done.concat(chunk);
+            } catch (err) {
+                const msg = `Failed ${description} chunk: ${err.message} (Status: ${err.statusCode})`;
+                console.error(`  ERROR: ${msg}`);
+                errors.push(msg);
+            }
+        }
+        return { done, errors };
+    }
+
+    async function addTracks(playlistId, trackUris) {
+        if (!trackUris || trackUris.length === 0) return { success: true, added_count: 0 };
+        console.log(`Adding ${trackUris.length} tracks to Deezer playlist ${playlistId}`);
+        const { done, errors } = await inChunks(trackUris, 'adding', songs =>
+            call('POST', `/playlist/${playlistId}/tracks`, { songs }, { label: 'addTracksToPlaylist' })
+        );
+        if (errors.length > 0) {
+            return { success: false, added_count: done.length, error: errors.join('; ') };
+        }
+        return { success: true, added_count: done.length };
+    }
+
+    async function removeTracks(playlistId, trackUris) {
+        if (!trackUris || trackUris.length === 0) return { success: true, removed_count: 0 };
+        const { done, errors } = await inChunks(trackUris, 'removing', songs =>
+            call('DELETE', `/playlist/${playlistId}/tracks`, { songs }, { label: 'removeTracksFromPlaylist' })
+        );
+        if (errors.length > 0) {
+            return { success: false, removed_count: done.length, error: errors.join('; ') };
+        }
+        return { success: true, removed_count: done.length };
+    }
+
+    async function deletePlaylist(playlistId) {
+        try {
+            await call('DELETE', `/playlist/${playlistId}`, {}, { label: 'deletePlaylist' });
+            console.log(`Deleted Deezer playlist ${playlistId}`);
+        } catch (err) {
+            console.error(`Deezer API error deleting playlist: ${err.message}`);
+            throw apiError(destinationErrorCode('deezer', err.statusCode), `Deezer Error: could not remove playlist: ${err.message} (Status: ${err.statusCode})`);
+        }
+    }
+
+    async function getPlaylistTrackUris(playlistId) {
+        let uris = [];
+        let index = 0;
+        let total = 0;
+        do {
+            const page = await call('GET', `/playlist/${playlistId}/tracks`, { index, limit: 100 }, { label: 'getPlaylistTracks' });
+            total = page.total || 0;
+            (page.data || []).forEach(track => uris.push(`deezer:track:${track.id}`));
+            index += 100;
+        } while (index < total);
+        return uris;
+    }
+
+    // Deezer can't insert at a position, so mirror/replace remove, append the
+    // missing tracks, then set the whole order in one call.
+    async function syncPlaylist(playlistId, trackUris, mode) {
+        let playlist;
+        let existingUris;
+        try {
+            playlist = await call('GET', `/playlist/${playlistId}`, {}, { label: 'getPlaylist' });
+            existingUris = await getPlaylistTrackUris(playlistId);
+        } catch (err) {
+            console.error(`Deezer API error reading playlist ${playlistId}: ${err.message}`);
+            const code = err.statusCode === 404 ? 'TARGET_PLAYLIST_NOT_FOUND' : destinationErrorCode('deezer', err.statusCode);
+            throw apiError(code, `Could not read target Deezer playlist: ${err.message} (Status: ${err.statusCode})`);
+        }
+        if (String(playlist.creator?.id) !== userKey && !playlist.collaborative) {
+            throw apiError('PLAYLIST_NOT_EDITABLE', "Deezer Error: target playlist is not owned by you and is not collaborative.");
+        }
+
+        const plan = planSync(existingUris, trackUris, mode);
+        const existingSet = new Set(existingUris);
+        console.log(`Syncing Deezer playlist ${playlistId} [${mode}]: ${existingUris.length} existing, ${plan.desired.length} matched`);
+
+        const removal = await inChunks(plan.toRemove, 'removing', songs =>
+            call('DELETE', `/playlist/${playlistId}/tracks`, { songs }, { label: 'removeTracksFromPlaylist' })
+        );
+        const addition = await inChunks(plan.desired.filter(uri => !existingSet.has(uri)), 'adding', songs =>
+            call('POST', `/playlist/${playlistId}/tracks`, { songs }, { label: 'addTracksToPlaylist' })
+        );
+        const errors = removal.errors.concat(addition.errors);
+        if (mode !== 'append' && errors.length === 0 && plan.desired.length > 1) {
+            try {
+                await call('POST', `/playlist/${playlistId}/tracks`, { order: plan.desired.map(trackIdFromUri).join(',') }, { label: 'orderPlaylistTracks' });
+            } catch (err) {
+                const msg = `Failed reordering playlist: ${err.message} (Status: ${err.statusCode})`;
+                console.error(`  ERROR: ${msg}`);
+                errors.push(msg);
+            }
+        }
+
+        console.log(`  Sync done: ${addition.done.length} added, ${removal.done.length} removed`);
+        return {
+            playlist_id: String(playlist.id),
+            playlist_name: playlist.title,
+            added_uris: addition.done,
+            removed_uris: removal.done,
+            errors
+        };
+    }
+
+    return {
+        ...descriptor,
+        getUser,
+        search,
+        createPlaylist,
+        addTracks,
+        removeTracks,
+        syncPlaylist,
+        deletePlaylist
+    };
+}
+
+module.exports = {
+    ...descriptor,
+    create: createDeezerDestination
+};
@@ -0,0 +1,79 @@
+// --- YouTube Description Parser ---
+// Topic channels ("Artist - Topic") upload label-supplied audio with a fixed
+// auto-generated description:
+//
+//   Provided to YouTube by Universal Music Group
+//
+//   Never Gonna Give You Up · Rick Astley
+//
+//   Whenever You Need Somebody
+//
+//   ℗ 1987 Sony Music Entertainment UK Limited
+//
+//   Released on: 1987-11-12
+//   ...
+//   Auto-generated by YouTube.
+//
+// Those fields are the label's own metadata, so they match Spotify far more
+// reliably than the video title. Some uploads also quote an ISRC.
+
+const PROVIDED_BY_PATTERN = /^Provided to YouTube by (.+)$/m;
+const RELEASED_ON_PATTERN = /^Released on:\s*(\d{4})(?:-\d{2}-\d{2})?/m;
+const PHONOGRAM_PATTERN = /^[℗©]\s*(\d{4})\b/m;
+// CC-XXX-YY-NNNNN, with or without the dashes
+const ISRC_PATTERN = /\bISRC\s*[:#]?\s*([A-Z]{2}-?[A-Z0-9]{3}-?\d{2}-?\d{5})\b/i;
+const CREDIT_SEPARATOR = ' · ';
+
+/**
+ * Pull an ISRC out of any description that quotes one.
+ * @param {?string} description
+ * @returns {?string} ISRC without dashes, uppercased
+ */
+function findIsrc(description) {
+    if (!description) return null;
+    const match = ISRC_PATTERN.exec(description);
+    return match ? match[1].replace(/-/g, '').toUpperCase() : null;
+}
+
+/**
+ * Parse an auto-generated "Provided to YouTube by ..." description.
+ * @param {?string} description Full video description
+ * @returns {?{track: string, artists: string[], album: ?string, releaseYear: ?number, label: string, isrc: ?string}}
+ *   null when the description isn't an auto-generated one
+ */
+function parseProvidedToYoutube(description) {
+    if (!description) return null;
+    const providedBy = PROVIDED_BY_PATTERN.exec(description);
+    if (!providedBy) return null;
+
+    // Paragraphs after the "Provided to YouTube by" line: credits, then album
+    const paragraphs = description
+        .slice(providedBy.index + providedBy[0].length)
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean);
+    const creditLine = paragraphs[0] || '';
+    if (!creditLine.includes(CREDIT_SEPARATOR)) return null;
+
+    const [track, ...artists] = creditLine.split(CREDIT_SEPARATOR).map(part => part.trim()).filter(Boolean);
+    if (!track || artists.length === 0) return null;
+
+    // The album paragraph is the next one, unless the label skipped it and went straight to ℗ / "Released on"
+    const albumParagraph = paragraphs[1] || '';
+    const album = albumParagraph && !/^[℗©]|^Released on:|^Auto-generated/i.test(albumParagraph) ? albumParagraph : null;
+
+    const released = RELEASED_ON_PATTERN.exec(description) || PHONOGRAM_PATTERN.exec(description);
+    return {
+        track,
+        artists,
+        album,
+        releaseYear: released ? Number(released[1]) : null,
+        label: providedBy[1].trim(),
+        isrc: findIsrc(description)
+    };
+}
+
+module.exports = {
+    parseProvidedToYoutube,
+    findIsrc
+};
@@ -0,0 +1,45 @@
+// --- Destination Providers ---
+// Where converted playlists are written. routes/convert.js only talks to this
+// interface, so adding a service means adding a provider module here.
+//
+// A provider module exports static helpers (usable before the user is known):
+//   id, label                  'spotify' / 'Spotify'
+//   syncModes                  sync modes syncPlaylist() supports
+//   supportsCoverImage         whether the per-user API has setCoverImage()
+//   isTrackUri(uri)            true for this service's track URIs
+//   parsePlaylistRef(ref)      playlist ID from a URL/URI/ID, or null
+//   playlistUrl(id), trackUrl(uri)
+// and create({ accessToken, scheduler, spotifyAppToken }), which returns the
+// same helpers plus the per-user API:
+//   getUser()                              -> { id, name }   (call first; it verifies the token)
+//   search(query, { limit, signal })       -> Spotify-shaped track objects for lib/trackMatcher.js
+//   createPlaylist(name, { public, collaborative, description }) -> { id, uri, name, url }
+//   setCoverImage(playlistId, jpegBase64)  -> uploads a cover (see lib/playlistCover.js)
+//   addTracks(playlistId, uris)            -> { success, added_count, error? }
+//   removeTracks(playlistId, uris)         -> { success, removed_count, error? }
+//   syncPlaylist(playlistId, uris, mode)   -> { playlist_id, playlist_name, added_uris, removed_uris, errors }
+//   deletePlaylist(playlistId)             -> removes the playlist from the user's library
+// Queries use the field syntax from lib/titleParser.js (track:"..." artist:"..." / isrc:...).
+
+const spotify = require('./spotifyDestination');
+const deezer = require('./deezerDestination');
+
+const DESTINATIONS = { spotify, deezer };
+const DEFAULT_DESTINATION = 'spotify';
+
+function getDestination(id) {
+    return Object.prototype.hasOwnProperty.call(DESTINATIONS, id) ? DESTINATIONS[id] : null;
+}
+
+// Which provider a track URI ("<id>:track:...") belongs to (reports store bare URIs)
+function destinationForUri(uri) {
+    const prefix = typeof uri === 'string' ? uri.split(':')[0] : null;
+    return getDestination(prefix);
+}
+
+module.exports = {
+    DESTINATION_IDS: Object.keys(DESTINATIONS),
+    DEFAULT_DESTINATION,
+    getDestination,
+    destinationForUri
+};
@@ -0,0 +1,93 @@
+// --- Export Formats ---
+// Serializers for downloadable conversion reports. CSV/JSON carry every source
+// item with its match details; M3U/XSPF are playlists of the matched tracks
+// (links on the destination service) that other players and tools can import.
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+    xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' }
+};
+
+// RFC 4180 quoting; a leading =, +, - or @ is escaped so spreadsheets don't run it as a formula
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {object[]} rows
+ * @param {string[]} columns Keys to write, in order (also the header row)
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Extended M3U of matched tracks.
+ * @param {Array<{uri: string, url: string, name: string, artists: string[], duration_ms: ?number}>} tracks
+ * @param {string} title Playlist title
+ * @returns {string}
+ */
+function toM3u(tracks, title) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${title.replace(/[\r\n]+/g, ' ')}`];
+    tracks.forEach(track => {
+        const seconds = track.duration_ms ? Math.round(track.duration_ms / 1000) : -1;
+        const label = `${track.artists.join(', ')} - ${track.name}`.replace(/[\r\n]+/g, ' ');
+        lines.push(`#EXTINF:${seconds},${label}`);
+        lines.push(track.url);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * XSPF ("spiff") playlist of matched tracks.
+ * @param {Array<{uri: string, url: string, name: string, artists: string[], album: ?string, duration_ms: ?number}>} tracks
+ * @param {string} title Playlist title
+ * @returns {string}
+ */
+function toXspf(tracks, title) {
+    const trackXml = tracks.map(track => {
+        const fields = [
+            `      <location>${escapeXml(track.url)}</location>`,
+            `      <identifier>${escapeXml(track.uri)}</identifier>`,
+            `      <title>${escapeXml(track.name)}</title>`,
+            `      <creator>${escapeXml(track.artists.join(', '))}</creator>`
+        ];
+        if (track.album) fields.push(`      <album>${escapeXml(track.album)}</album>`);
+        if (track.duration_ms) fields.push(`      <duration>${track.duration_ms}</duration>`);
+        return `    <track>\n${fields.join('\n')}\n    </track>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(title)}</title>`,
+        '  <trackList>',
+        ...trackXml,
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    toCsv,
+    toM3u,
+    toXspf
+};
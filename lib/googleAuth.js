@@ -0,0 +1,95 @@
+// --- Google OAuth Helper ---
+// Builds OAuth2 clients for the Google login flow and YouTube clients that act
+// as the signed-in Google user. Google login is optional: without
+// GOOGLE_CLIENT_ID/SECRET/REDIRECT_URI the routes report it as unavailable.
+
+// Full youtube scope: needed to read private playlists AND create playlists (Spotify -> YouTube)
+const GOOGLE_SCOPES = ['https://www.googleapis.com/auth/youtube'];
+
+// `youtubeRootUrl` is only set to use a stand-in server (MOCK_UPSTREAMS)
+module.exports = function createGoogleAuth({ google, clientId, clientSecret, redirectUri, youtubeRootUrl = undefined }) {
+    const isConfigured = Boolean(clientId && clientSecret && redirectUri);
+
+    function createClient() {
+        if (!isConfigured) return new google.auth.OAuth2();
+        return new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+    }
+
+    // `state` and `codeChallenge` are only passed in AUTH_MODE=session (PKCE)
+    function createAuthorizeURL({ state, codeChallenge } = {}) {
+        return createClient().generateAuthUrl({
+            access_type: 'offline', // Ask for a refresh token
+            prompt: 'consent', // Google only returns a refresh token on the first consent otherwise
+            include_granted_scopes: true,
+            scope: GOOGLE_SCOPES,
+            ...(state ? { state } : {}),
+            ...(codeChallenge ? { code_challenge: codeChallenge, code_challenge_method: 'S256' } : {})
+        });
+    }
+
+    async function exchangeCode(code, codeVerifier = null) {
+        const { tokens } = await createClient().getToken(codeVerifier ? { code, codeVerifier } : code);
+        return tokens;
+    }
+
+    async function refreshAccessToken(refreshToken) {
+        const client = createClient();
+        client.setCredentials({ refresh_token: refreshToken });
+        const { credentials } = await client.refreshAccessToken();
+        return credentials;
+    }
+
+    // --- Grants (AUTH_MODE=session, see lib/authSessions.js) ---
+    // Same { access_token, refresh_token, expires_at } shape as lib/spotifyAuth.js
+    const toGrant = (tokens) => ({
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token || null,
+        expires_at: tokens.expiry_date || Date.now() + 3600 * 1000
+    });
+
+    // Errors carry the token endpoint's status code (400 = invalid_grant)
+    const withStatusCode = (err) => {
+        err.statusCode = err.response?.status || 500;
+        return err;
+    };
+
+    async function exchangeGrant(code, codeVerifier) {
+        try {
+            return toGrant(await exchangeCode(code, codeVerifier));
+        } catch (err) {
+            throw withStatusCode(err);
+        }
+    }
+
+    async function refreshGrant(refreshToken) {
+        try {
+            return toGrant(await refreshAccessToken(refreshToken));
+        } catch (err) {
+            throw withStatusCode(err);
+        }
+    }
+
+    // Revokes the grant behind a token (revoking a refresh token also ends its access tokens)
+    async function revokeToken(token) {
+        await createClient().revokeToken(token);
+    }
+
+    // YouTube client acting as a Google user
+    function youtubeForUser(accessToken) {
+        const client = createClient();
+        client.setCredentials({ access_token: accessToken });
+        return google.youtube({ version: 'v3', auth: client, rootUrl: youtubeRootUrl });
+    }
+
+    return {
+        isConfigured,
+        scopes: GOOGLE_SCOPES,
+        createAuthorizeURL,
+        exchangeCode,
+        refreshAccessToken,
+        exchangeGrant,
+        refreshGrant,
+        revokeToken,
+        youtubeForUser
+    };
+};
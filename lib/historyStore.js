@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Conversion History ---
+// One entry per finished conversion, owned by the destination user that ran
+// it (see routes/convert.js). Unlike jobs, entries don't expire; each user
+// keeps their most recent `maxEntriesPerUser`. Entries record what is needed to
+// re-run a conversion and to undo it (the playlist it created, or the tracks it
+// added to / removed from an existing one).
+//
+// Drivers: 'memory', 'file' (JSON file) and 'sqlite' (needs the optional
+// better-sqlite3 package), same as lib/matchCache.js.
+
+const HISTORY_DRIVERS = ['memory', 'file', 'sqlite'];
+const DEFAULT_MAX_ENTRIES_PER_USER = 200;
+const PERSIST_DEBOUNCE_MS = 1000;
+
+// Newest first; ISO timestamps sort as strings
+const byNewest = (a, b) => (a.created_at < b.created_at ? 1 : (a.created_at > b.created_at ? -1 : 0));
+
+// --- Drivers ---
+function createMemoryDriver() {
+    const entries = new Map();
+    const forUser = (userKey) => Array.from(entries.values()).filter(entry => entry.user_key === userKey).sort(byNewest);
+    return {
+        flush: () => {}, // Nothing is pending in memory
+        get: (id) => entries.get(id) || null,
+        set: (entry) => { entries.set(entry.id, entry); },
+        listForUser: (userKey, { limit, offset }) => forUser(userKey).slice(offset, offset + limit),
+        countForUser: (userKey) => forUser(userKey).length,
+        // Drop all but the `keep` newest entries of a user
+        trimUser: (userKey, keep) => {
+            const stale = forUser(userKey).slice(keep);
+            stale.forEach(entry => entries.delete(entry.id));
+            return stale.length;
+        },
+        entries: () => entries
+    };
+}
+
+// Memory driver mirrored to a JSON file (same approach as lib/matchCache.js)
+function createFileDriver(filePath) {
+    const memory = createMemoryDriver();
+    let persistTimer = null;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            (saved.entries || []).forEach(entry => memory.set(entry));
+            console.log(`[HISTORY] Loaded ${memory.entries().size} entries from ${filePath}`);
+        } catch (err) {
+            console.error(`[HISTORY] Could not load ${filePath}:`, err.message);
+        }
+    }
+
+    function writeToDisk() {
+        persistTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpFile = `${filePath}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ entries: Array.from(memory.entries().values()) }));
+            fs.renameSync(tmpFile, filePath);
+        } catch (err) {
+            console.error(`[HISTORY] Could not write ${filePath}:`, err.message);
+        }
+    }
+
+    function schedulePersist() {
+        if (persistTimer) return;
+        persistTimer = setTimeout(writeToDisk, PERSIST_DEBOUNCE_MS);
+        persistTimer.unref();
+    }
+
+    // Writes a pending change now instead of after the debounce (shutdown)
+    function flush() {
+        if (!persistTimer) return;
+        clearTimeout(persistTimer);
+        writeToDisk();
+    }
+
+    return {
+        ...memory,
+        flush,
+        set: (entry) => { memory.set(entry); schedulePersist(); },
+        trimUser: (userKey, keep) => {
+            const removed = memory.trimUser(userKey, keep);
+            if (removed > 0) schedulePersist();
+            return removed;
+        }
+    };
+}
+
+function createSqliteDriver(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error("HISTORY_DRIVER=sqlite requires the 'better-sqlite3' package (npm install better-sqlite3).");
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL'); // Lets several pm2 instances read while one writes
+    db.exec(`CREATE TABLE IF NOT EXISTS conversion_history (
+        id TEXT PRIMARY KEY,
+        user_key TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        entry TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS conversion_history_user ON conversion_history (user_key, created_at)`);
+    const statements = {
+        get: db.prepare('SELECT entry FROM conversion_history WHERE id = ?'),
+        set: db.prepare('INSERT OR REPLACE INTO conversion_history (id, user_key, created_at, entry) VALUES (?, ?, ?, ?)'),
+        list: db.prepare('SELECT entry FROM conversion_history WHERE user_key = ? ORDER BY created_at DESC LIMIT ? OFFSET ?'),
+        count: db.prepare('SELECT COUNT(*) AS total FROM conversion_history WHERE user_key = ?'),
+        trim: db.prepare(`DELETE FROM conversion_history WHERE user_key = ? AND id NOT IN (
+            SELECT id FROM conversion_history WHERE user_key = ? ORDER BY created_at DESC LIMIT ?
+        )`)
+    };
+    console.log(`[HISTORY] Using SQLite database ${filePath}`);
+
+    return {
+        flush: () => {}, // Every write is already in the database
+        get: (id) => {
+            const row = statements.get.get(id);
+            return row ? JSON.parse(row.entry) : null;
+        },
+        set: (entry) => {
+            statements.set.run(entry.id, entry.user_key, entry.created_at, JSON.stringify(entry));
+        },
+        listForUser: (userKey, { limit, offset }) => statements.list.all(userKey, limit, offset).map(row => JSON.parse(row.entry)),
+        countForUser: (userKey) => statements.count.get(userKey).total,
+        trimUser: (userKey, keep) => statements.trim.run(userKey, userKey, keep).changes
+    };
+}
+
+// History is per destination account: the same ID on two services is two users
+function userKeyFor(target, userId) {
+    return `${target}:${userId}`;
+}
+
+// Entries as handed out: the internal owner key stays in the store
+function publicEntry(entry) {
+    const { user_key, ...rest } = entry;
+    return rest;
+}
+
+// List view: everything except the per-track report
+function summarize(entry) {
+    const { tracks, ...summary } = publicEntry(entry);
+    return summary;
+}
+
+// --- Store Facade ---
+module.exports = function createHistoryStore(options = {}) {
+    const {
+        driver = 'memory',
+        filePath = null,
+        maxEntriesPerUser = DEFAULT_MAX_ENTRIES_PER_USER
+    } = options;
+
+    if (!HISTORY_DRIVERS.includes(driver)) {
+        throw new Error(`Unknown history driver '${driver}' (expected one of ${HISTORY_DRIVERS.join(', ')}).`);
+    }
+    if (driver !== 'memory' && !filePath) {
+        throw new Error(`History driver '${driver}' needs a file path.`);
+    }
+    const store = driver === 'sqlite' ? createSqliteDriver(filePath)
+        : driver === 'file' ? createFileDriver(filePath)
+        : createMemoryDriver();
+
+    /**
+     * Store a finished conversion.
+     * @param {string} target Destination ID (lib/destinations.js)
+     * @param {string} userId Destination user ID
+     * @param {object} fields Entry fields (see recordHistory in routes/convert.js)
+     * @returns {object} The stored entry, with its id
+     */
+    function record(target, userId, fields) {
+        const userKey = userKeyFor(target, userId);
+        const entry = {
+            id: crypto.randomUUID(),
+            user_key: userKey,
+            target: target,
+            user_id: userId,
+            created_at: new Date().toISOString(),
+            undone_at: null,
+            ...fields
+        };
+        store.set(entry);
+        store.trimUser(userKey, maxEntriesPerUser);
+        return publicEntry(entry);
+    }
+
+    function getOwned(target, userId, id) {
+        const entry = store.get(id);
+        return entry && entry.user_key === userKeyFor(target, userId) ? entry : null;
+    }
+
+    // Full entry, or null when it doesn't exist or belongs to someone else
+    function get(target, userId, id) {
+        const entry = getOwned(target, userId, id);
+        return entry ? publicEntry(entry) : null;
+    }
+
+    function list(target, userId, { limit = 20, offset = 0 } = {}) {
+        const userKey = userKeyFor(target, userId);
+        return {
+            total: store.countForUser(userKey),
+            entries: store.listForUser(userKey, { limit, offset }).map(summarize)
+        };
+    }
+
+    // Merge `changes` into an entry the user owns; returns the updated entry or null
+    function update(target, userId, id, changes) {
+        const entry = getOwned(target, userId, id);
+        if (!entry) return null;
+        const updated = { ...entry, ...changes };
+        store.set(updated);
+        return publicEntry(updated);
+    }
+
+    return {
+        driver,
+        flush: () => store.flush(), // Pending file writes, now (shutdown)
+        record,
+        get,
+        list,
+        update
+    };
+};
+
+module.exports.HISTORY_DRIVERS = HISTORY_DRIVERS;
@@ -0,0 +1,334 @@
+// --- Playlist File Importers ---
+// Turn uploaded track lists into the same track records getYoutubePlaylistItems
+// produces ({ title, channel, videoId, position, durationMs, description,
+// publishedAt, metadata, isrc }), so imports go through the exact same
+// Spotify matching as YouTube playlists.
+//
+// Supported:
+//   csv      - any CSV with title/artist(/album/duration/isrc) columns (Exportify etc.)
+//   takeout  - Google Takeout YouTube playlist CSV (video IDs only, details fetched later)
+//   m3u      - M3U / M3U8 (#EXTINF "Artist - Title" lines, YouTube URLs)
+//   xspf     - XSPF XML playlists
+//   spotify  - Spotify account data export JSON (Playlist1.json)
+
+const IMPORT_FORMATS = ['csv', 'takeout', 'm3u', 'xspf', 'spotify'];
+const MAX_IMPORT_TRACKS = 10000;
+
+const YOUTUBE_VIDEO_URL_PATTERN = /(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/)|youtu\.be\/)([A-Za-z0-9_-]{11})/;
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// Header names we accept for each field (compared lowercased, without punctuation)
+const CSV_COLUMNS = {
+    title: ['title', 'track', 'track name', 'trackname', 'song', 'song name', 'name'],
+    artist: ['artist', 'artists', 'artist name', 'artist names', 'artist name s', 'artistname', 'performer', 'creator'],
+    album: ['album', 'album name', 'albumname', 'album title'],
+    duration: ['duration', 'duration ms', 'duration_ms', 'length', 'time'],
+    isrc: ['isrc'],
+    videoId: ['video id', 'videoid', 'youtube id', 'youtube video id'],
+    url: ['url', 'link', 'location', 'youtube url']
+};
+
+function createTrack(fields) {
+    return {
+        title: fields.title,
+        channel: fields.channel || null,
+        videoId: fields.videoId || null,
+        position: fields.position,
+        durationMs: fields.durationMs || null,
+        description: null,
+        publishedAt: null,
+        metadata: fields.metadata || null,
+        isrc: fields.isrc || null
+    };
+}
+
+// Known artist + title: build the same shape lib/descriptionParser.js returns so
+// the matcher searches with exact fields instead of parsing a title
+function trackFromFields({ title, artist, album = null, durationMs = null, isrc = null, videoId = null }, position) {
+    const artists = title && artist ? artist.split(/\s*[;,]\s*/).filter(Boolean) : [];
+    return createTrack({
+        title: artists.length ? `${artists.join(', ')} - ${title}` : title,
+        videoId,
+        position,
+        durationMs,
+        isrc: isrc ? isrc.replace(/-/g, '').toUpperCase() : null,
+        metadata: artists.length ? { track: title, artists, album, releaseYear: null, label: null, isrc: isrc || null } : null
+    });
+}
+
+// "3:45", "225" (seconds) or "225000" (ms) -> milliseconds
+function parseDuration(value, assumeMs = false) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+:\d{1,2}(?::\d{1,2})?$/.test(text)) {
+        return text.split(':').reduce((total, part) => total * 60 + Number(part), 0) * 1000;
+    }
+    const number = Number(text);
+    if (!Number.isFinite(number) || number <= 0) return null;
+    return assumeMs || number > 36000 ? Math.round(number) : Math.round(number * 1000);
+}
+
+// --- CSV ---
+
+// RFC 4180 parser: quoted fields, escaped quotes, newlines inside quotes
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function headerKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function findColumn(header, field) {
+    const keys = header.map(headerKey);
+    const wanted = CSV_COLUMNS[field].map(headerKey);
+    return keys.findIndex(key => wanted.includes(key));
+}
+
+function parseCsv(text) {
+    const rows = parseCsvRows(text).filter(row => row.some(cell => cell.trim()));
+    if (rows.length < 2) throw new Error("CSV file needs a header row and at least one track.");
+    const header = rows[0];
+    const columns = {};
+    Object.keys(CSV_COLUMNS).forEach(field => { columns[field] = findColumn(header, field); });
+    const durationIsMs = columns.duration >= 0 && /ms/i.test(header[columns.duration]);
+    if (columns.title < 0 && columns.videoId < 0 && columns.url < 0) {
+        throw new Error("CSV file needs a 'title' (or 'track name') column.");
+    }
+
+    const cell = (row, field) => (columns[field] >= 0 ? (row[columns[field]] || '').trim() : '');
+    const tracks = [];
+    rows.slice(1).forEach(row => {
+        const urlMatch = YOUTUBE_VIDEO_URL_PATTERN.exec(cell(row, 'url'));
+        const videoId = cell(row, 'videoId') || (urlMatch ? urlMatch[1] : null);
+        const title = cell(row, 'title');
+        if (!title && !videoId) return;
+        tracks.push(trackFromFields({
+            title: title || null,
+            artist: cell(row, 'artist'),
+            album: cell(row, 'album') || null,
+            durationMs: parseDuration(cell(row, 'duration'), durationIsMs),
+            isrc: cell(row, 'isrc') || null,
+            videoId: videoId && VIDEO_ID_PATTERN.test(videoId) ? videoId : null
+        }, tracks.length));
+    });
+    return { name: null, tracks };
+}
+
+// Takeout CSVs hold video IDs only (titles are looked up through the API).
+// Older exports start with a playlist metadata block before the video list.
+function parseTakeoutCsv(text) {
+    const rows = parseCsvRows(text);
+    let name = null;
+    const headerIndex = rows.findIndex(row => row.some(cell => headerKey(cell) === 'video id'));
+    if (headerIndex < 0) throw new Error("Takeout CSV has no 'Video ID' column.");
+    // Metadata block: "Playlist ID,Channel ID,...,Title,..." followed by one row of values
+    const metaIndex = rows.findIndex((row, index) => index < headerIndex && row.some(cell => headerKey(cell) === 'title'));
+    if (metaIndex >= 0 && rows[metaIndex + 1]) {
+        name = rows[metaIndex + 1][rows[metaIndex].findIndex(cell => headerKey(cell) === 'title')] || null;
+    }
+    const idColumn = rows[headerIndex].findIndex(cell => headerKey(cell) === 'video id');
+    const tracks = [];
+    rows.slice(headerIndex + 1).forEach(row => {
+        const videoId = (row[idColumn] || '').trim();
+        if (VIDEO_ID_PATTERN.test(videoId)) {
+            tracks.push(createTrack({ title: null, videoId, position: tracks.length }));
+        }
+    });
+    return { name, tracks };
+}
+
+// --- M3U ---
+
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (err) {
+        return text; // Not percent-encoded after all
+    }
+}
+
+function parseM3u(text) {
+    const tracks = [];
+    let name = null;
+    let pending = null; // { durationMs, label } from the last #EXTINF
+    text.split(/\r?\n/).map(line => line.trim()).forEach(line => {
+        if (!line) return;
+        if (line.startsWith('#PLAYLIST:')) {
+            name = line.slice('#PLAYLIST:'.length).trim() || null;
+        } else if (line.startsWith('#EXTINF:')) {
+            const info = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/.exec(line);
+            pending = info ? { durationMs: Number(info[1]) > 0 ? Math.round(Number(info[1]) * 1000) : null, label: info[2].trim() } : null;
+        } else if (!line.startsWith('#')) {
+            const urlMatch = YOUTUBE_VIDEO_URL_PATTERN.exec(line);
+            // Fall back to the file name ("Artist - Title.mp3") when there's no #EXTINF
+            const fileName = safeDecode(line.split(/[\\/]/).pop() || '').replace(/\.[a-z0-9]{2,5}$/i, '');
+            const title = pending?.label || (urlMatch ? null : fileName);
+            if (title || urlMatch) {
+                tracks.push(createTrack({
+                    title: title || null,
+                    videoId: urlMatch ? urlMatch[1] : null,
+                    position: tracks.length,
+                    durationMs: pending?.durationMs || null
+                }));
+            }
+            pending = null;
+        }
+    });
+    return { name, tracks };
+}
+
+// --- XSPF ---
+
+function decodeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (whole, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (whole, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function xmlField(xml, tag) {
+    const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+    return match ? decodeXml(match[1]) : null;
+}
+
+function parseXspf(text) {
+    const trackList = /<trackList\b[^>]*>([\s\S]*?)<\/trackList>/i.exec(text);
+    if (!trackList) throw new Error("XSPF file has no <trackList>.");
+    const name = xmlField(text.slice(0, trackList.index), 'title');
+    const tracks = [];
+    (trackList[1].match(/<track\b[^>]*>[\s\S]*?<\/track>/gi) || []).forEach(trackXml => {
+        const title = xmlField(trackXml, 'title');
+        const location = xmlField(trackXml, 'location') || '';
+        const urlMatch = YOUTUBE_VIDEO_URL_PATTERN.exec(location);
+        if (!title && !urlMatch) return;
+        tracks.push(trackFromFields({
+            title: title,
+            artist: xmlField(trackXml, 'creator'),
+            album: xmlField(trackXml, 'album'),
+            durationMs: parseDuration(xmlField(trackXml, 'duration'), true),
+            videoId: urlMatch ? urlMatch[1] : null
+        }, tracks.length));
+    });
+    return { name, tracks };
+}
+
+// --- Spotify account data export ---
+
+// Playlist1.json: { playlists: [{ name, items: [{ track: { trackName, artistName, albumName } }] }] }
+function parseSpotifyExport(text, { playlistName = null } = {}) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error("Spotify export is not valid JSON.");
+    }
+    const playlists = Array.isArray(data.playlists) ? data.playlists : [];
+    if (playlists.length === 0) throw new Error("Spotify export has no playlists.");
+    let playlist = playlists[0];
+    if (playlistName) {
+        playlist = playlists.find(p => p.name === playlistName);
+        if (!playlist) throw new Error(`Playlist '${playlistName}' not found in the export. Available: ${playlists.map(p => p.name).join(', ')}`);
+    } else if (playlists.length > 1) {
+        throw new Error(`The export holds ${playlists.length} playlists; pick one with 'source_playlist'. Available: ${playlists.map(p => p.name).join(', ')}`);
+    }
+    const tracks = [];
+    (playlist.items || []).forEach(item => {
+        const track = item.track;
+        if (!track || !track.trackName) return; // Episodes and local files
+        tracks.push(trackFromFields({
+            title: track.trackName,
+            artist: track.artistName,
+            album: track.albumName || null
+        }, tracks.length));
+    });
+    return { name: playlist.name || null, tracks };
+}
+
+/**
+ * Guess the format from the file name and contents.
+ * @param {string} content
+ * @param {?string} [fileName]
+ * @returns {?string} One of IMPORT_FORMATS, or null
+ */
+function detectImportFormat(content, fileName = null) {
+    const extension = (fileName || '').toLowerCase().split('.').pop();
+    const head = content.slice(0, 2000).trimStart();
+    if (extension === 'xspf' || /^<\?xml[\s\S]*<playlist\b/i.test(head) || /^<playlist\b/i.test(head)) return 'xspf';
+    if (extension === 'm3u' || extension === 'm3u8' || head.startsWith('#EXTM3U')) return 'm3u';
+    if (extension === 'json' || head.startsWith('{')) return 'spotify';
+    // Takeout lists only video IDs; a CSV that also has titles is a regular one
+    const videoIdHeader = head.split(/\r?\n/).find(line => /(^|,)\s*"?Video ID"?\s*(,|$)/i.test(line));
+    if (videoIdHeader && !/title|track|name/i.test(videoIdHeader)) return 'takeout';
+    if (extension === 'csv' || head.includes(',')) return 'csv';
+    return null;
+}
+
+/**
+ * Parse an uploaded playlist file.
+ * @param {string} content File contents
+ * @param {string} format One of IMPORT_FORMATS
+ * @param {{playlistName?: ?string}} [options] Which playlist to take from multi-playlist exports
+ * @returns {{name: ?string, tracks: object[]}} Throws with a user-facing message when unreadable
+ */
+function parseImport(content, format, options = {}) {
+    const text = content.replace(/^\uFEFF/, ''); // Excel likes to add a BOM
+    let parsed;
+    if (format === 'csv') parsed = parseCsv(text);
+    else if (format === 'takeout') parsed = parseTakeoutCsv(text);
+    else if (format === 'm3u') parsed = parseM3u(text);
+    else if (format === 'xspf') parsed = parseXspf(text);
+    else if (format === 'spotify') parsed = parseSpotifyExport(text, options);
+    else throw new Error(`Unsupported import format: ${format}`);
+
+    if (parsed.tracks.length > MAX_IMPORT_TRACKS) {
+        throw new Error(`Too many tracks in file (${parsed.tracks.length}); at most ${MAX_IMPORT_TRACKS} per import.`);
+    }
+    return parsed;
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    detectImportFormat,
+    parseImport
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// --- Job Store ---
+// Keeps track of background conversion jobs. State lives in memory and, when a
+// persist file is configured (JOB_STORE_FILE), is mirrored to disk so finished
+// results are still available after a restart. Finished jobs carry their whole
+// report, so only the newest maxFinishedJobs of them are kept (and only for ttlMs).
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+const TERMINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // Keep finished jobs around for a day
+const DEFAULT_MAX_FINISHED_JOBS = 500;
+const PERSIST_DEBOUNCE_MS = 500;
+
+function isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+}
+
+module.exports = function createJobStore(options = {}) {
+    const { persistFile = null, ttlMs = DEFAULT_TTL_MS, maxFinishedJobs = DEFAULT_MAX_FINISHED_JOBS } = options;
+
+    const jobs = new Map();
+    const controllers = new Map(); // jobId -> AbortController (never persisted)
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0); // One listener per open SSE stream
+
+    let persistTimer = null;
+
+    // --- Persistence ---
+    function loadFromDisk() {
+        if (!persistFile || !fs.existsSync(persistFile)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(persistFile, 'utf8'));
+            (saved.jobs || []).forEach(job => {
+                // A job that was mid-flight when the process died can't be resumed:
+                // the user's access token was never written to disk.
+                if (!isTerminal(job.status)) {
+                    job.status = JOB_STATUS.FAILED;
+                    job.error = 'Server restarted before the job finished. Please start the conversion again.';
+                    job.finished_at = new Date().toISOString();
+                    job.updated_at = job.finished_at;
+                }
+                jobs.set(job.id, job);
+            });
+            console.log(`[JOBS] Restored ${jobs.size} job(s) from ${persistFile}`);
+        } catch (err) {
+            console.error(`[JOBS] Could not load job store from ${persistFile}:`, err.message);
+        }
+    }
+
+    function writeToDisk() {
+        persistTimer = null;
+        if (!persistFile) return;
+        try {
+            fs.mkdirSync(path.dirname(persistFile), { recursive: true });
+            const tmpFile = `${persistFile}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ jobs: Array.from(jobs.values()) }));
+            fs.renameSync(tmpFile, persistFile); // Atomic swap so a crash never leaves half a file
+        } catch (err) {
+            console.error(`[JOBS] Could not persist job store to ${persistFile}:`, err.message);
+        }
+    }
+
+    function schedulePersist() {
+        if (!persistFile || persistTimer) return;
+        persistTimer = setTimeout(writeToDisk, PERSIST_DEBOUNCE_MS);
+        persistTimer.unref();
+    }
+
+    // Writes a pending change now instead of after the debounce (shutdown)
+    function flush() {
+        if (!persistTimer) return;
+        clearTimeout(persistTimer);
+        writeToDisk();
+    }
+
+    // Drop finished jobs older than the TTL, then the oldest ones over maxFinishedJobs
+    function prune() {
+        const cutoff = Date.now() - ttlMs;
+        let removed = 0;
+        const finished = [];
+        for (const [id, job] of jobs) {
+            if (!isTerminal(job.status)) continue;
+            if (Date.parse(job.updated_at) < cutoff) {
+                jobs.delete(id);
+                removed++;
+            } else {
+                finished.push(job);
+            }
+        }
+        if (finished.length > maxFinishedJobs) {
+            finished.sort((a, b) => Date.parse(a.finished_at) - Date.parse(b.finished_at));
+            finished.slice(0, finished.length - maxFinishedJobs).forEach(job => jobs.delete(job.id));
+            removed += finished.length - maxFinishedJobs;
+        }
+        if (removed > 0) schedulePersist();
+    }
+
+    // --- Job Lifecycle ---
+    function createJob(params) {
+        prune();
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            status: JOB_STATUS.QUEUED,
+            params: params,
+            progress: { stage: 'queued', fetched: 0, total: 0, searched: 0, matched: 0, added: 0 },
+            result: null,
+            error: null,
+            created_at: now,
+            updated_at: now,
+            finished_at: null
+        };
+        jobs.set(job.id, job);
+        controllers.set(job.id, new AbortController());
+        schedulePersist();
+        return job;
+    }
+
+    function getJob(id) {
+        return jobs.get(id) || null;
+    }
+
+    function getSignal(id) {
+        return controllers.get(id)?.signal || null;
+    }
+
+    // Record a progress event and notify any listeners (SSE streams)
+    function reportProgress(id, stage, counts = {}) {
+        const job = jobs.get(id);
+        if (!job || isTerminal(job.status)) return;
+        if (job.status === JOB_STATUS.QUEUED) job.status = JOB_STATUS.RUNNING;
+        job.progress = { ...job.progress, ...counts, stage: stage };
+        job.updated_at = new Date().toISOString();
+        schedulePersist();
+        emitter.emit(id, { type: 'progress', job: job });
+    }
+
+    function finishJob(id, status, { result = null, error = null } = {}) {
+        const job = jobs.get(id);
+        if (!job || isTerminal(job.status)) return;
+        job.status = status;
+        job.result = result;
+        job.error = error;
+        job.progress = { ...job.progress, stage: status };
+        job.finished_at = new Date().toISOString();
+        job.updated_at = job.finished_at;
+        controllers.delete(id);
+        prune();
+        schedulePersist();
+        emitter.emit(id, { type: 'done', job: job });
+    }
+
+    // Ask a running job to stop. The pipeline notices via its AbortSignal.
+    function cancelJob(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+        if (isTerminal(job.status)) return job;
+        const controller = controllers.get(id);
+        if (controller) controller.abort();
+        finishJob(id, JOB_STATUS.CANCELLED, { error: 'Conversion cancelled by user.' });
+        return job;
+    }
+
+    // Listen to a job's events. Returns an unsubscribe function.
+    function subscribe(id, listener) {
+        emitter.on(id, listener);
+        return () => emitter.off(id, listener);
+    }
+
+    loadFromDisk();
+    prune();
+
+    return {
+        createJob,
+        getJob,
+        getSignal,
+        reportProgress,
+        finishJob,
+        cancelJob,
+        subscribe,
+        flush
+    };
+};
+
+module.exports.JOB_STATUS = JOB_STATUS;
+module.exports.isTerminal = isTerminal;
@@ -0,0 +1,128 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// --- Structured Logger ---
+// One JSON object per line: time, level, pid, component, msg, plus the fields
+// of the current log context (request_id, job_id, user_id...). The context
+// follows async work through AsyncLocalStorage, so everything a request starts,
+// including its background job, carries the same request_id.
+//
+// Most of the code base logs through console.* with a "[TAG]" prefix;
+// captureConsole() routes those calls through the logger (the tag becomes
+// `component`, console.debug/log/warn/error become the levels) so they don't
+// have to be rewritten. Tokens are redacted from messages and fields.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['json', 'pretty'];
+
+const context = new AsyncLocalStorage();
+
+// Field names whose values are never logged
+const SENSITIVE_KEY_PATTERN = /token|secret|password|authorization|cookie|verifier|api_?key/i;
+// Secrets inside free text: bearer tokens, OAuth query/fragment parameters, JSON token fields
+const SENSITIVE_TEXT_PATTERNS = [
+    [/\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, '$1[REDACTED]'],
+    [/([?&#](?:access_token|refresh_token|id_token|token|code|state|code_challenge|client_secret|key)=)[^&\s#"']+/gi, '$1[REDACTED]'],
+    [/("(?:access_token|refresh_token|id_token|client_secret)"\s*:\s*")[^"]+/gi, '$1[REDACTED]']
+];
+const TAG_PATTERN = /^\[([A-Z0-9_]+)\]\s*/;
+
+function redactText(text) {
+    return SENSITIVE_TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Deep copy with sensitive keys masked and strings scrubbed
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactText(value);
+    if (value instanceof Error) return { message: redactText(value.message), stack: value.stack ? redactText(value.stack) : undefined };
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SENSITIVE_KEY_PATTERN.test(key) && item ? '[REDACTED]' : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+/**
+ * Runs `fn` with `fields` added to the log context (nested calls merge).
+ * @param {object} fields e.g. { request_id } or { job_id }
+ * @param {Function} fn
+ */
+function runWithContext(fields, fn) {
+    return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+// Adds fields to the current context (e.g. user_id once a request is authenticated)
+function setLogContext(fields) {
+    const store = context.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+const getLogContext = () => context.getStore() || {};
+
+/**
+ * @param {object} [options]
+ * @param {'debug'|'info'|'warn'|'error'} [options.level='info'] Lowest level written
+ * @param {'json'|'pretty'} [options.format='json'] pretty: one readable line, for local development
+ */
+function createLogger({ level = 'info', format = 'json', bindings = {}, stdout = process.stdout, stderr = process.stderr } = {}) {
+    if (!LOG_LEVELS[level]) throw new Error(`Unknown log level '${level}' (expected one of ${Object.keys(LOG_LEVELS).join(', ')}).`);
+    if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format '${format}' (expected one of ${LOG_FORMATS.join(', ')}).`);
+    const minLevel = LOG_LEVELS[level];
+
+    function write(levelName, message, fields = {}) {
+        if (LOG_LEVELS[levelName] < minLevel) return;
+        const entry = redact({ ...bindings, ...getLogContext(), ...fields });
+        const stream = LOG_LEVELS[levelName] >= LOG_LEVELS.warn ? stderr : stdout;
+        const time = new Date().toISOString();
+        const msg = redactText(message);
+        if (format === 'pretty') {
+            const { component, request_id, job_id, ...rest } = entry;
+            const prefix = [request_id && `req=${request_id.slice(0, 8)}`, job_id && `job=${job_id.slice(0, 8)}`, component && `[${component}]`]
+                .filter(Boolean).join(' ');
+            const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+            stream.write(`${time} ${levelName.toUpperCase().padEnd(5)} ${prefix ? `${prefix} ` : ''}${msg}${extra}\n`);
+            return;
+        }
+        stream.write(`${JSON.stringify({ time, level: levelName, pid: process.pid, ...entry, msg })}\n`);
+    }
+
+    const logger = {
+        level,
+        format,
+        isLevelEnabled: (levelName) => LOG_LEVELS[levelName] >= minLevel,
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        // Logger that adds `childBindings` to every entry (e.g. { component: 'HTTP' })
+        child: (childBindings) => createLogger({ level, format, bindings: { ...bindings, ...childBindings }, stdout, stderr }),
+
+        // Replaces console.* so existing "[TAG] message" logging becomes structured
+        captureConsole() {
+            const bridge = (levelName) => (...args) => {
+                if (LOG_LEVELS[levelName] < minLevel) return;
+                // Plain objects are masked before util.format inspects them
+                let message = util.format(...args.map(arg => (arg && typeof arg === 'object' && !(arg instanceof Error) ? redact(arg) : arg)));
+                const tag = TAG_PATTERN.exec(message);
+                if (tag) message = message.slice(tag[0].length);
+                write(levelName, message.trim(), tag ? { component: tag[1] } : {});
+            };
+            console.debug = bridge('debug');
+            console.log = bridge('info');
+            console.info = bridge('info');
+            console.warn = bridge('warn');
+            console.error = bridge('error');
+        }
+    };
+    return logger;
+}
+
+module.exports = createLogger;
+module.exports.LOG_LEVELS = LOG_LEVELS;
+module.exports.LOG_FORMATS = LOG_FORMATS;
+module.exports.runWithContext = runWithContext;
+module.exports.setLogContext = setLogContext;
+module.exports.getLogContext = getLogContext;
+module.exports.redact = redact;
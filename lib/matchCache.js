@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_THRESHOLD } = require('./trackMatcher');
+
+// --- Match Cache ---
+// Maps YouTube video IDs to the Spotify track they resolved to, so popular
+// videos aren't searched again for every user. Misses (and low-confidence
+// hits) are cached too, but expire so they get retried later. User
+// corrections are stored with source 'user' and always win over searches.
+//
+// Drivers: 'memory', 'file' (JSON file) and 'sqlite' (needs the optional
+// better-sqlite3 package). All drivers share the same synchronous interface.
+
+const CACHE_DRIVERS = ['memory', 'file', 'sqlite'];
+const DEFAULT_NEGATIVE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Retry misses after a week
+const PERSIST_DEBOUNCE_MS = 1000;
+
+// --- Drivers ---
+function createMemoryDriver() {
+    const entries = new Map();
+    return {
+        flush: () => {}, // Nothing is pending in memory
+        get: (videoId) => entries.get(videoId) || null,
+        set: (entry) => { entries.set(entry.video_id, entry); },
+        delete: (videoId) => entries.delete(videoId),
+        list: ({ limit, offset }) => Array.from(entries.values()).slice(offset, offset + limit),
+        count: () => entries.size,
+        clear: (predicate) => {
+            let removed = 0;
+            for (const [videoId, entry] of entries) {
+                if (!predicate || predicate(entry)) {
+                    entries.delete(videoId);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+        entries: () => entries
+    };
+}
+
+// Memory driver mirrored to a JSON file (same approach as lib/jobStore.js)
+function createFileDriver(filePath) {
+    const memory = createMemoryDriver();
+    let persistTimer = null;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            (saved.entries || []).forEach(entry => memory.set(entry));
+            console.log(`[MATCH_CACHE] Loaded ${memory.count()} entries from ${filePath}`);
+        } catch (err) {
+            console.error(`[MATCH_CACHE] Could not load ${filePath}:`, err.message);
+        }
+    }
+
+    function writeToDisk() {
+        persistTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpFile = `${filePath}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ entries: Array.from(memory.entries().values()) }));
+            fs.renameSync(tmpFile, filePath);
+        } catch (err) {
+            console.error(`[MATCH_CACHE] Could not write ${filePath}:`, err.message);
+        }
+    }
+
+    function schedulePersist() {
+        if (persistTimer) return;
+        persistTimer = setTimeout(writeToDisk, PERSIST_DEBOUNCE_MS);
+        persistTimer.unref();
+    }
+
+    // Writes a pending change now instead of after the debounce (shutdown)
+    function flush() {
+        if (!persistTimer) return;
+        clearTimeout(persistTimer);
+        writeToDisk();
+    }
+
+    return {
+        ...memory,
+        flush,
+        set: (entry) => { memory.set(entry); schedulePersist(); },
+        delete: (videoId) => { const removed = memory.delete(videoId); schedulePersist(); return removed; },
+        clear: (predicate) => { const removed = memory.clear(predicate); schedulePersist(); return removed; }
+    };
+}
+
+function createSqliteDriver(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error("MATCH_CACHE_DRIVER=sqlite requires the 'better-sqlite3' package (npm install better-sqlite3).");
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL'); // Lets several pm2 instances read while one writes
+    db.exec(`CREATE TABLE IF NOT EXISTS match_cache (
+        video_id TEXT PRIMARY KEY,
+        entry TEXT NOT NULL,
+        source TEXT NOT NULL,
+        expires_at INTEGER
+    )`);
+    const statements = {
+        get: db.prepare('SELECT entry FROM match_cache WHERE video_id = ?'),
+        set: db.prepare('INSERT OR REPLACE INTO match_cache (video_id, entry, source, expires_at) VALUES (?, ?, ?, ?)'),
+        delete: db.prepare('DELETE FROM match_cache WHERE video_id = ?'),
+        list: db.prepare('SELECT entry FROM match_cache ORDER BY video_id LIMIT ? OFFSET ?'),
+        count: db.prepare('SELECT COUNT(*) AS total FROM match_cache'),
+        all: db.prepare('SELECT entry FROM match_cache')
+    };
+    console.log(`[MATCH_CACHE] Using SQLite database ${filePath}`);
+
+    return {
+        flush: () => {}, // Every write is already in the database
+        get: (videoId) => {
+            const row = statements.get.get(videoId);
+            return row ? JSON.parse(row.entry) : null;
+        },
+        set: (entry) => {
+            statements.set.run(entry.video_id, JSON.stringify(entry), entry.source, entry.expires_at);
+        },
+        delete: (videoId) => statements.delete.run(videoId).changes > 0,
+        list: ({ limit, offset }) => statements.list.all(limit, offset).map(row => JSON.parse(row.entry)),
+        count: () => statements.count.get().total,
+        clear: (predicate) => {
+            const removeMatching = db.transaction(() => {
+                let removed = 0;
+                statements.all.all().forEach(row => {
+                    const entry = JSON.parse(row.entry);
+                    if (!predicate || predicate(entry)) {
+                        removed += statements.delete.run(entry.video_id).changes;
+                    }
+                });
+                return removed;
+            });
+            return removeMatching();
+        }
+    };
+}
+
+// --- Cache Facade ---
+module.exports = function createMatchCache(options = {}) {
+    const {
+        driver = 'memory',
+        filePath = null,
+        negativeTtlMs = DEFAULT_NEGATIVE_TTL_MS,
+        acceptThreshold = DEFAULT_THRESHOLD // Hits scoring below this are cached like misses (with a TTL)
+    } = options;
+
+    if (!CACHE_DRIVERS.includes(driver)) {
+        throw new Error(`Unknown match cache driver '${driver}' (expected one of ${CACHE_DRIVERS.join(', ')}).`);
+    }
+    if (driver !== 'memory' && !filePath) {
+        throw new Error(`Match cache driver '${driver}' needs a file path.`);
+    }
+    const store = driver === 'sqlite' ? createSqliteDriver(filePath)
+        : driver === 'file' ? createFileDriver(filePath)
+        : createMemoryDriver();
+
+    const isExpired = (entry) => entry.expires_at !== null && entry.expires_at <= Date.now();
+
+    // Returns the live entry for a video, dropping it if it has expired
+    function get(videoId) {
+        if (!videoId) return null;
+        const entry = store.get(videoId);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            store.delete(videoId);
+            return null;
+        }
+        return entry;
+    }
+
+    // Record an automatic search outcome. `match` is null for a miss.
+    // Never overwrites a user correction.
+    function recordSearch(videoId, match) {
+        if (!videoId) return;
+        const existing = store.get(videoId);
+        if (existing && existing.source === 'user') return;
+        const confident = Boolean(match && match.score >= acceptThreshold);
+        store.set({
+            video_id: videoId,
+            spotify_uri: match?.uri || null,
+            name: match?.name || null,
+            artists: match?.artists || [],
+            isrc: match?.isrc || null, // Lets conversions dedupe by recording
+            strategy: match?.strategy || null,
+            score: match?.score ?? null,
+            source: 'auto',
+            created_at: new Date().toISOString(),
+            expires_at: confident ? null : Date.now() + negativeTtlMs
+        });
+    }
+
+    // Record a manual correction; it overrides automatic matching for this video
+    function recordCorrection(videoId, { uri, name = null, artists = [], correctedBy = null }) {
+        const entry = {
+            video_id: videoId,
+            spotify_uri: uri,
+            name: name,
+            artists: artists,
+            strategy: 'User Correction',
+            score: 1,
+            source: 'user',
+            corrected_by: correctedBy,
+            created_at: new Date().toISOString(),
+            expires_at: null
+        };
+        store.set(entry);
+        return entry;
+    }
+
+    function invalidate(videoId) {
+        return store.delete(videoId);
+    }
+
+    // Clear everything, or only one kind ('negative' = misses/low confidence, 'auto', 'user')
+    function clear(kind = null) {
+        const predicates = {
+            negative: (entry) => entry.source === 'auto' && entry.expires_at !== null,
+            auto: (entry) => entry.source === 'auto',
+            user: (entry) => entry.source === 'user'
+        };
+        return store.clear(kind ? predicates[kind] : null);
+    }
+
+    function list({ limit = 50, offset = 0 } = {}) {
+        return { total: store.count(), entries: store.list({ limit, offset }) };
+    }
+
+    return {
+        driver,
+        flush: () => store.flush(), // Pending file writes, now (shutdown)
+        get,
+        recordSearch,
+        recordCorrection,
+        invalidate,
+        clear,
+        list
+    };
+};
+
+module.exports.CACHE_DRIVERS = CACHE_DRIVERS;
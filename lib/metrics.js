@@ -0,0 +1,176 @@
+const { describeError } = require('./requestScheduler');
+
+// --- Metrics ---
+// In-process counters, gauges and histograms rendered in the Prometheus text
+// format by GET /metrics. Each process (pm2 instance) keeps its own; Prometheus
+// adds them up across instances. Labels only ever hold bounded values (service,
+// operation label, strategy, route pattern...), never IDs or URLs.
+
+const PREFIX = 'playlist_converter_';
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const HTTP_DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 5, 15, 60, 300];
+
+// YouTube Data API quota cost per call (https://developers.google.com/youtube/v3/determine_quota_cost);
+// any operation not listed costs 1 unit
+const YOUTUBE_QUOTA_COSTS = {
+    'search.list': 100,
+    'playlists.insert': 50,
+    'playlistItems.insert': 50
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labelNames, labelValues, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(labelValues[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// --- Primitives ---
+// Series are keyed by their label values joined with \u0000
+function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+    return {
+        inc(labels = {}, value = 1) {
+            const key = labelNames.map(label => labels[label] ?? '').join('\u0000');
+            series.set(key, (series.get(key) || 0) + value);
+        },
+        get(labels = {}) {
+            return series.get(labelNames.map(label => labels[label] ?? '').join('\u0000')) || 0;
+        },
+        render() {
+            const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} counter`];
+            for (const [key, value] of series) {
+                lines.push(`${PREFIX}${name}${formatLabels(labelNames, key.split('\u0000'))} ${value}`);
+            }
+            return lines.join('\n');
+        }
+    };
+}
+
+// Gauges are computed when scraped: `collect()` returns [{ labels, value }]
+function createGauge(name, help, labelNames, collect) {
+    return {
+        render() {
+            const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} gauge`];
+            for (const { labels, value } of collect()) {
+                lines.push(`${PREFIX}${name}${formatLabels(labelNames, labelNames.map(label => labels[label]))} ${value}`);
+            }
+            return lines.join('\n');
+        }
+    };
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+    const series = new Map(); // key -> { counts (cumulative, one per bucket), sum, count }
+    return {
+        observe(labels, value) {
+            const key = labelNames.map(label => labels[label] ?? '').join('\u0000');
+            if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const entry = series.get(key);
+            buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+            entry.sum += value;
+            entry.count++;
+        },
+        render() {
+            const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} histogram`];
+            for (const [key, entry] of series) {
+                const labelValues = key.split('\u0000');
+                buckets.forEach((bound, i) => {
+                    lines.push(`${PREFIX}${name}_bucket${formatLabels(labelNames, labelValues, `le="${bound}"`)} ${entry.counts[i]}`);
+                });
+                lines.push(`${PREFIX}${name}_bucket${formatLabels(labelNames, labelValues, 'le="+Inf"')} ${entry.count}`);
+                lines.push(`${PREFIX}${name}_sum${formatLabels(labelNames, labelValues)} ${entry.sum}`);
+                lines.push(`${PREFIX}${name}_count${formatLabels(labelNames, labelValues)} ${entry.count}`);
+            }
+            return lines.join('\n');
+        }
+    };
+}
+
+/**
+ * @param {{queueStats?: function(): Object<string, number>}} [options]
+ *   queueStats: queued calls per service (the request scheduler's getStats().queued)
+ */
+module.exports = function createMetrics({ queueStats = null } = {}) {
+    const httpRequests = createCounter('http_requests_total', 'HTTP requests handled.', ['method', 'route', 'status']);
+    const httpDuration = createHistogram('http_request_duration_seconds', 'HTTP request duration.', ['method', 'route'], HTTP_DURATION_BUCKETS);
+    const conversions = createCounter('conversions_total', 'Finished playlist conversions (batch entries count individually).', ['target', 'outcome']);
+    const tracks = createCounter('tracks_total', 'Tracks processed by finished conversions, by match status.', ['target', 'status']);
+    const strategySearches = createCounter('search_strategy_attempts_total', 'Destination searches run, by strategy.', ['target', 'strategy']);
+    const strategyHits = createCounter('search_strategy_hits_total', 'Accepted matches, by the strategy that found them.', ['target', 'strategy']);
+    const cacheLookups = createCounter('match_cache_lookups_total', 'Match cache lookups during conversions.', ['result']);
+    const upstreamRequests = createCounter('upstream_requests_total', 'Upstream API call attempts (retries count separately).', ['service', 'operation', 'outcome']);
+    const upstreamDuration = createHistogram('upstream_request_duration_seconds', 'Upstream API call attempt duration.', ['service', 'operation'], DURATION_BUCKETS);
+    const upstreamRateLimited = createCounter('upstream_rate_limited_total', 'Upstream API calls answered with 429.', ['service']);
+    const youtubeQuota = createCounter('youtube_quota_units_total', 'YouTube Data API quota units consumed (estimated from call costs).', ['operation']);
+
+    const statuses = ['matched', 'low_confidence', 'not_found'];
+    const targetsSeen = new Set();
+    const matchRate = createGauge('match_rate', 'Share of processed tracks that were matched, per target.', ['target'], () => (
+        Array.from(targetsSeen).map(target => {
+            const total = statuses.reduce((sum, status) => sum + tracks.get({ target, status }), 0);
+            return { labels: { target }, value: total > 0 ? tracks.get({ target, status: 'matched' }) / total : 0 };
+        })
+    ));
+    const queueLength = createGauge('upstream_queue_length', 'API calls waiting in the request scheduler.', ['service'], () => (
+        queueStats ? Object.entries(queueStats()).map(([service, value]) => ({ labels: { service }, value })) : []
+    ));
+
+    const all = [
+        httpRequests, httpDuration, conversions, tracks, matchRate, strategySearches, strategyHits, cacheLookups,
+        upstreamRequests, upstreamDuration, upstreamRateLimited, queueLength, youtubeQuota
+    ];
+
+    function recordHttpRequest({ method, route, status, durationMs }) {
+        httpRequests.inc({ method, route, status });
+        httpDuration.observe({ method, route }, durationMs / 1000);
+    }
+
+    // One finished conversion: outcome plus the per-track statuses of its report
+    function recordConversion(target, { statusCode, trackMatches = [] }) {
+        targetsSeen.add(target);
+        conversions.inc({ target, outcome: statusCode === 200 ? 'success' : 'failed' });
+        trackMatches.forEach(match => tracks.inc({ target, status: match.status }));
+    }
+
+    function recordSearchAttempt(target, strategy) {
+        strategySearches.inc({ target, strategy });
+    }
+
+    function recordSearchHit(target, strategy) {
+        strategyHits.inc({ target, strategy });
+    }
+
+    // result: 'hit' | 'miss' (cached "no match") | 'none' (not cached)
+    function recordCacheLookup(result) {
+        cacheLookups.inc({ result });
+    }
+
+    // Called by the request scheduler for every attempt of an API call
+    function recordUpstreamCall(service, operation, { durationMs, err = null }) {
+        const op = operation || 'call';
+        const status = err ? describeError(err).status : null;
+        const outcome = !err ? 'ok' : (status === 429 ? 'rate_limited' : 'error');
+        upstreamRequests.inc({ service, operation: op, outcome });
+        upstreamDuration.observe({ service, operation: op }, durationMs / 1000);
+        if (status === 429) upstreamRateLimited.inc({ service });
+        if (service === 'youtube') youtubeQuota.inc({ operation: op }, YOUTUBE_QUOTA_COSTS[op] || 1);
+    }
+
+    function render() {
+        return `${all.map(metric => metric.render()).join('\n')}\n`;
+    }
+
+    return {
+        recordHttpRequest,
+        recordConversion,
+        recordSearchAttempt,
+        recordSearchHit,
+        recordCacheLookup,
+        recordUpstreamCall,
+        render
+    };
+};
+
+module.exports.YOUTUBE_QUOTA_COSTS = YOUTUBE_QUOTA_COSTS;
@@ -0,0 +1,76 @@
+// --- Playlist Cover Images ---
+// Downloads an image (usually the YouTube playlist thumbnail) and turns it into
+// what Spotify's cover upload accepts: a base64 encoded JPEG of at most 256 KB.
+// Re-encoding needs the optional `sharp` package; without it a JPEG that already
+// fits is passed through and anything else is rejected.
+
+const MAX_COVER_BASE64_BYTES = 256 * 1024; // Spotify's limit, measured on the base64 payload
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+const COVER_SIZE = 640; // Spotify shows covers square; larger only costs bytes
+const JPEG_QUALITIES = [90, 80, 70, 60, 50, 40];
+const REQUEST_TIMEOUT_MS = 10000;
+
+let sharp;
+function loadSharp() {
+    if (sharp === undefined) {
+        try {
+            sharp = require('sharp');
+        } catch (err) {
+            sharp = null;
+        }
+    }
+    return sharp;
+}
+
+const isJpeg = (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+
+// Only http(s) images, fetched with a timeout and a size cap
+async function downloadImage(imageUrl) {
+    let parsed;
+    try {
+        parsed = new URL(imageUrl);
+    } catch (err) {
+        throw new Error('Cover image URL is not a valid URL.');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('Cover image URL must be http(s).');
+
+    const response = await fetch(parsed, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`Could not download cover image (HTTP ${response.status}).`);
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > MAX_DOWNLOAD_BYTES) throw new Error('Cover image is too large.');
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_DOWNLOAD_BYTES) throw new Error('Cover image is too large.');
+    return buffer;
+}
+
+/**
+ * Square JPEG, base64 encoded, within Spotify's size limit.
+ * @param {Buffer} image Any format sharp can read (JPEG only without sharp)
+ * @returns {Promise<string>} Base64 (no data: prefix)
+ */
+async function toCoverJpeg(image) {
+    const imageLib = loadSharp();
+    if (!imageLib) {
+        const base64 = image.toString('base64');
+        if (isJpeg(image) && base64.length <= MAX_COVER_BASE64_BYTES) return base64;
+        throw new Error("Re-encoding cover images requires the 'sharp' package (npm install sharp).");
+    }
+    const resized = imageLib(image).resize(COVER_SIZE, COVER_SIZE, { fit: 'cover' });
+    for (const quality of JPEG_QUALITIES) {
+        const jpeg = await resized.clone().jpeg({ quality, mozjpeg: true }).toBuffer();
+        const base64 = jpeg.toString('base64');
+        if (base64.length <= MAX_COVER_BASE64_BYTES) return base64;
+    }
+    throw new Error('Cover image stays above 256 KB even at low JPEG quality.');
+}
+
+// Download + re-encode in one go
+async function fetchCoverImage(imageUrl) {
+    return toCoverJpeg(await downloadImage(imageUrl));
+}
+
+module.exports = {
+    MAX_COVER_BASE64_BYTES,
+    fetchCoverImage,
+    toCoverJpeg
+};
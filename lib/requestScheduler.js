@@ -0,0 +1,218 @@
+// --- Request Scheduler ---
+// Every Spotify, YouTube and Deezer API call goes through here. Each service gets a
+// bounded concurrency pool, and within a pool users take turns (round robin,
+// with a per-user cap) so one huge playlist can't starve everyone else.
+// Failed calls are retried: 429s wait for Retry-After (and pause the whole
+// service, since rate limits are per app), 5xx and network errors back off
+// exponentially with jitter. Every attempt is reported to the optional
+// `metrics` (lib/metrics.js) with its duration and outcome. Calls queued with
+// an AbortSignal are dropped without running once it aborts (cancelled jobs).
+
+const DEFAULT_OPTIONS = {
+    concurrency: { spotify: 4, youtube: 4, deezer: 4 }, // In-flight calls per service
+    perUserConcurrency: 2, // In-flight calls per user within a service
+    maxRetries: 4,
+    baseDelayMs: 500,
+    maxDelayMs: 15000,
+    maxRetryAfterMs: 60000 // Give up instead of honoring absurdly long Retry-After values
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ESOCKETTIMEDOUT', 'EPIPE'];
+// YouTube signals short-term throttling as 403s with these reasons (quotaExceeded is not retryable)
+const RETRYABLE_YOUTUBE_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rejection for a call whose signal aborted before it ran (`cancelled`, like the routes' own)
+function cancelledError(label) {
+    const err = new Error(`${label || 'Call'} cancelled before it ran.`);
+    err.cancelled = true;
+    return err;
+}
+
+// Normalizes spotify-web-api-node errors (statusCode/headers) and googleapis
+// errors (response.status/response.headers) into { status, retryAfterMs, reason }
+function describeError(err) {
+    const status = err.statusCode ?? err.response?.status ?? (typeof err.code === 'number' ? err.code : null);
+    const headers = err.headers || err.response?.headers || {};
+    const retryAfter = headers['retry-after'];
+    let retryAfterMs = null;
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        retryAfterMs = Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(retryAfter) - Date.now());
+    }
+    const reason = err.response?.data?.error?.errors?.[0]?.reason || null;
+    return { status, retryAfterMs, reason, code: typeof err.code === 'string' ? err.code : null };
+}
+
+function isRetryable({ status, reason, code }) {
+    if (status === 429) return true;
+    if (status >= 500 && status <= 599) return true;
+    if (status === 403 && RETRYABLE_YOUTUBE_REASONS.includes(reason)) return true;
+    return Boolean(code && RETRYABLE_NETWORK_CODES.includes(code));
+}
+
+module.exports = function createRequestScheduler(options = {}) {
+    const settings = {
+        ...DEFAULT_OPTIONS,
+        ...options,
+        concurrency: { ...DEFAULT_OPTIONS.concurrency, ...(options.concurrency || {}) }
+    };
+
+    const metrics = options.metrics || null;
+    const pools = new Map();
+    const stats = { calls: 0, retries: 0, rate_limited: 0, failures: 0 };
+
+    function getPool(service) {
+        if (!pools.has(service)) {
+            pools.set(service, {
+                service,
+                maxConcurrent: settings.concurrency[service] || 4,
+                active: 0,
+                activePerUser: new Map(),
+                queues: new Map(), // userKey -> [task]
+                turnOrder: [], // userKeys in round-robin order
+                pausedUntil: 0,
+                wakeTimer: null
+            });
+        }
+        return pools.get(service);
+    }
+
+    // Pick the next task, giving each user with queued work a turn
+    function takeNextTask(pool) {
+        const rounds = pool.turnOrder.length;
+        for (let i = 0; i < rounds; i++) {
+            const userKey = pool.turnOrder.shift();
+            const queue = pool.queues.get(userKey);
+            if (!queue || queue.length === 0) {
+                pool.queues.delete(userKey);
+                continue; // Drop users with nothing left
+            }
+            pool.turnOrder.push(userKey);
+            if ((pool.activePerUser.get(userKey) || 0) >= settings.perUserConcurrency) continue;
+            return queue.shift();
+        }
+        return null;
+    }
+
+    function pump(pool) {
+        const waitMs = pool.pausedUntil - Date.now();
+        if (waitMs > 0) {
+            if (!pool.wakeTimer) {
+                pool.wakeTimer = setTimeout(() => {
+                    pool.wakeTimer = null;
+                    pump(pool);
+                }, waitMs);
+            }
+            return;
+        }
+        while (pool.active < pool.maxConcurrent) {
+            const task = takeNextTask(pool);
+            if (!task) return;
+            if (task.signal && task.signal.aborted) {
+                task.reject(cancelledError(task.label));
+                continue;
+            }
+            runTask(pool, task);
+        }
+    }
+
+    function enqueue(pool, task, { front = false } = {}) {
+        if (!pool.queues.has(task.userKey)) {
+            pool.queues.set(task.userKey, []);
+            pool.turnOrder.push(task.userKey);
+        }
+        const queue = pool.queues.get(task.userKey);
+        if (front) queue.unshift(task);
+        else queue.push(task);
+        pump(pool);
+    }
+
+    async function runTask(pool, task) {
+        pool.active++;
+        pool.activePerUser.set(task.userKey, (pool.activePerUser.get(task.userKey) || 0) + 1);
+        stats.calls++;
+
+        let outcome;
+        const startedAt = Date.now();
+        try {
+            outcome = { value: await task.fn() };
+        } catch (err) {
+            outcome = { err };
+        }
+        if (metrics) metrics.recordUpstreamCall(pool.service, task.label, { durationMs: Date.now() - startedAt, err: outcome.err || null });
+
+        pool.active--;
+        const userActive = pool.activePerUser.get(task.userKey) - 1;
+        if (userActive > 0) pool.activePerUser.set(task.userKey, userActive);
+        else pool.activePerUser.delete(task.userKey);
+
+        if (!outcome.err) {
+            task.resolve(outcome.value);
+        } else {
+            handleFailure(pool, task, outcome.err);
+        }
+        pump(pool);
+    }
+
+    // Retry later (releasing the slot meanwhile) or give up and reject
+    function handleFailure(pool, task, err) {
+        const info = describeError(err);
+        if (info.status === 429) stats.rate_limited++;
+
+        const tooLong = info.retryAfterMs !== null && info.retryAfterMs > settings.maxRetryAfterMs;
+        if (!isRetryable(info) || task.attempt >= settings.maxRetries || tooLong) {
+            stats.failures++;
+            return task.reject(err);
+        }
+
+        let delayMs;
+        if (info.status === 429) {
+            // Honor Retry-After (default 1s), and hold the whole service until then
+            delayMs = info.retryAfterMs ?? 1000;
+            pool.pausedUntil = Math.max(pool.pausedUntil, Date.now() + delayMs);
+        } else {
+            // Exponential backoff with jitter (50-100% of the capped delay)
+            const capped = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** task.attempt);
+            delayMs = capped / 2 + Math.random() * (capped / 2);
+        }
+
+        task.attempt++;
+        stats.retries++;
+        console.warn(`[SCHEDULER] ${pool.service} ${task.label || 'call'} failed (${info.status || info.code || err.message}), retry ${task.attempt}/${settings.maxRetries} in ${Math.round(delayMs)}ms`);
+        sleep(delayMs).then(() => enqueue(pool, task, { front: true }));
+    }
+
+    /**
+     * Queue an API call.
+     * @param {'spotify'|'youtube'|'deezer'} service Which pool (and rate limit) the call belongs to
+     * @param {Function} fn Performs the call and returns a promise; may run several times
+     * @param {{userKey?: string, label?: string, signal?: AbortSignal}} [callOptions] userKey groups calls for fairness;
+     *        once `signal` aborts, the call (or its next retry) is rejected instead of run
+     * @returns {Promise<*>} Result of fn, or its last error once retries are exhausted
+     */
+    function run(service, fn, { userKey = 'anonymous', label = null, signal = null } = {}) {
+        return new Promise((resolve, reject) => {
+            enqueue(getPool(service), { fn, userKey, label, signal, attempt: 0, resolve, reject });
+        });
+    }
+
+    function getStats() {
+        const queued = {};
+        for (const [service, pool] of pools) {
+            queued[service] = Array.from(pool.queues.values()).reduce((sum, queue) => sum + queue.length, 0);
+        }
+        return { ...stats, queued };
+    }
+
+    return {
+        run,
+        spotify: (fn, callOptions) => run('spotify', fn, callOptions),
+        youtube: (fn, callOptions) => run('youtube', fn, callOptions),
+        deezer: (fn, callOptions) => run('deezer', fn, callOptions),
+        getStats
+    };
+};
+
+module.exports.describeError = describeError;
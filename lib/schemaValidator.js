@@ -0,0 +1,106 @@
+// --- Request Schema Validation ---
+// A small JSON Schema (2020-12) subset, enough for the request bodies described
+// in lib/apiSpec.js: the same schemas are published in the OpenAPI document, so
+// what /api/v1 accepts and what it documents can't drift apart.
+// Supported keywords: type (string or array), enum, const, minimum, maximum,
+// minLength, maxLength, pattern, required, properties, additionalProperties
+// (false only), items, minItems, maxItems, oneOf, anyOf. Anything else is ignored.
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: (value) => Array.isArray(value),
+    null: (value) => value === null
+};
+
+const joinPath = (path, key) => typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+const describe = (value) => value === null ? 'null' : (Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * Validates `value` against `schema`.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] Location of `value` in the body, for messages ('' is the body itself)
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+function validate(schema, value, path = '') {
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at || '(body)', message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            fail(`expected ${types.join(' or ')}, got ${describe(value)}`);
+            return errors; // The other keywords don't mean much for the wrong type
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`expected ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, joinPath(path, index))));
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) fail('is required', joinPath(path, key));
+        }
+        const properties = schema.properties || {};
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validate(properties[key], propertyValue, joinPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                fail('is not a known property', joinPath(path, key));
+            }
+        }
+    }
+
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option => validate(option, value, path).length === 0).length;
+        if (matching !== 1) fail(matching === 0 ? 'does not match any of the allowed forms' : 'matches more than one of the allowed forms');
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, path).length === 0)) {
+        fail('does not match any of the allowed forms');
+    }
+
+    return errors;
+}
+
+/**
+ * Middleware rejecting request bodies that don't match `schema` with a
+ * VALIDATION_FAILED 400 listing every problem in `field_errors`.
+ */
+function validateBody(schema) {
+    return (req, res, next) => {
+        const fieldErrors = validate(schema, req.body === undefined ? {} : req.body);
+        if (fieldErrors.length === 0) return next();
+        res.status(400).json({ error: "Request body failed validation.", code: 'VALIDATION_FAILED', field_errors: fieldErrors });
+    };
+}
+
+module.exports = {
+    validate,
+    validateBody
+};
@@ -0,0 +1,121 @@
+const SpotifyWebApi = require('spotify-web-api-node');
+
+// --- Spotify App Token Manager ---
+// Owns the client-credentials ("app") token used for searching and reading
+// public playlists. The token is granted lazily on first use, refreshed a few
+// minutes before it expires if it was used during its lifetime, and re-granted
+// once if Spotify answers 401. An idle server lets it lapse, and a failed grant
+// isn't retried in the background: the next caller grants on demand.
+// Concurrent callers share a single in-flight grant.
+
+const DEFAULT_REFRESH_MARGIN_MS = 5 * 60 * 1000; // Refresh this long before expiry
+
+// Methods exposed on the facade returned by client()
+const APP_CLIENT_METHODS = ['searchTracks', 'getPlaylist', 'getPlaylistTracks', 'getTracks'];
+
+module.exports = function createSpotifyAppToken({ clientId, clientSecret, refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS }) {
+    const api = new SpotifyWebApi({ clientId, clientSecret });
+
+    let expiresAt = 0;
+    let lifetimeMs = 0; // Of the current token
+    let lastUsedAt = 0;
+    let pendingGrant = null;
+    let refreshTimer = null;
+    const health = {
+        status: 'uninitialized', // uninitialized | ok | down
+        last_refreshed_at: null,
+        last_error: null,
+        grants: 0,
+        failures: 0
+    };
+
+    function scheduleRefresh(delayMs) {
+        if (refreshTimer) clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            // Unused for a whole lifetime: let it expire, the next caller grants one
+            if (Date.now() - lastUsedAt > lifetimeMs) return;
+            grant().catch(() => {}); // Failure is recorded in health; next caller retries
+        }, Math.max(delayMs, 0));
+        refreshTimer.unref(); // Never keep the process alive just for this
+    }
+
+    // Single-flight client-credentials grant
+    function grant() {
+        if (pendingGrant) return pendingGrant;
+        pendingGrant = api.clientCredentialsGrant()
+            .then((data) => {
+                const expiresIn = data.body['expires_in'];
+                api.setAccessToken(data.body['access_token']);
+                lifetimeMs = expiresIn * 1000;
+                expiresAt = Date.now() + lifetimeMs;
+                health.status = 'ok';
+                health.last_refreshed_at = new Date().toISOString();
+                health.last_error = null;
+                health.grants++;
+                console.log(`Spotify app token granted, expires in ${expiresIn}s`);
+                scheduleRefresh(expiresIn * 1000 - refreshMarginMs);
+            })
+            .catch((err) => {
+                health.status = 'down';
+                health.last_error = err.message;
+                health.failures++;
+                console.error('Could not obtain Spotify app token:', err.message);
+                // No background retries (a bad secret or an outage would hammer the token endpoint)
+                api.resetAccessToken();
+                expiresAt = 0;
+                throw err;
+            })
+            .finally(() => {
+                pendingGrant = null;
+            });
+        return pendingGrant;
+    }
+
+    // Resolves to a client holding a valid token, granting one if needed
+    async function getClient() {
+        lastUsedAt = Date.now();
+        if (!api.getAccessToken() || Date.now() >= expiresAt - refreshMarginMs) {
+            await grant();
+        }
+        return api;
+    }
+
+    // Run fn(client); on a 401 the token is re-granted and fn retried once
+    async function call(fn) {
+        const client = await getClient();
+        try {
+            return await fn(client);
+        } catch (err) {
+            if (err.statusCode !== 401) throw err;
+            console.warn('Spotify app token rejected (401), re-granting and retrying once.');
+            expiresAt = 0;
+            await grant();
+            return fn(api);
+        }
+    }
+
+    // Facade with the usual spotify-web-api-node method names, so code written
+    // against a user client (sp.searchTracks(...)) works with the app token too
+    function client() {
+        const facade = {};
+        APP_CLIENT_METHODS.forEach(method => {
+            facade[method] = (...args) => call(c => c[method](...args));
+        });
+        return facade;
+    }
+
+    function getHealth() {
+        return {
+            ...health,
+            expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+        };
+    }
+
+    return {
+        getClient,
+        call,
+        client,
+        getHealth
+    };
+};
@@ -0,0 +1,71 @@
+// --- Spotify OAuth Helper (PKCE) ---
+// Authorization code flow with PKCE for AUTH_MODE=session (see
+// lib/authSessions.js). spotify-web-api-node can't send a code_challenge, so the
+// authorize URL and token calls are made directly. PKCE grants are refreshed
+// with the client ID alone and Spotify rotates the refresh token on every refresh.
+
+const DEFAULT_ACCOUNTS_URL = 'https://accounts.spotify.com';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// `accountsUrl` is only overridden to use a stand-in server (MOCK_UPSTREAMS)
+module.exports = function createSpotifyAuth({ clientId, redirectUri, scopes, accountsUrl = DEFAULT_ACCOUNTS_URL }) {
+    const authorizeUrl = `${accountsUrl}/authorize`;
+    const tokenUrl = `${accountsUrl}/api/token`;
+
+    // `requestedScopes` replaces the default scopes (e.g. with optional ones added)
+    function createAuthorizeURL({ state, codeChallenge, scopes: requestedScopes = scopes }) {
+        const url = new URL(authorizeUrl);
+        url.search = new URLSearchParams({
+            client_id: clientId,
+            response_type: 'code',
+            redirect_uri: redirectUri,
+            scope: requestedScopes.join(' '),
+            state: state,
+            code_challenge_method: 'S256',
+            code_challenge: codeChallenge
+        }).toString();
+        return url.toString();
+    }
+
+    // POST to the token endpoint; errors carry Spotify's status code (400 = invalid/revoked grant)
+    async function requestToken(params) {
+        const response = await fetch(tokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ client_id: clientId, ...params }).toString(),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !body?.access_token) {
+            const error = new Error(body?.error_description || body?.error || `HTTP ${response.status}`);
+            error.statusCode = response.ok ? 502 : response.status;
+            throw error;
+        }
+        return {
+            access_token: body.access_token,
+            refresh_token: body.refresh_token || null,
+            expires_at: Date.now() + (body.expires_in || 3600) * 1000,
+            scope: body.scope || null
+        };
+    }
+
+    // Grants are { access_token, refresh_token, expires_at (ms timestamp), scope }
+    function exchangeGrant(code, codeVerifier) {
+        return requestToken({
+            grant_type: 'authorization_code',
+            code: code,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier
+        });
+    }
+
+    function refreshGrant(refreshToken) {
+        return requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+    }
+
+    return {
+        createAuthorizeURL,
+        exchangeGrant,
+        refreshGrant
+    };
+};
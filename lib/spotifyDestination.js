@@ -0,0 +1,284 @@
+const SpotifyWebApi = require('spotify-web-api-node');
+const { SYNC_MODES, getSpotifyPlaylistId, planSync } = require('./spotifyPlaylists');
+const { apiError, destinationErrorCode } = require('./apiErrors');
+
+// --- Spotify Destination ---
+// The original (and default) destination provider; see lib/destinations.js for
+// the interface. Searches use the app token when it's available so they don't
+// count against the user's rate limit; everything else acts as the user.
+
+const TRACK_URI_PATTERN = /^spotify:track:[A-Za-z0-9]{22}$/;
+
+const descriptor = {
+    id: 'spotify',
+    label: 'Spotify',
+    syncModes: SYNC_MODES,
+    supportsCoverImage: true,
+    isTrackUri: (uri) => typeof uri === 'string' && TRACK_URI_PATTERN.test(uri),
+    parsePlaylistRef: getSpotifyPlaylistId,
+    playlistUrl: (playlistId) => `https://open.spotify.com/playlist/${playlistId}`,
+    trackUrl: (uri) => `https://open.spotify.com/track/${uri.split(':')[2]}`
+};
+
+/**
+ * @param {{accessToken: string, scheduler: object, spotifyAppToken?: ?object}} options
+ *   `spotifyAppToken` is the lib/spotifyAppToken.js manager used for searching
+ */
+function createSpotifyDestination({ accessToken, scheduler, spotifyAppToken = null }) {
+    if (!accessToken) throw new Error("Missing access token for Spotify operation.");
+    const spUser = new SpotifyWebApi({ accessToken: accessToken });
+    let userKey; // Set once getUser() has identified the user
+    let searchClient = null;
+
+    async function getUser() {
+        const me = await scheduler.spotify(() => spUser.getMe(), { label: 'getMe' });
+        userKey = me.body.id;
+        return { id: me.body.id, name: me.body.display_name || me.body.id };
+    }
+
+    // Use the app token client if it can get a token, otherwise fall back to the user's client
+    async function getSearchClient() {
+        if (searchClient) return searchClient;
+        try {
+            if (!spotifyAppToken) throw new Error('not configured');
+            await spotifyAppToken.getClient();
+            searchClient = spotifyAppToken.client();
+        } catch (err) {
+            console.warn(`Spotify app token unavailable (${err.message}), falling back to user token for search.`);
+            searchClient = spUser;
+        }
+        return searchClient;
+    }
+
+    async function search(query, { limit = 5, signal = null } = {}) {
+        const sp = await getSearchClient();
+        const results = await scheduler.spotify(
+            () => sp.searchTracks(query, { limit: limit }),
+            { userKey, label: 'searchTracks', signal }
+        );
+        return results.body.tracks.items;
+    }
+
+    // Spotify only allows collaborative playlists that are private
+    async function createPlaylist(playlistName, { public: isPublic = true, collaborative = false, description = null } = {}) {
+        const options = { 'public': isPublic && !collaborative, collaborative: collaborative };
+        if (description) options.description = description;
+        try {
+            console.log(`Creating Spotify playlist '${playlistName}' for user ${userKey}`);
+            const playlist = await scheduler.spotify(
+                () => spUser.createPlaylist(playlistName, options),
+                { userKey, label: 'createPlaylist' }
+            );
+            console.log(`Successfully created playlist: ${playlist.body.name} (${playlist.body.id})`);
+            return {
+                id: playlist.body.id,
+                uri: playlist.body.uri,
+                name: playlist.body.name,
+                url: descriptor.playlistUrl(playlist.body.id)
+            };
+        } catch (err) {
+            console.error(`Spotify API error creating playlist: ${err.message}`);
+            throw apiError(destinationErrorCode('spotify', err.statusCode), `Could not create playlist: ${err.message} (Status: ${err.statusCode})`);
+        }
+    }
+
+    // `jpegBase64` comes from lib/playlistCover.js; needs the ugc-image-upload scope
+    async function setCoverImage(playlistId, jpegBase64) {
+        try {
+            await scheduler.spotify(
+                () => spUser.uploadCustomPlaylistCoverImage(playlistId, jpegBase64),
+                { userKey, label: 'uploadPlaylistCover' }
+            );
+            console.log(`Uploaded cover image for Spotify playlist ${playlistId}`);
+        } catch (err) {
+            console.error(`Spotify API error uploading cover image: ${err.message}`);
+            const error = new Error(`Could not upload cover image: ${err.message} (Status: ${err.statusCode})`);
+            error.statusCode = err.statusCode;
+            throw error;
+        }
+    }
+
+    async function addTracks(playlistId, trackUris) {
+        if (!trackUris || trackUris.length === 0) return { success: true, added_count: 0 };
+        let addedCount = 0;
+        let errors = [];
+        console.log(`Adding ${trackUris.length} tracks to Spotify playlist ${playlistId}`);
+
+        // Add tracks in chunks of 100 (the scheduler retries a chunk on 429/5xx before we give up on it)
+        for (let i = 0; i < trackUris.length; i += 100) {
+            const chunk = trackUris.slice(i, i + 100);
+            try {
+                await scheduler.spotify(() => spUser.addTracksToPlaylist(playlistId, chunk), { userKey, label: 'addTracksToPlaylist' });
+                addedCount += chunk.length;
+                console.debug(`  Added chunk ${i/100 + 1}, total added: ${addedCount}`);
+            } catch (err) {
+                const msg = `Failed adding chunk: ${err.message} (Status: ${err.statusCode})`;
+                console.error(`  ERROR: ${msg}`);
+                errors.push(msg);
+            }
+        }
+
+        if (errors.length > 0) {
+            return { success: false, added_count: addedCount, error: errors.join('; ') };
+        }
+        return { success: true, added_count: addedCount };
+    }
+
+    // Removes every occurrence of the URIs (used to undo a sync)
+    async function removeTracks(playlistId, trackUris) {
+        if (!trackUris || trackUris.length === 0) return { success: true, removed_count: 0 };
+        let removedCount = 0;
+        let errors = [];
+        for (let i = 0; i < trackUris.length; i += 100) {
+            const chunk = trackUris.slice(i, i + 100);
+            try {
+                await scheduler.spotify(
+                    () => spUser.removeTracksFromPlaylist(playlistId, chunk.map(uri => ({ uri }))),
+                    { userKey, label: 'removeTracksFromPlaylist' }
+                );
+                removedCount += chunk.length;
+            } catch (err) {
+                const msg = `Failed removing chunk: ${err.message} (Status: ${err.statusCode})`;
+                console.error(`  ERROR: ${msg}`);
+                errors.push(msg);
+            }
+        }
+        if (errors.length > 0) {
+            return { success: false, removed_count: removedCount, error: errors.join('; ') };
+        }
+        return { success: true, removed_count: removedCount };
+    }
+
+    // Spotify playlists can't be deleted; unfollowing removes it from the user's library
+    async function deletePlaylist(playlistId) {
+        try {
+            await scheduler.spotify(() => spUser.unfollowPlaylist(playlistId), { userKey, label: 'unfollowPlaylist' });
+            console.log(`Unfollowed Spotify playlist ${playlistId}`);
+        } catch (err) {
+            console.error(`Spotify API error unfollowing playlist: ${err.message}`);
+            throw apiError(destinationErrorCode('spotify', err.statusCode), `Spotify Error: could not remove playlist: ${err.message} (Status: ${err.statusCode})`);
+        }
+    }
+
+    async function getPlaylistTrackUris(playlistId) {
+        let uris = [];
+        let offset = 0;
+        let total = 0;
+        do {
+            const page = await scheduler.spotify(() => spUser.getPlaylistTracks(playlistId, {
+                offset: offset,
+                limit: 100,
+                fields: 'total,items(is_local,track(uri))'
+            }), { userKey, label: 'getPlaylistTracks' });
+            total = page.body.total;
+            page.body.items.forEach(item => {
+                // Local files can't be matched or re-added, so sync leaves them alone
+                if (item.track && item.track.uri && !item.is_local) uris.push(item.track.uri);
+            });
+            offset += 100;
+        } while (offset < total);
+        return uris;
+    }
+
+    // Applies planSync() to an existing playlist the user owns (or collaborates on)
+    async function syncPlaylist(playlistId, trackUris, mode) {
+        let playlist;
+        let existingUris;
+        try {
+            playlist = (await scheduler.spotify(
+                () => spUser.getPlaylist(playlistId, { fields: 'id,name,collaborative,owner(id)' }),
+                { userKey, label: 'getPlaylist' }
+            )).body;
+            existingUris = await getPlaylistTrackUris(playlistId);
+        } catch (err) {
+            console.error(`Spotify API error reading playlist ${playlistId}: ${err.message}`);
+            const code = err.statusCode === 404 ? 'TARGET_PLAYLIST_NOT_FOUND' : destinationErrorCode('spotify', err.statusCode);
+            throw apiError(code, `Could not read target Spotify playlist: ${err.message} (Status: ${err.statusCode})`);
+        }
+        if (playlist.owner?.id !== userKey && !playlist.collaborative) {
+            throw apiError('PLAYLIST_NOT_EDITABLE', "Spotify Error: target playlist is not owned by you and is not collaborative.");
+        }
+
+        const plan = planSync(existingUris, trackUris, mode);
+        const existingSet = new Set(existingUris);
+        let addedUris = [];
+        let removedUris = [];
+        let errors = [];
+        console.log(`Syncing Spotify playlist ${playlistId} [${mode}]: ${existingUris.length} existing, ${plan.desired.length} matched`);
+
+        if (mode === 'replace') {
+            try {
+                // Replace takes at most 100 URIs; anything past that is appended below
+                await scheduler.spotify(
+                    () => spUser.replaceTracksInPlaylist(playlistId, plan.desired.slice(0, 100)),
+                    { userKey, label: 'replaceTracksInPlaylist' }
+                );
+                removedUris = plan.toRemove;
+                addedUris = plan.desired.slice(0, 100).filter(uri => !existingSet.has(uri));
+            } catch (err) {
+                const msg = `Failed replacing playlist tracks: ${err.message} (Status: ${err.statusCode})`;
+                console.error(`  ERROR: ${msg}`);
+                return { playlist_id: playlist.id, playlist_name: playlist.name, added_uris: [], removed_uris: [], errors: [msg] };
+            }
+            if (plan.desired.length > 100) {
+                const rest = plan.desired.slice(100);
+                const addResult = await addTracks(playlistId, rest);
+                addedUris = addedUris.concat(rest.filter(uri => !existingSet.has(uri)).slice(0, addResult.added_count));
+                if (!addResult.success) errors.push(addResult.error);
+            }
+        } else {
+            // Removals first so insert positions line up with the source order
+            for (let i = 0; i < plan.toRemove.length; i += 100) {
+                const chunk = plan.toRemove.slice(i, i + 100);
+                try {
+                    await scheduler.spotify(
+                        () => spUser.removeTracksFromPlaylist(playlistId, chunk.map(uri => ({ uri }))),
+                        { userKey, label: 'removeTracksFromPlaylist' }
+                    );
+                    removedUris = removedUris.concat(chunk);
+                } catch (err) {
+                    const msg = `Failed removing chunk: ${err.message} (Status: ${err.statusCode})`;
+                    console.error(`  ERROR: ${msg}`);
+                    errors.push(msg);
+                }
+            }
+            for (const insertion of plan.insertions) {
+                for (let i = 0; i < insertion.uris.length; i += 100) {
+                    const chunk = insertion.uris.slice(i, i + 100);
+                    const options = insertion.position === null ? {} : { position: insertion.position + i };
+                    try {
+                        await scheduler.spotify(
+                            () => spUser.addTracksToPlaylist(playlistId, chunk, options),
+                            { userKey, label: 'addTracksToPlaylist' }
+                        );
+                        addedUris = addedUris.concat(chunk);
+                    } catch (err) {
+                        const msg = `Failed adding chunk: ${err.message} (Status: ${err.statusCode})`;
+                        console.error(`  ERROR: ${msg}`);
+                        errors.push(msg);
+                    }
+                }
+            }
+        }
+
+        console.log(`  Sync done: ${addedUris.length} added, ${removedUris.length} removed`);
+        return { playlist_id: playlist.id, playlist_name: playlist.name, added_uris: addedUris, removed_uris: removedUris, errors };
+    }
+
+    return {
+        ...descriptor,
+        getUser,
+        search,
+        createPlaylist,
+        setCoverImage,
+        addTracks,
+        removeTracks,
+        syncPlaylist,
+        deletePlaylist
+    };
+}
+
+module.exports = {
+    ...descriptor,
+    create: createSpotifyDestination
+};
@@ -0,0 +1,83 @@
+// --- Spotify Playlist Helpers ---
+// Playlist reference parsing and the diff logic behind sync mode. Kept free of
+// API calls so the route decides how (and with which client) to apply a plan.
+
+const SYNC_MODES = ['append', 'mirror', 'replace'];
+
+// Accepts https://open.spotify.com/playlist/<id>?si=..., spotify:playlist:<id> or a bare ID
+function getSpotifyPlaylistId(playlistRef) {
+    if (!playlistRef || typeof playlistRef !== 'string') return null;
+    const trimmed = playlistRef.trim();
+    const uriMatch = /^spotify:(?:user:[^:]+:)?playlist:([A-Za-z0-9]{22})$/.exec(trimmed);
+    if (uriMatch) return uriMatch[1];
+    if (/^[A-Za-z0-9]{22}$/.test(trimmed)) return trimmed;
+    try {
+        const parsedUrl = new URL(trimmed);
+        if (parsedUrl.hostname === 'open.spotify.com') {
+            const pathMatch = /\/playlist\/([A-Za-z0-9]{22})/.exec(parsedUrl.pathname);
+            if (pathMatch) return pathMatch[1];
+        }
+    } catch (e) {
+        console.error(`Error parsing Spotify playlist URL: ${playlistRef}`, e.message);
+    }
+    return null;
+}
+
+// Drop repeated URIs, keeping the first occurrence (and so the source order)
+function uniqueInOrder(uris) {
+    const seen = new Set();
+    return uris.filter(uri => {
+        if (seen.has(uri)) return false;
+        seen.add(uri);
+        return true;
+    });
+}
+
+/**
+ * Work out what to change in an existing playlist so it reflects the source.
+ *  - append:  add matched tracks that aren't in the playlist yet, at the end
+ *  - mirror:  remove tracks that aren't in the source, insert missing ones at their source position
+ *  - replace: overwrite the playlist with the matched tracks
+ * @param {string[]} existingUris Track URIs currently in the playlist, in playlist order
+ * @param {string[]} matchedUris Matched track URIs in source order
+ * @param {string} mode One of SYNC_MODES
+ * @returns {{mode: string, desired: string[], toRemove: string[], insertions: {position: ?number, uris: string[]}[]}}
+ *   `insertions` are applied in order; a null position means "append".
+ */
+function planSync(existingUris, matchedUris, mode) {
+    const desired = uniqueInOrder(matchedUris);
+    const existingSet = new Set(existingUris);
+    const desiredSet = new Set(desired);
+
+    if (mode === 'replace') {
+        return { mode, desired, toRemove: uniqueInOrder(existingUris.filter(uri => !desiredSet.has(uri))), insertions: [] };
+    }
+
+    if (mode === 'append') {
+        const missing = desired.filter(uri => !existingSet.has(uri));
+        return { mode, desired, toRemove: [], insertions: missing.length ? [{ position: null, uris: missing }] : [] };
+    }
+
+    // mirror: after removals the remaining tracks are a subset of `desired`, so
+    // inserting each missing run at its index in `desired` (ascending) rebuilds
+    // the source order whenever the kept tracks were already in that order.
+    const toRemove = uniqueInOrder(existingUris.filter(uri => !desiredSet.has(uri)));
+    const insertions = [];
+    desired.forEach((uri, index) => {
+        if (existingSet.has(uri)) return;
+        const lastRun = insertions[insertions.length - 1];
+        if (lastRun && lastRun.position + lastRun.uris.length === index) {
+            lastRun.uris.push(uri);
+        } else {
+            insertions.push({ position: index, uris: [uri] });
+        }
+    });
+    return { mode, desired, toRemove, insertions };
+}
+
+module.exports = {
+    SYNC_MODES,
+    getSpotifyPlaylistId,
+    uniqueInOrder,
+    planSync
+};
@@ -0,0 +1,167 @@
+const os = require('os');
+const crypto = require('crypto');
+const { runWithContext } = require('./logger');
+
+// --- Subscription Scheduler ---
+// Polls lib/subscriptionStore.js for due subscriptions and runs them one at a
+// time: claim (lease) -> fresh access token -> `runSync` -> record the outcome.
+// Access tokens are refreshed shortly before they expire, and once more if the
+// service answers 401; a refresh token the service rejects pauses the
+// subscription until the user resumes it with a new one.
+//
+// Every process may run a scheduler against a shared sqlite store: the lease
+// makes sure a run happens in one of them (see lib/subscriptionStore.js).
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const LEASE_MS = 15 * 60 * 1000; // Longest a run may take before another instance may retry it
+const REFRESH_MARGIN_MS = 60 * 1000; // Refresh access tokens this long before they expire
+const MAX_REPORTED_TITLES = 50; // not_found titles kept in last_run
+
+const isAuthError = (err) => err.statusCode === 400 || err.statusCode === 401;
+
+/**
+ * @param {object} options
+ * @param {object} options.store lib/subscriptionStore.js instance
+ * @param {function(string): Promise<{access_token: string, refresh_token: ?string, expires_at: number}>} options.refreshGrant
+ *   Refresh token -> new grant
+ * @param {function({subscription: object, accessToken: string, seenVideoIds: Set<string>}): Promise<object>} options.runSync
+ *   Does the work of one run; resolves to { processed_video_ids, new_items, matched, added, not_found, api_errors }
+ * @param {number} [options.pollIntervalMs]
+ */
+module.exports = function createSubscriptionScheduler(options = {}) {
+    const {
+        store,
+        refreshGrant,
+        runSync,
+        pollIntervalMs = DEFAULT_POLL_INTERVAL_MS
+    } = options;
+
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    let timer = null;
+    let stopped = false;
+    let ticking = null; // Promise of the tick in progress
+    const stats = { runs: 0, succeeded: 0, failed: 0, last_tick_at: null };
+
+    // Errors are flagged so a rejected refresh token can be told apart from a 401 during the run
+    async function refresh(record, grant) {
+        let fresh;
+        try {
+            fresh = await refreshGrant(grant.refresh_token);
+        } catch (err) {
+            err.refreshFailed = true;
+            throw err;
+        }
+        const refreshed = { ...fresh, refresh_token: fresh.refresh_token || grant.refresh_token };
+        store.saveGrant(record.id, owner, refreshed);
+        return refreshed;
+    }
+
+    // Runs `runSync` with a fresh token, refreshing and retrying once on a 401
+    async function syncWithToken(record) {
+        let grant = store.getGrant(record);
+        if (grant.expires_at - Date.now() < REFRESH_MARGIN_MS) grant = await refresh(record, grant);
+        const attempt = (accessToken) => runSync({
+            subscription: record,
+            accessToken: accessToken,
+            seenVideoIds: new Set(record.seen_video_ids)
+        });
+        try {
+            return await attempt(grant.access_token);
+        } catch (err) {
+            if (err.statusCode !== 401) throw err;
+            console.warn(`[SUBSCRIPTIONS] Access token rejected for ${record.id}, refreshing and retrying once.`);
+            grant = await refresh(record, grant);
+            return attempt(grant.access_token);
+        }
+    }
+
+    async function runOne(record) {
+        const startedAt = new Date().toISOString();
+        console.log(`[SUBSCRIPTIONS] Running subscription ${record.id} (${record.youtube_playlist_id} -> ${record.target_playlist_id})`);
+        try {
+            const result = await syncWithToken(record);
+            const failed = result.api_errors.length > 0;
+            store.finishRun(record.id, owner, {
+                last_run: {
+                    started_at: startedAt,
+                    finished_at: new Date().toISOString(),
+                    status: failed ? 'failed' : 'succeeded',
+                    new_items: result.new_items,
+                    matched: result.matched,
+                    added: result.added,
+                    not_found: result.not_found.slice(0, MAX_REPORTED_TITLES),
+                    api_errors: result.api_errors,
+                    error: failed ? 'Some tracks could not be added; they are retried on the next run.' : null
+                },
+                // Items whose tracks didn't make it are tried again next time
+                seen_video_ids: failed ? [] : result.processed_video_ids
+            });
+            stats[failed ? 'failed' : 'succeeded']++;
+            console.log(`[SUBSCRIPTIONS] Subscription ${record.id}: ${result.new_items} new items, ${result.added} tracks added`);
+        } catch (err) {
+            // A rejected refresh token won't start working again by itself
+            const tokenRevoked = Boolean(err.refreshFailed && isAuthError(err));
+            console.error(`[SUBSCRIPTIONS] Subscription ${record.id} failed:`, err.message);
+            store.finishRun(record.id, owner, {
+                last_run: {
+                    started_at: startedAt,
+                    finished_at: new Date().toISOString(),
+                    status: 'failed',
+                    new_items: 0,
+                    matched: 0,
+                    added: 0,
+                    not_found: [],
+                    api_errors: [],
+                    error: tokenRevoked ? 'Spotify rejected the stored login. Resume the subscription with a new refresh_token.' : err.message
+                },
+                pause_reason: tokenRevoked ? 'token_revoked' : null
+            });
+            stats.failed++;
+        }
+        stats.runs++;
+    }
+
+    // Runs due subscriptions until none are left (one lease at a time)
+    async function tick() {
+        if (ticking) return ticking;
+        ticking = (async () => {
+            stats.last_tick_at = new Date().toISOString();
+            let record;
+            while (!stopped && (record = store.claimNext(owner, Date.now() + LEASE_MS))) {
+                await runWithContext({ subscription_id: record.id, user_id: record.user_id }, () => runOne(record));
+            }
+        })()
+            .catch(err => console.error('[SUBSCRIPTIONS] Scheduler tick failed:', err.message))
+            .finally(() => { ticking = null; });
+        return ticking;
+    }
+
+    function start() {
+        if (timer) return;
+        stopped = false;
+        timer = setInterval(tick, pollIntervalMs);
+        timer.unref(); // Never keep the process alive just for this
+        console.log(`[SUBSCRIPTIONS] Scheduler started (every ${Math.round(pollIntervalMs / 1000)}s, instance ${owner})`);
+        tick();
+    }
+
+    // Stops polling; a run in progress finishes, then no further ones are claimed
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+        stopped = true;
+        return ticking || Promise.resolve();
+    }
+
+    function getStats() {
+        return { ...stats, owner, running: Boolean(timer) };
+    }
+
+    return {
+        start,
+        stop,
+        tick,
+        getStats
+    };
+};
+
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encrypt, decrypt } = require('./tokenEncryption');
+
+// --- Sync Subscriptions ---
+// A subscription follows a YouTube playlist and appends what is added to it to
+// a Spotify playlist every `interval_minutes` (lib/subscriptionScheduler.js runs
+// them). Each one keeps the video IDs it has already handled, the outcome of
+// its last run and the user's Spotify grant, encrypted with AES-256-GCM under
+// TOKEN_ENCRYPTION_KEY (lib/tokenEncryption.js) so runs can refresh it.
+//
+// Runs are claimed with a lease (owner + expiry) before they start. With the
+// sqlite driver the claim is one IMMEDIATE transaction, so any number of
+// processes (pm2 cluster instances) can share the database and each due run
+// still happens once. The memory and file drivers belong to a single process.
+//
+// Drivers: 'memory', 'file' (JSON file) and 'sqlite' (needs the optional
+// better-sqlite3 package), same as lib/matchCache.js.
+
+const SUBSCRIPTION_DRIVERS = ['memory', 'file', 'sqlite'];
+const SUBSCRIPTION_STATUS = { ACTIVE: 'active', PAUSED: 'paused' };
+const DEFAULT_MAX_PER_USER = 25;
+const PERSIST_DEBOUNCE_MS = 1000;
+
+// Oldest first; ISO timestamps sort as strings
+const byCreated = (a, b) => (a.created_at < b.created_at ? -1 : (a.created_at > b.created_at ? 1 : 0));
+
+// A lease that has run out no longer blocks anyone
+const isDue = (record, now) => record.status === SUBSCRIPTION_STATUS.ACTIVE
+    && record.next_run_at <= now
+    && (!record.lease_until || record.lease_until <= now);
+
+// --- Drivers ---
+// Records keep next_run_at / lease_until as ms timestamps (the sqlite driver indexes them)
+function createMemoryDriver() {
+    const records = new Map();
+    return {
+        flush: () => {}, // Nothing is pending in memory
+        get: (id) => records.get(id) || null,
+        set: (record) => { records.set(record.id, record); },
+        delete: (id) => records.delete(id),
+        listForUser: (userKey) => Array.from(records.values()).filter(record => record.user_key === userKey).sort(byCreated),
+        nextDue: (now) => Array.from(records.values())
+            .filter(record => isDue(record, now))
+            .sort((a, b) => a.next_run_at - b.next_run_at)[0] || null,
+        // One process: nothing can interleave with a synchronous function
+        transaction: (fn) => fn(),
+        records: () => records
+    };
+}
+
+// Memory driver mirrored to a JSON file (same approach as lib/matchCache.js)
+function createFileDriver(filePath) {
+    const memory = createMemoryDriver();
+    let persistTimer = null;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            // Leases belonged to the previous process
+            (saved.records || []).forEach(record => memory.set({ ...record, lease_owner: null, lease_until: null }));
+            console.log(`[SUBSCRIPTIONS] Loaded ${memory.records().size} subscriptions from ${filePath}`);
+        } catch (err) {
+            console.error(`[SUBSCRIPTIONS] Could not load ${filePath}:`, err.message);
+        }
+    }
+
+    function writeToDisk() {
+        persistTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpFile = `${filePath}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ records: Array.from(memory.records().values()) }), { mode: 0o600 });
+            fs.renameSync(tmpFile, filePath);
+        } catch (err) {
+            console.error(`[SUBSCRIPTIONS] Could not write ${filePath}:`, err.message);
+        }
+    }
+
+    function schedulePersist() {
+        if (persistTimer) return;
+        persistTimer = setTimeout(writeToDisk, PERSIST_DEBOUNCE_MS);
+        persistTimer.unref();
+    }
+
+    // Writes a pending change now instead of after the debounce (shutdown)
+    function flush() {
+        if (!persistTimer) return;
+        clearTimeout(persistTimer);
+        writeToDisk();
+    }
+
+    return {
+        ...memory,
+        flush,
+        set: (record) => { memory.set(record); schedulePersist(); },
+        delete: (id) => {
+            const removed = memory.delete(id);
+            if (removed) schedulePersist();
+            return removed;
+        }
+    };
+}
+
+function createSqliteDriver(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error("SUBSCRIPTION_DRIVER=sqlite requires the 'better-sqlite3' package (npm install better-sqlite3).");
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL'); // Lets several pm2 instances read while one writes
+    db.pragma('busy_timeout = 5000'); // Wait for another instance's claim instead of failing
+    db.exec(`CREATE TABLE IF NOT EXISTS sync_subscriptions (
+        id TEXT PRIMARY KEY,
+        user_key TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        next_run_at INTEGER NOT NULL,
+        lease_until INTEGER,
+        record TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sync_subscriptions_user ON sync_subscriptions (user_key, created_at);
+    CREATE INDEX IF NOT EXISTS sync_subscriptions_due ON sync_subscriptions (status, next_run_at)`);
+    const statements = {
+        get: db.prepare('SELECT record FROM sync_subscriptions WHERE id = ?'),
+        set: db.prepare(`INSERT OR REPLACE INTO sync_subscriptions (id, user_key, created_at, status, next_run_at, lease_until, record)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`),
+        delete: db.prepare('DELETE FROM sync_subscriptions WHERE id = ?'),
+        listForUser: db.prepare('SELECT record FROM sync_subscriptions WHERE user_key = ? ORDER BY created_at'),
+        nextDue: db.prepare(`SELECT record FROM sync_subscriptions
+            WHERE status = 'active' AND next_run_at <= ? AND (lease_until IS NULL OR lease_until <= ?)
+            ORDER BY next_run_at LIMIT 1`)
+    };
+    console.log(`[SUBSCRIPTIONS] Using SQLite database ${filePath}`);
+
+    const parse = (row) => (row ? JSON.parse(row.record) : null);
+    return {
+        flush: () => {}, // Every write is already in the database
+        get: (id) => parse(statements.get.get(id)),
+        set: (record) => {
+            statements.set.run(record.id, record.user_key, record.created_at, record.status,
+                record.next_run_at, record.lease_until || null, JSON.stringify(record));
+        },
+        delete: (id) => statements.delete.run(id).changes > 0,
+        listForUser: (userKey) => statements.listForUser.all(userKey).map(parse),
+        nextDue: (now) => parse(statements.nextDue.get(now, now)),
+        // BEGIN IMMEDIATE takes the write lock up front, so two instances can't
+        // both read a subscription as unclaimed
+        transaction: (fn) => db.transaction(fn).immediate()
+    };
+}
+
+// Subscriptions are per destination account, like the conversion history
+function userKeyFor(target, userId) {
+    return `${target}:${userId}`;
+}
+
+// Subscriptions as handed out: no owner key, lease, token or seen-ID list
+function publicSubscription(record) {
+    const { user_key, lease_owner, lease_until, token, seen_video_ids, ...rest } = record;
+    return {
+        ...rest,
+        next_run_at: new Date(record.next_run_at).toISOString(),
+        running: Boolean(lease_until && lease_until > Date.now()),
+        seen_items: seen_video_ids.length
+    };
+}
+
+// --- Store Facade ---
+/**
+ * @param {object} options
+ * @param {Buffer} options.encryptionKey 32-byte key (see lib/tokenEncryption.js)
+ */
+module.exports = function createSubscriptionStore(options = {}) {
+    const {
+        driver = 'memory',
+        filePath = null,
+        encryptionKey,
+        maxPerUser = DEFAULT_MAX_PER_USER
+    } = options;
+
+    if (!SUBSCRIPTION_DRIVERS.includes(driver)) {
+        throw new Error(`Unknown subscription driver '${driver}' (expected one of ${SUBSCRIPTION_DRIVERS.join(', ')}).`);
+    }
+    if (driver !== 'memory' && !filePath) {
+        throw new Error(`Subscription driver '${driver}' needs a file path.`);
+    }
+    if (!Buffer.isBuffer(encryptionKey) || encryptionKey.length !== 32) {
+        throw new Error('Subscriptions need a 32-byte encryption key.');
+    }
+    const store = driver === 'sqlite' ? createSqliteDriver(filePath)
+        : driver === 'file' ? createFileDriver(filePath)
+        : createMemoryDriver();
+
+    const tokenKey = (id) => `subscription:${id}`;
+
+    function getOwned(target, userId, id) {
+        const record = store.get(id);
+        return record && record.user_key === userKeyFor(target, userId) ? record : null;
+    }
+
+    // Read-modify-write of one record; `change` returns the new record (or null to leave it)
+    function mutate(id, change) {
+        return store.transaction(() => {
+            const record = store.get(id);
+            if (!record) return null;
+            const updated = change(record);
+            if (!updated) return null;
+            store.set(updated);
+            return updated;
+        });
+    }
+
+    /**
+     * Adds a subscription; its first run is due right away.
+     * @param {string} target Destination ID (lib/destinations.js)
+     * @param {string} userId Destination user ID
+     * @param {{source_url: string, youtube_playlist_id: string, target_playlist_id: string, interval_minutes: number}} fields
+     * @param {{access_token: string, refresh_token: string, expires_at: number}} grant
+     * @returns {?object} The subscription, or null when the user already has `maxPerUser`
+     */
+    function create(target, userId, fields, grant) {
+        const userKey = userKeyFor(target, userId);
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        const record = {
+            id: id,
+            user_key: userKey,
+            target: target,
+            user_id: userId,
+            ...fields,
+            status: SUBSCRIPTION_STATUS.ACTIVE,
+            paused_reason: null,
+            created_at: now,
+            updated_at: now,
+            next_run_at: Date.now(),
+            run_count: 0,
+            last_run: null,
+            seen_video_ids: [],
+            lease_owner: null,
+            lease_until: null,
+            token: encrypt(encryptionKey, tokenKey(id), grant)
+        };
+        const created = store.transaction(() => {
+            if (store.listForUser(userKey).length >= maxPerUser) return false;
+            store.set(record);
+            return true;
+        });
+        return created ? publicSubscription(record) : null;
+    }
+
+    // One subscription, or null when it doesn't exist or belongs to someone else
+    function get(target, userId, id) {
+        const record = getOwned(target, userId, id);
+        return record ? publicSubscription(record) : null;
+    }
+
+    function list(target, userId) {
+        return store.listForUser(userKeyFor(target, userId)).map(publicSubscription);
+    }
+
+    function remove(target, userId, id) {
+        return store.transaction(() => (getOwned(target, userId, id) ? store.delete(id) : false));
+    }
+
+    // Pauses or resumes; resuming can also swap in a new grant (after a revoked one)
+    // and makes the next run due right away. Returns the subscription or null.
+    function setStatus(target, userId, id, status, { grant = null } = {}) {
+        if (!getOwned(target, userId, id)) return null;
+        const updated = mutate(id, record => ({
+            ...record,
+            status: status,
+            paused_reason: status === SUBSCRIPTION_STATUS.PAUSED ? 'user' : null,
+            next_run_at: status === SUBSCRIPTION_STATUS.ACTIVE ? Date.now() : record.next_run_at,
+            updated_at: new Date().toISOString(),
+            ...(grant ? { token: encrypt(encryptionKey, tokenKey(id), grant) } : {})
+        }));
+        return updated ? publicSubscription(updated) : null;
+    }
+
+    // Makes an active subscription due now ("sync now"). Returns it, or null.
+    function runNow(target, userId, id) {
+        if (!getOwned(target, userId, id)) return null;
+        const updated = mutate(id, record => (record.status === SUBSCRIPTION_STATUS.ACTIVE
+            ? { ...record, next_run_at: Date.now(), updated_at: new Date().toISOString() }
+            : record));
+        return updated ? publicSubscription(updated) : null;
+    }
+
+    // --- Runs (lib/subscriptionScheduler.js) ---
+
+    /**
+     * Claims the most overdue subscription for `owner` until `leaseUntil` (ms).
+     * @returns {?object} The full record (with seen_video_ids), or null when nothing is due
+     */
+    function claimNext(owner, leaseUntil, now = Date.now()) {
+        return store.transaction(() => {
+            const record = store.nextDue(now);
+            if (!record) return null;
+            const claimed = { ...record, lease_owner: owner, lease_until: leaseUntil };
+            store.set(claimed);
+            return claimed;
+        });
+    }
+
+    // Decrypted grant of a claimed subscription
+    function getGrant(record) {
+        return decrypt(encryptionKey, tokenKey(record.id), record.token);
+    }
+
+    // Stores a refreshed grant, as long as `owner` still holds the lease
+    function saveGrant(id, owner, grant) {
+        return Boolean(mutate(id, record => (record.lease_owner === owner
+            ? { ...record, token: encrypt(encryptionKey, tokenKey(id), grant) }
+            : null)));
+    }
+
+    /**
+     * Records a run and releases the lease. Ignored when the subscription was
+     * deleted meanwhile or the lease went to someone else; a pause made during
+     * the run is kept.
+     * @param {string} id
+     * @param {string} owner Lease owner passed to claimNext()
+     * @param {{last_run: object, seen_video_ids?: string[], pause_reason?: ?string}} outcome
+     *   `seen_video_ids` are added to the handled set; `pause_reason` pauses the subscription
+     * @returns {boolean}
+     */
+    function finishRun(id, owner, { last_run: lastRun, seen_video_ids: seenVideoIds = [], pause_reason: pauseReason = null }) {
+        return Boolean(mutate(id, record => {
+            if (record.lease_owner !== owner) return null;
+            const seen = new Set(record.seen_video_ids);
+            seenVideoIds.forEach(videoId => seen.add(videoId));
+            return {
+                ...record,
+                status: pauseReason ? SUBSCRIPTION_STATUS.PAUSED : record.status,
+                paused_reason: pauseReason || record.paused_reason,
+                next_run_at: Date.now() + record.interval_minutes * 60 * 1000,
+                run_count: record.run_count + 1,
+                last_run: lastRun,
+                seen_video_ids: Array.from(seen),
+                lease_owner: null,
+                lease_until: null,
+                updated_at: new Date().toISOString()
+            };
+        }));
+    }
+
+    return {
+        driver,
+        flush: () => store.flush(), // Pending file writes, now (shutdown)
+        create,
+        get,
+        list,
+        remove,
+        setStatus,
+        runNow,
+        claimNext,
+        getGrant,
+        saveGrant,
+        finishRun
+    };
+};
+
+module.exports.SUBSCRIPTION_DRIVERS = SUBSCRIPTION_DRIVERS;
+module.exports.SUBSCRIPTION_STATUS = SUBSCRIPTION_STATUS;
@@ -0,0 +1,284 @@
+// --- YouTube Title Parser ---
+// Splits a video title such as "Artist - Song (feat. Guest) [Official Video]"
+// into { artist, track, featured, version, order } so Spotify can be searched
+// with field-scoped queries (track:"Song" artist:"Artist") instead of one blob
+// of text. Pure string work with no API calls, so it can be checked on its own
+// against test/fixtures/youtube-titles.json.
+
+const { normalize, diceSimilarity } = require('./trackMatcher');
+
+// Bracket pairs whose content is a tag ("(Official Video)", "【MV】", "(feat. X)")
+const TAG_BRACKET_PATTERN = /[\(\[\{【〔（［〈《]([^\)\]\}】〕）］〉》]*)[\)\]\}】〕）］〉》]/g;
+// Shouty banners like "*OFFICIAL FRIENDZONE ANTHEM*"
+const STAR_BANNER_PATTERN = /\*[^*]+\*/g;
+// Quote pairs that wrap the song title ("Artist「Title」", 'Artist "Title"')
+const QUOTED_TITLE_PATTERN = /^(.*?)\s*[「『"“]([^」』"”]+)[」』"”]\s*(.*)$/;
+// " - ", " – ", " | ", " _ " (Korean MV titles), "｜", " // " and one-sided dashes ("Artist- Song")
+const SEPARATOR_PATTERN = /\s+(?:[-–—−~_－]|\/\/)\s+|\s*[|｜]\s*|\s+[-–—]\s*|\s*[-–—]\s+/;
+const FEATURE_TAG_PATTERN = /^(?:feat\.?|ft\.?|featuring|with)\s+(.+)$/i;
+const INLINE_FEATURE_PATTERN = /\s+[\(\[]?(?:feat\.?|ft\.?|featuring)\s+(.+?)[\)\]]?$/i;
+const INLINE_PRODUCER_PATTERN = /\s+[\(\[]?prod(?:\.|uced)?\s+(?:by\s+)?.+?[\)\]]?$/i;
+// Credits and soundtrack notes that never belong in the track name
+const DROPPED_TAG_PATTERN = /^(?:prod(?:\.|uced)?|from|taken from|as heard|as featured|ost|soundtrack)\b/i;
+// Alternative takes worth keeping: Spotify names them ("Song - Live", "Song (Acoustic)")
+const VERSION_PATTERN = /\b(?:remix|rmx|mix|edit|live|acoustic|unplugged|version|ver\.?|demo|instrumental|cover|slowed|sped up|reverb|nightcore|extended|rework|bootleg|vip|piano|orchestral|stripped|session|remake|mashup|flip)\b/i;
+// Collaborator separators inside an artist credit
+const ARTIST_SPLIT_PATTERN = /\s+(?:x|×|&|\+|vs\.?)\s+|\s*,\s*/i;
+const FEATURED_SPLIT_PATTERN = /\s*,\s*|\s+(?:&|and|x|×)\s+/i;
+// Trailing words that say what kind of upload it is rather than what the song is called
+const TRAILING_NOISE_PATTERN = /\s+(?:official\s+(?:music\s+)?(?:video|audio|lyric\s+video|visuali[sz]er|mv)|music\s+video|lyrics?\s+video|with\s+lyrics|lyrics|mv|m\/v|hd|hq|4k)\s*$/i;
+
+// A tag made only of these words is noise ("Official Music Video HD", "Lyrics", "MV")
+const NOISE_WORDS = new Set([
+    'official', 'offical', 'oficial', 'officiel', 'music', 'musical', 'video', 'videoclip', 'clip',
+    'audio', 'lyric', 'lyrics', 'letra', 'visualizer', 'visualiser', 'hd', 'hq', '4k', '8k', '1080p', '720p',
+    'mv', 'm', 'v', 'pv', 'explicit', 'clean', 'color', 'coded', 'eng', 'sub', 'subs', 'subtitles', 'with',
+    'full', 'new', 'premiere', 'performance', 'topic', 'high', 'quality', 'out', 'now', 'ncs', 'release',
+    'nocopyrightsounds', 'remaster', 'remastered', 'remastering', 'movie', 'film',
+    '公式', '歌詞', 'ミュージックビデオ', '뮤직비디오', '가사', '官方', '歌词'
+]);
+
+// A separated part ("Song | Official Video") must also name the upload type, so
+// songs called "Music" or "Clean" survive
+const UPLOAD_WORDS = new Set(['official', 'offical', 'oficial', 'officiel', 'video', 'videoclip', 'audio', 'lyric',
+    'lyrics', 'letra', 'visualizer', 'visualiser', 'mv', 'pv', 'hd', 'hq', '4k', 'topic', '歌詞', 'ミュージックビデオ', '뮤직비디오']);
+
+// Channel suffixes that aren't part of the artist's name
+const CHANNEL_SUFFIX_PATTERN = / - Topic$|VEVO$|\s+Official$/gi;
+
+/**
+ * Strip " - Topic", "VEVO" and similar suffixes from a channel name.
+ * @param {?string} channel
+ * @returns {?string}
+ */
+function cleanChannelName(channel) {
+    if (!channel) return null;
+    return channel.replace(CHANNEL_SUFFIX_PATTERN, '').trim() || null;
+}
+
+// `strict` is used for separated parts, which are more often real song names than tags are
+function isNoise(text, strict = false) {
+    const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (words.length === 0) return true;
+    const allNoise = words.every(word => NOISE_WORDS.has(word) || /^(?:19|20)\d{2}$/.test(word) ||
+        /^(?:公式)?(?:mv|pv)$/.test(word));
+    return allNoise && (!strict || words.some(word => UPLOAD_WORDS.has(word)));
+}
+
+// 'latin', 'other' (CJK, Hangul, Cyrillic...), 'mixed' or null when there are no letters
+function scriptOf(text) {
+    const hasLatin = /\p{Script=Latin}/u.test(text);
+    const hasOther = /(?!\p{Script=Latin})\p{L}/u.test(text);
+    if (hasLatin && hasOther) return 'mixed';
+    if (hasLatin) return 'latin';
+    return hasOther ? 'other' : null;
+}
+
+function stripQuotes(text) {
+    return text.replace(/^["“'‘「『]+|["”'’」』]+$/g, '').trim();
+}
+
+function tidy(text) {
+    let cleaned = text.replace(/\s+/g, ' ').trim();
+    let previous;
+    do {
+        previous = cleaned;
+        cleaned = cleaned.replace(TRAILING_NOISE_PATTERN, '').trim();
+    } while (cleaned !== previous);
+    return stripQuotes(cleaned.replace(/^[\s\-–—|:]+|[\s\-–—|:,]+$/g, ''));
+}
+
+function splitNames(text, pattern) {
+    return text.split(pattern).map(name => tidy(name)).filter(Boolean);
+}
+
+// How strongly a title part looks like the channel's name (0..1)
+function channelSimilarity(part, channel) {
+    const a = normalize(part);
+    const b = normalize(channel);
+    if (!a || !b) return 0;
+    if (a.includes(b) || b.includes(a)) return 1;
+    return diceSimilarity(a, b);
+}
+
+/**
+ * Parse a YouTube video title into structured fields.
+ * @param {string} title Raw video title
+ * @param {?string} [channel] Uploading channel, used to tell "Artist - Title" from "Title - Artist"
+ * @returns {{artist: ?string, track: string, featured: string[], version: ?string, order: ?string}}
+ *   `order` is 'artist-title', 'title-artist' or null when the title had a single part
+ */
+function parseYoutubeTitle(title, channel = null) {
+    const featured = [];
+    const versions = [];
+    const cleanChannel = cleanChannelName(channel);
+    let text = (title || '').replace(STAR_BANNER_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+
+    // 1. Bracketed tags: collect features and versions, drop noise and aliases
+    const outsideScript = scriptOf(text.replace(TAG_BRACKET_PATTERN, ' '));
+    text = text.replace(TAG_BRACKET_PATTERN, (whole, rawContent) => {
+        const content = rawContent.trim();
+        const featureMatch = FEATURE_TAG_PATTERN.exec(content);
+        if (featureMatch) {
+            featured.push(...splitNames(featureMatch[1], FEATURED_SPLIT_PATTERN));
+            return ' ';
+        }
+        if (isNoise(content) || DROPPED_TAG_PATTERN.test(content)) return ' ';
+        if (VERSION_PATTERN.test(content)) {
+            versions.push(content);
+            return ' ';
+        }
+        // "IU(아이유)": the same name in another script, Spotify only knows one of them
+        const contentScript = scriptOf(content);
+        if (outsideScript && contentScript && contentScript !== 'mixed' && outsideScript !== 'mixed' &&
+            contentScript !== outsideScript) {
+            return ' ';
+        }
+        return ` (${content}) `; // Part of the title proper, e.g. "(Don't Fear) The Reaper"
+    }).replace(/\s+/g, ' ').trim();
+
+    let artist = null;
+    let track = null;
+    let order = null;
+
+    // 2. Quoted title: 'Artist「Title」', 'Artist "Title"', '"Title" by Artist'
+    // (CJK quotes always mark the title; ASCII quotes only when there is no separator)
+    const quoted = QUOTED_TITLE_PATTERN.exec(text);
+    if (quoted && (/[「『]/.test(text) || !SEPARATOR_PATTERN.test(text))) {
+        const [, before, inside, after] = quoted;
+        track = inside;
+        if (before.trim()) {
+            artist = before;
+        } else if (/^by\s+/i.test(after)) {
+            artist = after.replace(/^by\s+/i, '');
+        }
+        order = artist ? (before.trim() ? 'artist-title' : 'title-artist') : null;
+        if (!/^by\s+/i.test(after) && VERSION_PATTERN.test(after) && !isNoise(after)) versions.push(tidy(after));
+    } else {
+        // 3. Separated parts: "Artist - Title", "Title | Artist", "Artist - Title - Live"
+        const parts = [];
+        text.split(SEPARATOR_PATTERN).map(part => part.trim()).filter(Boolean).forEach(part => {
+            if (isNoise(part, true)) return;
+            if (parts.length >= 2 && VERSION_PATTERN.test(part)) {
+                versions.push(tidy(part));
+                return;
+            }
+            parts.push(part);
+        });
+        if (parts.length >= 2) {
+            let [left, right] = parts;
+            // Trust the channel when it clearly names the right-hand side
+            if (cleanChannel && channelSimilarity(right, cleanChannel) > Math.max(channelSimilarity(left, cleanChannel), 0.6)) {
+                [left, right] = [right, left];
+                order = 'title-artist';
+            } else {
+                order = 'artist-title';
+            }
+            artist = left;
+            track = right;
+        } else {
+            track = parts[0] || text;
+        }
+    }
+
+    // 4. Inline credits: "Song ft. Guest", "Artist feat. Guest", "Song prod. by X"
+    const takeFeatures = (value) => {
+        if (!value) return value;
+        let cleaned = value.replace(INLINE_PRODUCER_PATTERN, '');
+        const inline = INLINE_FEATURE_PATTERN.exec(cleaned);
+        if (inline) {
+            featured.push(...splitNames(inline[1], FEATURED_SPLIT_PATTERN));
+            cleaned = cleaned.slice(0, inline.index);
+        }
+        return cleaned;
+    };
+    track = tidy(takeFeatures(track) || '');
+    artist = artist ? tidy(takeFeatures(artist)) : null;
+
+    // 5. Collaborations: "A x B", "A & B" -> artist A, featured B (unless the channel is "A & B")
+    if (artist && !(cleanChannel && normalize(artist) === normalize(cleanChannel))) {
+        const [primary, ...others] = splitNames(artist, ARTIST_SPLIT_PATTERN);
+        if (primary) {
+            artist = primary;
+            featured.unshift(...others);
+        }
+    }
+
+    const seen = new Set(artist ? [normalize(artist)] : []);
+    return {
+        artist: artist || null,
+        track: track || tidy(text),
+        featured: featured.filter(name => {
+            const key = normalize(name);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }),
+        version: versions.length ? versions.join(' ') : null,
+        order: artist ? order : null
+    };
+}
+
+// Search strategies by config name (SEARCH_STRATEGIES) -> the `desc` their attempts carry
+const SEARCH_STRATEGIES = {
+    isrc: 'ISRC',
+    album: 'Precise (Album)',
+    precise: 'Precise',
+    channel: 'Precise (Channel)',
+    swapped: 'Swapped',
+    combined: 'Combined',
+    title: 'Title Only'
+};
+
+// Spotify's field filters break on embedded double quotes
+function quoteField(value) {
+    return `"${value.replace(/"/g, '')}"`;
+}
+
+/**
+ * Build Spotify search attempts from a parsed title, most precise first.
+ * @param {object} parsed Result of parseYoutubeTitle (or the same shape built from a description)
+ * @param {?string} [channel] Raw channel name (falls back as the artist)
+ * @param {{album?: ?string, isrc?: ?string}} [hints] Exact metadata from the video description
+ * @param {?Array<string>} [strategies] SEARCH_STRATEGIES keys to use (null = all)
+ * @returns {Array<{q: string, desc: string}>}
+ */
+function buildSpotifyQueries(parsed, channel = null, { album = null, isrc = null } = {}, strategies = null) {
+    const cleanChannel = cleanChannelName(channel);
+    const versionSuffix = parsed.version ? ` ${parsed.version}` : '';
+    const enabled = strategies ? new Set(strategies.map(name => SEARCH_STRATEGIES[name])) : null;
+    const attempts = [];
+    const add = (q, desc) => {
+        if (enabled && !enabled.has(desc)) return;
+        if (q && !attempts.some(attempt => attempt.q === q)) attempts.push({ q, desc });
+    };
+    if (isrc) add(`isrc:${isrc}`, 'ISRC');
+    if (!parsed.track) return attempts;
+
+    if (parsed.artist && album) {
+        add(`track:${quoteField(parsed.track)} artist:${quoteField(parsed.artist)} album:${quoteField(album)}`, 'Precise (Album)');
+    }
+    if (parsed.artist) {
+        add(`track:${quoteField(parsed.track)} artist:${quoteField(parsed.artist)}${versionSuffix}`, 'Precise');
+    }
+    if (cleanChannel && !(parsed.artist && channelSimilarity(parsed.artist, cleanChannel) >= 0.8)) {
+        add(`track:${quoteField(parsed.track)} artist:${quoteField(cleanChannel)}${versionSuffix}`, 'Precise (Channel)');
+    }
+    // Without the channel backing it up, "A - B" might just as well be "Title - Artist"
+    if (parsed.order === 'artist-title' && !(cleanChannel && channelSimilarity(parsed.artist, cleanChannel) >= 0.8)) {
+        add(`track:${quoteField(parsed.artist)} artist:${quoteField(parsed.track)}`, 'Swapped');
+    }
+    const artistText = parsed.artist || cleanChannel;
+    if (artistText) {
+        add(`${artistText} ${parsed.track}`, 'Combined');
+    }
+    add(`${parsed.track}${versionSuffix}`, 'Title Only');
+    return attempts;
+}
+
+module.exports = {
+    SEARCH_STRATEGIES,
+    parseYoutubeTitle,
+    buildSpotifyQueries,
+    cleanChannelName
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// --- Token Encryption ---
+// AES-256-GCM for OAuth grants kept on the server (lib/authSessions.js,
+// lib/subscriptionStore.js), under TOKEN_ENCRYPTION_KEY.
+
+// TOKEN_ENCRYPTION_KEY: 32 bytes as 64 hex characters or base64
+function parseEncryptionKey(value) {
+    if (!value) throw new Error('TOKEN_ENCRYPTION_KEY is not set.');
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+        throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64), e.g. `openssl rand -hex 32`.');
+    }
+    return key;
+}
+
+// "v1.<iv>.<auth tag>.<ciphertext>" (base64url); the record key is the AAD so a
+// ciphertext can't be moved to another record
+function encrypt(key, recordKey, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(recordKey));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (typeof part === 'string' ? part : part.toString('base64url'))).join('.');
+}
+
+function decrypt(key, recordKey, payload) {
+    const [version, iv, tag, ciphertext] = payload.split('.');
+    if (version !== 'v1') throw new Error(`Unknown payload version '${version}'`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(recordKey));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+    parseEncryptionKey,
+    encrypt,
+    decrypt
+};
@@ -0,0 +1,165 @@
+// --- Track Matcher ---
+// Scores Spotify search candidates against a YouTube item so we can pick the
+// best hit instead of trusting whatever the search API returned first.
+
+const DEFAULT_WEIGHTS = { title: 0.5, artist: 0.3, duration: 0.2 };
+const DEFAULT_THRESHOLD = 0.6;
+
+// Versions we don't want unless the YouTube title asks for them
+const UNWANTED_VERSION_TERMS = [
+    'karaoke', 'instrumental', 'cover', 'tribute', 'made famous', 'in the style of',
+    'originally performed', 'remix', 'live', 'acoustic', 'sped up', 'slowed', 'nightcore', '8d'
+];
+const VERSION_PENALTY = 0.5;
+
+// Seconds of difference that still count as a perfect / worthless duration match
+const DURATION_EXACT_SEC = 3;
+const DURATION_MAX_SEC = 30;
+
+// Lowercase, strip accents and punctuation, collapse whitespace. Keeps non-Latin letters.
+function normalize(text) {
+    if (!text) return '';
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Spotify names carry suffixes like "- Remastered 2011" or "(feat. X)" that YouTube titles rarely match
+function normalizeTrackName(name) {
+    if (!name) return '';
+    let cleaned = name.replace(/\s+-\s+.*(remaster|version|edit|mono|stereo|mix).*$/i, '');
+    cleaned = cleaned.replace(/[\(\[][^\)\]]*(feat|ft\.|with |remaster)[^\)\]]*[\)\]]/gi, ' ');
+    return normalize(cleaned);
+}
+
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, ' ');
+    const grams = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+// Sørensen–Dice coefficient over character bigrams (0..1)
+function diceSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let overlap = 0;
+    let total = 0;
+    for (const [gram, count] of gramsA) {
+        overlap += Math.min(count, gramsB.get(gram) || 0);
+        total += count;
+    }
+    for (const count of gramsB.values()) total += count;
+    return (2 * overlap) / total;
+}
+
+// Fraction of `needle` words that appear in `haystack` (0..1)
+function tokenContainment(needle, haystack) {
+    const needleTokens = needle.split(' ').filter(Boolean);
+    if (needleTokens.length === 0) return 0;
+    const haystackTokens = new Set(haystack.split(' '));
+    const hits = needleTokens.filter(token => haystackTokens.has(token)).length;
+    return hits / needleTokens.length;
+}
+
+// ISO 8601 duration from contentDetails (e.g. "PT3M45S") -> milliseconds
+function parseIsoDuration(isoDuration) {
+    if (!isoDuration) return null;
+    const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(isoDuration);
+    if (!match) return null;
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(v => (v === undefined ? 0 : v));
+    const totalSeconds = Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    return totalSeconds > 0 ? totalSeconds * 1000 : null;
+}
+
+function titleScore(source, candidate) {
+    const name = normalizeTrackName(candidate.name);
+    if (!name) return 0;
+    const cleaned = normalize(source.cleanedTitle);
+    const fullTitle = normalize(source.title);
+    // The cleaned title is best when parsing worked; containment in the raw title
+    // rescues "Artist - Song" titles where the cleaner kept the wrong half.
+    return Math.max(diceSimilarity(cleaned, name), tokenContainment(name, fullTitle) * 0.9);
+}
+
+function artistScore(source, candidate) {
+    const artists = (candidate.artists || []).map(a => normalize(a.name)).filter(Boolean);
+    if (artists.length === 0) return 0;
+    const channel = normalize(source.channel);
+    const parsedArtist = normalize(source.artist); // From lib/titleParser.js, when the title named one
+    const fullTitle = normalize(source.title);
+    return Math.max(...artists.map(artist => Math.max(
+        channel ? diceSimilarity(artist, channel) : 0,
+        channel ? tokenContainment(artist, channel) : 0,
+        parsedArtist ? diceSimilarity(artist, parsedArtist) : 0,
+        tokenContainment(artist, fullTitle)
+    )));
+}
+
+function durationScore(source, candidate) {
+    if (!source.durationMs || !candidate.duration_ms) return null;
+    const diffSec = Math.abs(source.durationMs - candidate.duration_ms) / 1000;
+    if (diffSec <= DURATION_EXACT_SEC) return 1;
+    if (diffSec >= DURATION_MAX_SEC) return 0;
+    return 1 - (diffSec - DURATION_EXACT_SEC) / (DURATION_MAX_SEC - DURATION_EXACT_SEC);
+}
+
+// Penalize karaoke/cover/live etc. when the candidate has the tag but the YouTube title doesn't
+function versionPenalty(source, candidate) {
+    const sourceText = normalize(source.title);
+    const candidateText = normalize([candidate.name, candidate.album?.name, ...(candidate.artists || []).map(a => a.name)].join(' '));
+    const mismatched = UNWANTED_VERSION_TERMS.some(term =>
+        new RegExp(`\\b${term}\\b`).test(candidateText) && !new RegExp(`\\b${term}\\b`).test(sourceText)
+    );
+    return mismatched ? VERSION_PENALTY : 1;
+}
+
+/**
+ * Score one Spotify track candidate against a YouTube item.
+ * @param {{title: string, cleanedTitle: string, artist: ?string, channel: ?string, durationMs: ?number, isrc: ?string}} source
+ * @param {object} candidate Spotify track object from the search API
+ * @param {object} [weights] Relative weights for title/artist/duration
+ * @returns {{score: number, breakdown: object}} score in 0..1
+ */
+function scoreCandidate(source, candidate, weights = DEFAULT_WEIGHTS) {
+    // Same ISRC means same recording, whatever the names look like
+    if (source.isrc && candidate.external_ids?.isrc?.toUpperCase() === source.isrc) {
+        return { score: 1, breakdown: { isrc: 1 } };
+    }
+    const breakdown = {
+        title: titleScore(source, candidate),
+        artist: artistScore(source, candidate),
+        duration: durationScore(source, candidate)
+    };
+    // Missing signals (e.g. no duration) drop out and the remaining weights are rescaled
+    let weighted = 0;
+    let weightTotal = 0;
+    Object.keys(weights).forEach(key => {
+        if (breakdown[key] === null || breakdown[key] === undefined) return;
+        weighted += breakdown[key] * weights[key];
+        weightTotal += weights[key];
+    });
+    breakdown.version_penalty = versionPenalty(source, candidate);
+    const score = weightTotal > 0 ? (weighted / weightTotal) * breakdown.version_penalty : 0;
+    return { score: Math.round(score * 1000) / 1000, breakdown };
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    DEFAULT_WEIGHTS,
+    normalize,
+    diceSimilarity,
+    parseIsoDuration,
+    scoreCandidate
+};
@@ -0,0 +1,40 @@
+// --- Upstream Hosts ---
+// MOCK_UPSTREAMS sends every Spotify and YouTube call to a local stand-in
+// (test/support/mockUpstreams.js) instead of the real services. googleapis and
+// lib/spotifyAuth.js take a base URL; spotify-web-api-node hardcodes its hosts
+// in its request builders, so those builders are wrapped here.
+//
+// Not redirected, so these still reach the real services (or fail offline):
+//   - the Deezer API (lib/deezerDestination.js), i.e. every target=deezer request
+//   - Google OAuth: the code exchange, token refresh and revoke in lib/googleAuth.js
+//     (only the YouTube Data API calls use the stand-in)
+//   - cover images fetched from a URL the user passes as cover_image; the fixture
+//     playlists' own thumbnails point at the stand-in
+// MOCK_UPSTREAMS is refused under the production profile (lib/config.js).
+
+const webApiRequest = require('spotify-web-api-node/src/webapi-request');
+const authenticationRequest = require('spotify-web-api-node/src/authentication-request');
+
+// Wraps a builder factory so every request it starts goes to `target` instead
+function retarget(requestModule, target) {
+    const originalBuilder = requestModule.builder;
+    requestModule.builder = (...args) => originalBuilder(...args)
+        .withScheme(target.protocol.replace(':', ''))
+        .withHost(target.hostname)
+        .withPort(Number(target.port) || (target.protocol === 'https:' ? 443 : 80));
+}
+
+/**
+ * Points every spotify-web-api-node client in this process (Web API and
+ * accounts requests) at `baseUrl`. Affects clients created before and after.
+ * @param {string} baseUrl e.g. http://127.0.0.1:5055
+ */
+function redirectSpotifyWebApi(baseUrl) {
+    const target = new URL(baseUrl);
+    retarget(webApiRequest, target);
+    retarget(authenticationRequest, target);
+}
+
+module.exports = {
+    redirectSpotifyWebApi
+};
@@ -0,0 +1,106 @@
+// --- YouTube Source Resolver ---
+// Turns whatever the user pasted (playlist/video/shorts/album/channel URL or a
+// bare playlist ID) into a typed source descriptor:
+//   { type: 'playlist', playlistId, requiresGoogleAuth }
+//   { type: 'video', videoId }
+//   { type: 'channel', channelId | handle | username | customName }
+//   { type: 'unsupported', reason }         - recognised, but the API can't read it
+// Returns null when the input isn't a YouTube source at all. Pure parsing only:
+// expanding channels into their uploads playlist needs API calls and happens in the route.
+
+const YOUTUBE_HOSTS = ['youtube.com', 'm.youtube.com', 'music.youtube.com'];
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+// PL = user playlist, OLAK5uy_ = album, UU = uploads, FL = favourites, RD = mix, LL/LM = likes
+const PLAYLIST_ID_PATTERN = /^(?:(?:PL|OLAK5uy_|UU|FL|RD)[A-Za-z0-9_-]{10,}|LL|LM)$/;
+
+// Album pages (browse/MPREb_...) aren't in the Data API; only their OLAK5uy_ playlist is
+const ALBUM_PAGE_REASON = "YouTube Music album pages can't be read directly. Open the album and share its playlist link (music.youtube.com/playlist?list=OLAK5uy_...) instead.";
+const MIX_REASON = "YouTube auto-generated mixes (playlist IDs starting with 'RD') are built on the fly per viewer and can't be read through the YouTube API. Save the mix as a regular playlist first.";
+
+function describePlaylist(playlistId) {
+    if (playlistId.startsWith('RD')) {
+        return { type: 'unsupported', reason: MIX_REASON, playlistId };
+    }
+    // YouTube Music's "Liked music" (LM) isn't exposed by the Data API; the
+    // account's liked videos list (LL) is, and includes liked songs.
+    if (playlistId === 'LM' || playlistId === 'LL') {
+        return { type: 'playlist', playlistId: 'LL', requiresGoogleAuth: true };
+    }
+    return { type: 'playlist', playlistId, requiresGoogleAuth: false };
+}
+
+function resolveFromUrl(parsedUrl) {
+    const hostname = parsedUrl.hostname.replace(/^www\./, '');
+    const segments = parsedUrl.pathname.split('/').filter(Boolean);
+    const listParam = parsedUrl.searchParams.get('list');
+
+    if (hostname === 'youtu.be') {
+        // youtu.be/playlist?list=... or youtu.be/<videoId>
+        if (listParam) return describePlaylist(listParam);
+        if (segments[0] && VIDEO_ID_PATTERN.test(segments[0])) return { type: 'video', videoId: segments[0] };
+        return null;
+    }
+    if (!YOUTUBE_HOSTS.includes(hostname)) return null;
+
+    // A list parameter wins (watch?v=...&list=... converts the whole playlist)
+    if (listParam) return describePlaylist(listParam);
+
+    const [first, second] = segments;
+    if (first === 'watch') {
+        const videoId = parsedUrl.searchParams.get('v');
+        return videoId && VIDEO_ID_PATTERN.test(videoId) ? { type: 'video', videoId } : null;
+    }
+    if ((first === 'shorts' || first === 'live' || first === 'embed') && second && VIDEO_ID_PATTERN.test(second)) {
+        return { type: 'video', videoId: second };
+    }
+    if (first === 'browse' && second) {
+        // VL<playlistId> browse pages are just playlists
+        if (second.startsWith('VL')) return describePlaylist(second.slice(2));
+        if (second.startsWith('MPREb_')) return { type: 'unsupported', reason: ALBUM_PAGE_REASON };
+        if (CHANNEL_ID_PATTERN.test(second)) return { type: 'channel', channelId: second };
+        return null;
+    }
+    if (first === 'channel' && second && CHANNEL_ID_PATTERN.test(second)) {
+        return { type: 'channel', channelId: second };
+    }
+    if (first && first.startsWith('@') && first.length > 1) {
+        return { type: 'channel', handle: decodeURIComponent(first) };
+    }
+    if (first === 'user' && second) return { type: 'channel', username: second };
+    if (first === 'c' && second) return { type: 'channel', customName: decodeURIComponent(second) };
+    return null;
+}
+
+/**
+ * Resolve a user-supplied YouTube URL or bare playlist ID into a source descriptor.
+ * @param {string} input
+ * @returns {?object} Descriptor (see top of file) or null if unrecognised
+ */
+function resolveYoutubeSource(input) {
+    if (!input || typeof input !== 'string') return null;
+    const trimmed = input.trim();
+
+    if (PLAYLIST_ID_PATTERN.test(trimmed)) {
+        return describePlaylist(trimmed);
+    }
+
+    let parsedUrl;
+    try {
+        // Accept URLs pasted without a scheme ("youtube.com/playlist?list=...")
+        parsedUrl = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch (e) {
+        console.error(`Error parsing URL: ${input}`, e.message);
+        return null;
+    }
+    const descriptor = resolveFromUrl(parsedUrl);
+    if (!descriptor) {
+        console.log(`DEBUG: Could not resolve a YouTube source from: ${input}`);
+    }
+    return descriptor;
+}
+
+module.exports = {
+    resolveYoutubeSource,
+    MIX_REASON
+};
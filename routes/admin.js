@@ -0,0 +1,95 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const SPOTIFY_TRACK_URI_PATTERN = /^spotify:track:[A-Za-z0-9]{22}$/;
+const YOUTUBE_VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+module.exports = function(dependencies) {
+    const router = express.Router();
+    const { adminToken, matchCache } = dependencies;
+
+    // Middleware: admin endpoints need the ADMIN_TOKEN as a Bearer token (or X-Admin-Token)
+    const requireAdmin = (req, res, next) => {
+        if (!adminToken) {
+            return res.status(503).json({ error: "Admin endpoints are disabled (ADMIN_TOKEN not set)." });
+        }
+        const authHeader = req.headers.authorization;
+        const provided = req.headers['x-admin-token'] ||
+            (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '');
+        const expected = Buffer.from(adminToken);
+        const actual = Buffer.from(String(provided));
+        // Constant-time compare so the token can't be guessed byte by byte
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return res.status(401).json({ error: "Invalid or missing admin token." });
+        }
+        next();
+    };
+
+    router.use(requireAdmin);
+
+    // --- Match Cache ---
+
+    // GET /api/admin/match-cache?limit=50&offset=0 - Page through cache entries
+    router.get('/match-cache', (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const { total, entries } = matchCache.list({ limit, offset });
+        res.json({ success: true, data: { driver: matchCache.driver, total, limit, offset, entries } });
+    });
+
+    // GET /api/admin/match-cache/:videoId - One entry
+    router.get('/match-cache/:videoId', (req, res) => {
+        const entry = matchCache.get(req.params.videoId);
+        if (!entry) {
+            return res.status(404).json({ error: "No cache entry for this video." });
+        }
+        res.json({ success: true, data: entry });
+    });
+
+    // DELETE /api/admin/match-cache/:videoId - Invalidate one entry (next conversion searches again)
+    router.delete('/match-cache/:videoId', (req, res) => {
+        const removed = matchCache.invalidate(req.params.videoId);
+        if (!removed) {
+            return res.status(404).json({ error: "No cache entry for this video." });
+        }
+        console.log(`[ADMIN] Invalidated match cache entry ${req.params.videoId}`);
+        res.json({ success: true, data: { video_id: req.params.videoId, removed: true } });
+    });
+
+    // DELETE /api/admin/match-cache?kind=negative|auto|user - Bulk invalidate (everything without `kind`)
+    router.delete('/match-cache', (req, res) => {
+        const { kind } = req.query;
+        if (kind && !['negative', 'auto', 'user'].includes(kind)) {
+            return res.status(400).json({ error: "Invalid 'kind': expected negative, auto or user." });
+        }
+        const removed = matchCache.clear(kind || null);
+        console.log(`[ADMIN] Cleared ${removed} match cache entries (kind: ${kind || 'all'})`);
+        res.json({ success: true, data: { removed } });
+    });
+
+    // PUT /api/admin/match-cache/:videoId - Record a correction that overrides automatic matching
+    // Body: { spotify_uri, name?, artists?, corrected_by? }
+    router.put('/match-cache/:videoId', (req, res) => {
+        const { videoId } = req.params;
+        const { spotify_uri: uri, name, artists, corrected_by: correctedBy } = req.body;
+        if (!YOUTUBE_VIDEO_ID_PATTERN.test(videoId)) {
+            return res.status(400).json({ error: "Invalid YouTube video ID." });
+        }
+        if (typeof uri !== 'string' || !SPOTIFY_TRACK_URI_PATTERN.test(uri)) {
+            return res.status(400).json({ error: "'spotify_uri' must be a Spotify track URI (spotify:track:...)." });
+        }
+        if (artists !== undefined && !Array.isArray(artists)) {
+            return res.status(400).json({ error: "'artists' must be an array of names." });
+        }
+        const entry = matchCache.recordCorrection(videoId, {
+            uri,
+            name: name || null,
+            artists: artists || [],
+            correctedBy: correctedBy || null
+        });
+        console.log(`[ADMIN] Recorded correction for ${videoId} -> ${uri}`);
+        res.json({ success: true, data: entry });
+    });
+
+    return router; // Return the configured router
+};
@@ -4,19 +4,132 @@ const SpotifyWebApi = require('spotify-web-api-node'); // Need this for temporar
 module.exports = function(dependencies) {
     const router = express.Router();
     // Destructure only what's needed now (global spotifyApi for refresh, potentially scope?)
-    const { spotifyApi, spotifyApiScope } = dependencies;
+    const {
+        spotifyApi,
+        spotifyApiScope,
+        spotifyFeatureScopes = {}, // Optional scopes by feature name, requested via ?features=
+        googleAuth,
+        scheduler,
+        frontendUrl, // Where login redirects land (config.frontendUrl)
+        authSessions = null, // lib/authSessions.js; set only in AUTH_MODE=session
+        spotifyAuth = null // lib/spotifyAuth.js (PKCE), used with authSessions
+    } = dependencies;
 
     // Middleware to extract Authorization Bearer token
+    // (in session mode the session cookie stands in for it, see lib/authSessions.js)
     const extractToken = (req, res, next) => {
         const authHeader = req.headers.authorization;
         if (authHeader && authHeader.startsWith('Bearer ')) {
             req.token = authHeader.substring(7); // Extract token part
         } else {
-            req.token = null;
+            req.token = req.authSession?.tokens.spotify || null;
         }
         next();
     };
 
+    // Same, for the Google status endpoint (the session's Google token)
+    const extractGoogleToken = (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            req.token = authHeader.substring(7);
+        } else {
+            req.token = req.authSession?.tokens.google || null;
+        }
+        next();
+    };
+
+    // Login scopes: the defaults plus those of the requested features (comma list).
+    // Returns null when a feature is unknown.
+    function scopesForFeatures(features) {
+        const names = features ? String(features).split(',').map(name => name.trim()).filter(Boolean) : [];
+        if (names.some(name => !Object.prototype.hasOwnProperty.call(spotifyFeatureScopes, name))) return null;
+        return Array.from(new Set([...spotifyApiScope, ...names.flatMap(name => spotifyFeatureScopes[name])]));
+    }
+
+    // --- Session Mode (AUTH_MODE=session) ---
+    // Logins use PKCE and a single-use `state` bound to the browser by a cookie.
+    // Tokens stay on the server (lib/authSessions.js); the frontend only gets an
+    // HttpOnly session cookie and calls the API with credentials included.
+
+    // Redirects to a provider's consent screen with a fresh state + PKCE challenge
+    function startSessionLogin(res, provider, createAuthorizeURL) {
+        const { state, codeChallenge } = authSessions.beginLogin(provider);
+        authSessions.setStateCookie(res, provider, state);
+        const authorizeURL = createAuthorizeURL({ state, codeChallenge });
+        console.log(`Redirecting to ${provider} auth (PKCE): ${authorizeURL}`);
+        res.redirect(authorizeURL);
+    }
+
+    // Shared callback: checks the state, exchanges the code with the PKCE verifier
+    // and stores the grant in the (new) session. The frontend route gets
+    // #logged_in=true&expires_in=<session seconds> or #error=<provider>_...
+    async function completeSessionLogin(req, res, { provider, callbackPath, exchangeGrant }) {
+        const { code, error, state } = req.query;
+        const fail = (reason) => res.redirect(`${frontendUrl}${callbackPath}#error=${provider}_${reason}`);
+
+        // Both are single use, so consume them even when the login failed
+        const cookieState = authSessions.takeStateCookie(req, res, provider);
+        const login = authSessions.completeLogin(provider, state);
+
+        if (error) {
+            console.error(`${provider} Callback Error:`, error);
+            return fail(`login_${encodeURIComponent(error)}`);
+        }
+        if (!code) {
+            console.error(`${provider} Callback: No code received.`);
+            return fail('no_code');
+        }
+        if (!login || !cookieState || cookieState !== state) {
+            console.error(`${provider} Callback: state missing, expired or not issued to this browser.`);
+            return fail('invalid_state');
+        }
+
+        try {
+            console.log(`[CALLBACK] Exchanging ${provider} code for tokens (PKCE)...`);
+            const grant = await exchangeGrant(code, login.codeVerifier);
+            const session = authSessions.attachGrant(authSessions.sessionIdFrom(req), provider, grant);
+            authSessions.setSessionCookie(res, session);
+            console.log(`[CALLBACK] ${provider} tokens stored in session.`);
+
+            const redirectUrl = new URL(`${frontendUrl}${callbackPath}`);
+            redirectUrl.hash = new URLSearchParams({
+                logged_in: 'true',
+                expires_in: String(Math.round((session.expires_at - Date.now()) / 1000)),
+                ...(grant.scope ? { scope: grant.scope } : {}) // Granted scopes (Spotify), space separated
+            }).toString();
+            res.redirect(redirectUrl.toString());
+        } catch (err) {
+            console.error(`Error getting ${provider} tokens:`, err.message || err);
+            fail(`token_${encodeURIComponent(err.message || 'unknown_token_error')}`);
+        }
+    }
+
+    // POST /api/auth/refresh (and /google/refresh) in session mode: refreshes the
+    // session's access tokens and rotates the session ID. No tokens are returned.
+    async function refreshSession(req, res) {
+        const sessionId = authSessions.sessionIdFrom(req);
+        const session = sessionId ? await authSessions.resolve(sessionId, { force: true }) : null;
+        const rotated = session ? authSessions.rotate(sessionId) : null;
+        if (!rotated) {
+            authSessions.clearSessionCookie(res);
+            return res.status(401).json({ error: "No active session. Please log in again.", auth_required: true });
+        }
+        authSessions.setSessionCookie(res, rotated);
+        console.log('[AUTH_REFRESH] Session refreshed.');
+        res.json({
+            logged_in: Boolean(session.tokens.spotify),
+            google_logged_in: Boolean(session.tokens.google),
+            expires_in: Math.round((rotated.expires_at - Date.now()) / 1000)
+        });
+    }
+
+    // Spotify redirects to /callback (outside /api); server.js hands it to this in session mode
+    router.handleSpotifyCallback = (req, res) => completeSessionLogin(req, res, {
+        provider: 'spotify',
+        callbackPath: '/auth/callback',
+        exchangeGrant: spotifyAuth.exchangeGrant
+    });
+
     // GET /api/auth/status - Now expects Authorization header
     router.get('/status', extractToken, async (req, res) => {
         if (!req.token) {
@@ -27,11 +140,11 @@ module.exports = function(dependencies) {
         try {
             // Create a temporary Spotify client with the provided token
             const userSpotifyApi = new SpotifyWebApi({
-                clientId: process.env.SPOTIFY_CLIENT_ID, // Needed, ensure they are in env
-                clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+                clientId: spotifyApi.getClientId(),
+                clientSecret: spotifyApi.getClientSecret(),
                 accessToken: req.token
             });
-            const me = await userSpotifyApi.getMe();
+            const me = await scheduler.spotify(() => userSpotifyApi.getMe(), { label: 'getMe' });
             // If getMe succeeds, the token is valid
             res.json({
                 logged_in: true,
@@ -54,6 +167,7 @@ module.exports = function(dependencies) {
 
     // POST /api/auth/refresh - New endpoint to refresh token
     router.post('/refresh', async (req, res) => {
+        if (authSessions) return refreshSession(req, res);
         const { refresh_token } = req.body;
         if (!refresh_token) {
             return res.status(400).json({ error: "Missing refresh_token in request body" });
@@ -85,16 +199,162 @@ module.exports = function(dependencies) {
     });
 
     // GET /api/auth/login - Remains mostly the same, redirects to Spotify
+    // ?features=cover_image adds the scopes that feature needs (see server.js);
+    // without it the login asks only for what every conversion needs.
     router.get('/login', (req, res) => {
+        const scopes = scopesForFeatures(req.query.features);
+        if (!scopes) {
+            return res.status(400).json({ error: `Unknown 'features': expected a comma-separated list of ${Object.keys(spotifyFeatureScopes).join(', ')}.` });
+        }
+        if (authSessions) {
+            return startSessionLogin(res, 'spotify', (params) => spotifyAuth.createAuthorizeURL({ ...params, scopes }));
+        }
         // Use the global spotifyApi instance to generate the authorization URL
         // Optional: Add state parameter for security
-        const authorizeURL = spotifyApi.createAuthorizeURL(spotifyApiScope /*, state */);
+        const authorizeURL = spotifyApi.createAuthorizeURL(scopes /*, state */);
         console.log(`Redirecting to Spotify auth: ${authorizeURL}`);
         res.redirect(authorizeURL);
     });
 
-    // GET /api/auth/logout - REMOVED (Handled by frontend clearing storage)
-    // router.get('/logout', ...);
+    // --- Google Login (YouTube access) ---
+    // Mirrors the Spotify flow: tokens go back to the frontend in the URL fragment
+    // and the frontend sends the access token as the `X-Google-Token` header.
+    // In session mode the Google grant joins the Spotify one in the session instead.
+
+    // Responds 503 when the Google OAuth env vars aren't set
+    const requireGoogleConfigured = (req, res, next) => {
+        if (!googleAuth || !googleAuth.isConfigured) {
+            return res.status(503).json({ error: "Google login is not configured on this server." });
+        }
+        next();
+    };
+
+    // Google reports expiry as an absolute timestamp; the frontend expects seconds like Spotify
+    const expiresInSeconds = (expiryDate) => (
+        expiryDate ? Math.max(0, Math.round((expiryDate - Date.now()) / 1000)) : null
+    );
+
+    // GET /api/auth/google/login - Redirects to Google's consent screen
+    router.get('/google/login', requireGoogleConfigured, (req, res) => {
+        if (authSessions) return startSessionLogin(res, 'google', googleAuth.createAuthorizeURL);
+        const authorizeURL = googleAuth.createAuthorizeURL();
+        console.log(`Redirecting to Google auth: ${authorizeURL}`);
+        res.redirect(authorizeURL);
+    });
+
+    // GET /api/auth/google/callback - Google redirects here (GOOGLE_REDIRECT_URI)
+    router.get('/google/callback', requireGoogleConfigured, async (req, res) => {
+        if (authSessions) {
+            return completeSessionLogin(req, res, {
+                provider: 'google',
+                callbackPath: '/auth/google/callback',
+                exchangeGrant: googleAuth.exchangeGrant
+            });
+        }
+        const { code, error } = req.query;
+
+        if (error) {
+            console.error('Google Callback Error:', error);
+            return res.redirect(`${frontendUrl}/auth/google/callback#error=google_login_${encodeURIComponent(error)}`);
+        }
+        if (!code) {
+            console.error('Google Callback: No code received.');
+            return res.redirect(`${frontendUrl}/auth/google/callback#error=google_no_code`);
+        }
+
+        try {
+            console.log('[GOOGLE_CALLBACK] Exchanging code for tokens...');
+            const tokens = await googleAuth.exchangeCode(code);
+            console.log('[GOOGLE_CALLBACK] Tokens received successfully.');
+
+            const redirectUrl = new URL(`${frontendUrl}/auth/google/callback`);
+            redirectUrl.hash = new URLSearchParams({
+                access_token: tokens.access_token,
+                refresh_token: tokens.refresh_token || '',
+                expires_in: String(expiresInSeconds(tokens.expiry_date) ?? 3600)
+            }).toString();
+            res.redirect(redirectUrl.toString());
+        } catch (err) {
+            console.error('Error getting Google tokens:', err.message || err);
+            const errorMsg = err.message || 'unknown_token_error';
+            res.redirect(`${frontendUrl}/auth/google/callback#error=google_token_${encodeURIComponent(errorMsg)}`);
+        }
+    });
+
+    // GET /api/auth/google/status - Expects the Google access token as a Bearer token (or the session cookie)
+    router.get('/google/status', requireGoogleConfigured, extractGoogleToken, async (req, res) => {
+        if (!req.token) {
+            return res.json({ logged_in: false, reason: "No token provided" });
+        }
+        try {
+            const yt = googleAuth.youtubeForUser(req.token);
+            const channels = await scheduler.youtube(() => yt.channels.list({ part: 'snippet', mine: true }), { label: 'channels.list' });
+            const channel = channels.data.items?.[0];
+            res.json({
+                logged_in: true,
+                user: {
+                    channel_id: channel?.id || null,
+                    display_name: channel?.snippet?.title || null,
+                    image: channel?.snippet?.thumbnails?.default?.url || null
+                }
+            });
+        } catch (err) {
+            const status = err.response?.status || err.code;
+            console.error('[GOOGLE_STATUS] Error validating token:', err.message);
+            res.status(status === 401 ? 401 : 500).json({
+                logged_in: false,
+                reason: status === 401 ? "Invalid or expired token" : "Token validation failed"
+            });
+        }
+    });
+
+    // POST /api/auth/google/refresh - Exchanges a Google refresh_token for a new access token
+    router.post('/google/refresh', requireGoogleConfigured, async (req, res) => {
+        if (authSessions) return refreshSession(req, res);
+        const { refresh_token } = req.body;
+        if (!refresh_token) {
+            return res.status(400).json({ error: "Missing refresh_token in request body" });
+        }
+        try {
+            const credentials = await googleAuth.refreshAccessToken(refresh_token);
+            console.log('[GOOGLE_REFRESH] Access token refreshed successfully.');
+            res.json({
+                access_token: credentials.access_token,
+                expires_in: expiresInSeconds(credentials.expiry_date),
+                refresh_token: credentials.refresh_token !== refresh_token ? credentials.refresh_token : undefined
+            });
+        } catch (err) {
+            console.error('[GOOGLE_REFRESH] Could not refresh access token:', err.message);
+            // invalid_grant means the refresh token was revoked or expired
+            const statusCode = err.response?.data?.error === 'invalid_grant' ? 401 : (err.response?.status || 500);
+            res.status(statusCode).json({ error: "Failed to refresh token", reason: err.message });
+        }
+    });
+
+    // POST /api/auth/logout - Session mode: ends the session and revokes its tokens.
+    // In fragment mode nothing is kept server-side; the frontend just clears its storage.
+    router.post('/logout', async (req, res) => {
+        if (!authSessions) {
+            return res.json({ success: true, revoked: false });
+        }
+        const sessionId = authSessions.sessionIdFrom(req);
+        const grants = sessionId ? authSessions.destroy(sessionId) : null;
+        authSessions.clearSessionCookie(res);
+
+        // Spotify has no revocation endpoint: deleting the stored grant is all we can do.
+        // Google's revoke ends the refresh token and every access token issued from it.
+        const googleToken = grants?.google?.refresh_token || grants?.google?.access_token;
+        if (googleToken && googleAuth?.isConfigured) {
+            try {
+                await googleAuth.revokeToken(googleToken);
+                console.log('[AUTH_LOGOUT] Google token revoked.');
+            } catch (err) {
+                console.warn('[AUTH_LOGOUT] Could not revoke Google token:', err.message);
+            }
+        }
+        console.log(`[AUTH_LOGOUT] ${grants ? 'Session ended.' : 'No active session.'}`);
+        res.json({ success: true, revoked: Boolean(grants) });
+    });
 
     return router; // Return the configured router
 }; 
\ No newline at end of file
@@ -1,5 +1,35 @@
 const express = require('express');
-const SpotifyWebApi = require('spotify-web-api-node'); // Need this for temporary client
+const { JOB_STATUS, isTerminal } = require('../lib/jobStore');
+const { DEFAULT_THRESHOLD, parseIsoDuration, scoreCandidate } = require('../lib/trackMatcher');
+const { DESTINATION_IDS, DEFAULT_DESTINATION, getDestination, destinationForUri } = require('../lib/destinations');
+const { resolveYoutubeSource } = require('../lib/youtubeSource');
+const { parseYoutubeTitle, buildSpotifyQueries, cleanChannelName } = require('../lib/titleParser');
+const { parseProvidedToYoutube, findIsrc } = require('../lib/descriptionParser');
+const { EXPORT_FORMATS, toCsv, toM3u, toXspf } = require('../lib/exportFormats');
+const { IMPORT_FORMATS, detectImportFormat, parseImport } = require('../lib/importParsers');
+const { runWithContext, setLogContext } = require('../lib/logger');
+const { fetchCoverImage } = require('../lib/playlistCover');
+const { statusFor, apiError, errorCodeOf, errorStatus, youtubeErrorCode, destinationErrorCode } = require('../lib/apiErrors');
+
+const MATCH_CANDIDATES_PER_STRATEGY = 5; // Destination search results scored per query
+const CONFIDENT_MATCH_SCORE = 0.9; // Stop trying further strategies above this score
+const MAX_PREVIEW_CANDIDATES = 5; // Candidates returned per item by the preview endpoint
+const MAX_BATCH_PLAYLISTS = 50; // Playlists accepted by one /batch request
+const MAX_DESCRIPTION_LENGTH = 300; // Spotify's limit for playlist descriptions
+const PLAYLIST_VISIBILITIES = ['public', 'private'];
+const THUMBNAIL_SIZES = ['maxres', 'standard', 'high', 'medium', 'default']; // Largest first
+// keep_all: every match is added | uri: each track once | isrc: each recording once (uri when the ISRC is unknown)
+const DEDUPE_POLICIES = ['keep_all', 'uri', 'isrc'];
+// Placeholder titles playlistItems.list returns for items that can't be played anymore
+const UNAVAILABLE_TITLES = { 'deleted video': 'deleted', 'private video': 'private' };
+// Columns of the CSV export, in order
+const EXPORT_COLUMNS = [
+    'playlist_url', 'youtube_position', 'youtube_title', 'youtube_channel', 'youtube_video_id', 'youtube_url',
+    'status', 'spotify_uri', 'spotify_name', 'spotify_artists', 'spotify_album', 'score', 'strategy', 'reason'
+];
+
+// Uploaded playlist files arrive as the raw body, whatever the content type
+const importBodyParser = express.text({ type: () => true, limit: '5mb' });
 
 // Middleware (can be shared or defined here) to extract Authorization Bearer token
 const extractToken = (req, res, next) => {
@@ -7,8 +37,10 @@ const extractToken = (req, res, next) => {
     if (authHeader && authHeader.startsWith('Bearer ')) {
         req.token = authHeader.substring(7); // Extract token part
     } else {
-        req.token = null;
+        req.token = req.authSession?.tokens.spotify || null; // AUTH_MODE=session: tokens come from the session cookie
     }
+    // Optional Google token: lets us read private/unlisted playlists and Liked music
+    req.googleToken = req.headers['x-google-token'] || req.authSession?.tokens.google || null;
     next();
 };
 
@@ -16,276 +48,1732 @@ module.exports = function(dependencies) {
     const router = express.Router();
     const { 
         youtube,
-        spotifySearchApi, // Client credentials client for searching
-        getYoutubePlaylistId,
-        cleanYoutubeTitle
+        youtubeForUser, // (accessToken) => YouTube client acting as the Google user
+        spotifyAppToken, // lib/spotifyAppToken.js manager - app (client credentials) client for Spotify searches
+        jobStore, // Background conversion jobs (see lib/jobStore.js)
+        matchThreshold = DEFAULT_THRESHOLD, // Minimum confidence score to accept a match
+        matchCache = null, // Optional lib/matchCache.js instance keyed by YouTube video ID (Spotify matches only)
+        historyStore = null, // Optional lib/historyStore.js instance - per-user record of finished conversions
+        metrics = null, // Optional lib/metrics.js registry (conversion, match and strategy counters)
+        searchStrategies = null, // SEARCH_STRATEGIES keys (lib/titleParser.js) to try; null = all
+        defaultPlaylistName = 'Converted YouTube Playlist', // When the request names no playlist
+        playlistVisibility = 'public', // 'public' | 'private' for created playlists
+        playlistDescription = 'Converted from {source_url} on {date}', // Description template (see renderDescription)
+        dedupePolicy = 'uri', // Default duplicates policy, one of DEDUPE_POLICIES
+        scheduler // Shared lib/requestScheduler.js instance - all API calls go through it
     } = dependencies; // Destructure needed deps
 
     // --- YouTube Fetching Logic ---
-    async function getYoutubePlaylistItems(playlistId) {
+    // `yt` defaults to the API key client; pass a user client for private playlists
+    async function getYoutubePlaylistItems(playlistId, yt = youtube, userKey = undefined) {
         let tracksData = [];
         let nextPageToken = null;
         try {
             do {
-                const response = await youtube.playlistItems.list({
+                const response = await scheduler.youtube(() => yt.playlistItems.list({
                     part: 'snippet',
                     playlistId: playlistId,
                     maxResults: 50,
                     pageToken: nextPageToken,
-                });
+                }), { userKey, label: 'playlistItems.list' });
+                const pageTracks = [];
                 response.data.items.forEach(item => {
                     const snippet = item.snippet || {};
                     const title = snippet.title;
                     const channelTitle = snippet.videoOwnerChannelTitle;
-                    // Check for unavailable videos
-                    if (title && !['deleted video', 'private video'].includes(title.toLowerCase())) {
-                        tracksData.push({
-                            title: title,
-                            channel: channelTitle || null
-                        });
-                    }
+                    // Deleted/private videos stay in the list (flagged) so they can be reported
+                    const unavailable = !title ? 'unavailable' : (UNAVAILABLE_TITLES[title.toLowerCase()] || null);
+                    pageTracks.push({
+                        title: title || null,
+                        channel: channelTitle || null,
+                        videoId: snippet.resourceId?.videoId || null,
+                        position: snippet.position ?? null,
+                        durationMs: null,
+                        description: null,
+                        publishedAt: null,
+                        metadata: null, // Parsed "Provided to YouTube by" description (Topic uploads)
+                        isrc: null,
+                        unavailable: unavailable // null, or why the item can't be converted
+                    });
                 });
+                await attachVideoDetails(pageTracks.filter(track => !track.unavailable), yt, userKey);
+                tracksData.push(...pageTracks);
                 nextPageToken = response.data.nextPageToken;
             } while (nextPageToken);
             return tracksData;
         } catch (err) {
             console.error('YouTube API Error:', err.response ? JSON.stringify(err.response.data.error) : err.message);
             // Translate common error codes/reasons
-            if (err.response && err.response.status === 404) {
-                throw new Error("YouTube playlist not found or private.");
+            if (err.response && err.response.status === 401) {
+                throw apiError('GOOGLE_TOKEN_EXPIRED', "YouTube Error: Google token invalid or expired. Please log in with Google again.");
+            } else if (err.response && err.response.status === 404) {
+                throw apiError('SOURCE_NOT_FOUND', "YouTube playlist not found or private.");
             } else if (err.response && err.response.status === 403) {
                  let reason = "API access forbidden";
                  const errorDetail = err.response.data.error?.errors?.[0]?.reason;
                  if (errorDetail === "quotaExceeded") reason = "API Quota Exceeded";
                  else if (errorDetail === "playlistItemsNotAccessible") reason = "Playlist items not accessible (private?)";
-                 throw new Error(`YouTube Error: ${reason}. Check API key/permissions/quota.`);
+                 throw apiError(youtubeErrorCode(err), `YouTube Error: ${reason}. Check API key/permissions/quota.`);
             } else if (err.response && err.response.status === 400) {
-                 throw new Error("Invalid YouTube Playlist ID format provided.");
+                 throw apiError('UNSUPPORTED_SOURCE', "Invalid YouTube Playlist ID format provided.");
             }
-            throw new Error(`YouTube API Error (${err.response?.status || 'Unknown'})`);
+            throw apiError('YOUTUBE_API_ERROR', `YouTube API Error (${err.response?.status || 'Unknown'})`);
         }
     }
 
-    // --- Spotify Search Logic ---
-    async function searchSpotifyTrack(sp, ytTrackData) {
-        if (!sp) {
-            console.warn("searchSpotifyTrack called with no Spotify client.");
-            return null;
+    // Copy what videos.list knows onto a track: length, description (and what it
+    // tells us about the recording), publish date
+    function applyVideoDetails(track, video) {
+        const description = video.snippet?.description || null;
+        track.durationMs = parseIsoDuration(video.contentDetails?.duration);
+        track.description = description;
+        track.publishedAt = video.snippet?.publishedAt || null;
+        track.title = track.title || video.snippet?.title || null; // Imported IDs arrive without titles
+        track.channel = track.channel || video.snippet?.channelTitle || null;
+        track.metadata = track.metadata || parseProvidedToYoutube(description);
+        track.isrc = track.isrc || track.metadata?.isrc || findIsrc(description);
+    }
+
+    // Look up video details (one videos.list call per page of up to 50 IDs) for matching
+    async function attachVideoDetails(tracks, yt = youtube, userKey = undefined) {
+        const videoIds = tracks.map(t => t.videoId).filter(Boolean);
+        if (videoIds.length === 0) return;
+        try {
+            const response = await scheduler.youtube(() => yt.videos.list({
+                part: 'snippet,contentDetails',
+                id: videoIds.join(','),
+                maxResults: 50
+            }), { userKey, label: 'videos.list' });
+            const videos = new Map(response.data.items.map(video => [video.id, video]));
+            tracks.forEach(track => {
+                const video = videos.get(track.videoId);
+                if (video) applyVideoDetails(track, video);
+            });
+        } catch (err) {
+            // Details only sharpen matching, so carry on without them
+            console.warn(`Could not fetch YouTube video details: ${err.message}`);
         }
-        const { title: originalTitle, channel: channelName } = ytTrackData;
-        if (!originalTitle) return null;
+    }
+
+    // --- YouTube Source Expansion ---
+    // Turns a source descriptor (lib/youtubeSource.js) into the same track list
+    // shape getYoutubePlaylistItems returns: [{ title, channel, videoId, position, durationMs, description, ... }]
+    // Items that can't be converted are included with `unavailable` set to the reason.
+    async function getYoutubeSourceItems(source, yt = youtube, userKey = undefined) {
+        switch (source.type) {
+            case 'playlist':
+                return getYoutubePlaylistItems(source.playlistId, yt, userKey);
+            case 'video':
+                return getYoutubeVideoItems(source.videoId, yt, userKey);
+            case 'channel':
+                return getYoutubePlaylistItems(await getChannelUploadsPlaylistId(source, yt, userKey), yt, userKey);
+            case 'import':
+                return getImportedItems(source.tracks, yt, userKey);
+            default:
+                throw new Error(`Unsupported YouTube source type: ${source.type}`);
+        }
+    }
+
+    // Uploaded files (lib/importParsers.js) are already track records; entries that
+    // only carry a YouTube video ID get their title and details looked up here
+    async function getImportedItems(tracks, yt = youtube, userKey = undefined) {
+        const withVideos = tracks.filter(track => track.videoId);
+        for (let i = 0; i < withVideos.length; i += 50) {
+            await attachVideoDetails(withVideos.slice(i, i + 50), yt, userKey);
+        }
+        // Video IDs that videos.list didn't return (deleted or private videos?) are reported, not searched
+        const missing = tracks.filter(track => !track.title).length;
+        if (missing > 0) {
+            console.log(`${missing} imported entries have no title (deleted or private videos?).`);
+        }
+        return tracks.map(track => ({ ...track, unavailable: track.title ? null : 'unavailable' }));
+    }
+
+    // A single video becomes a one-item track list
+    async function getYoutubeVideoItems(videoId, yt = youtube, userKey = undefined) {
+        let response;
+        try {
+            response = await scheduler.youtube(() => yt.videos.list({
+                part: 'snippet,contentDetails',
+                id: videoId
+            }), { userKey, label: 'videos.list' });
+        } catch (err) {
+            console.error('YouTube API Error:', err.response ? JSON.stringify(err.response.data.error) : err.message);
+            throw apiError(youtubeErrorCode(err), `YouTube API Error (${err.response?.status || 'Unknown'})`);
+        }
+        const video = response.data.items?.[0];
+        if (!video) {
+            throw apiError('SOURCE_NOT_FOUND', "YouTube video not found or private.");
+        }
+        const track = { title: video.snippet.title, channel: video.snippet.channelTitle || null, videoId: video.id, position: 0 };
+        applyVideoDetails(track, video);
+        return [track];
+    }
 
-        const cleanedTitle = cleanYoutubeTitle(originalTitle);
-        const cleanedChannel = channelName?.replace(/ - Topic|VEVO/gi, '').trim() || null;
+    // Every channel has an auto-managed "uploads" playlist; find its ID
+    async function getChannelUploadsPlaylistId(source, yt = youtube, userKey = undefined) {
+        let channelId = source.channelId;
+        try {
+            // Legacy /c/<name> URLs have no API lookup, so fall back to a channel search
+            if (!channelId && source.customName) {
+                const search = await scheduler.youtube(() => yt.search.list({
+                    part: 'snippet',
+                    q: source.customName,
+                    type: 'channel',
+                    maxResults: 1
+                }), { userKey, label: 'search.list' });
+                channelId = search.data.items?.[0]?.snippet?.channelId || null;
+                if (!channelId) throw apiError('SOURCE_NOT_FOUND', `YouTube channel '${source.customName}' not found.`);
+            }
 
-        if (!cleanedTitle) return null;
+            const lookup = channelId ? { id: channelId }
+                : source.handle ? { forHandle: source.handle }
+                : { forUsername: source.username };
+            const response = await scheduler.youtube(() => yt.channels.list({
+                part: 'contentDetails',
+                ...lookup
+            }), { userKey, label: 'channels.list' });
+            const uploadsId = response.data.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
+            if (!uploadsId) {
+                throw apiError('SOURCE_NOT_FOUND', "YouTube channel not found or has no public uploads.");
+            }
+            console.log(`Resolved YouTube channel ${channelId || source.handle || source.username} to uploads playlist ${uploadsId}`);
+            return uploadsId;
+        } catch (err) {
+            if (!err.response) throw err; // Already one of ours
+            console.error('YouTube API Error:', JSON.stringify(err.response.data.error));
+            throw apiError(youtubeErrorCode(err), `YouTube API Error (${err.response.status || 'Unknown'})`);
+        }
+    }
+
+    // --- Track Search Logic ---
+    // Decides what to search for. Auto-generated (Topic channel) uploads carry the
+    // label's own track/artist/album in the description, which beats any title parsing.
+    function planTrackSearch(ytTrack) {
+        const { title, channel, durationMs, metadata, isrc } = ytTrack;
+        const parsedTitle = metadata
+            ? { artist: metadata.artists[0], track: metadata.track, featured: metadata.artists.slice(1), version: null, order: null }
+            : parseYoutubeTitle(title, channel);
+        const searchAttempts = buildSpotifyQueries(parsedTitle, channel, { album: metadata?.album || null, isrc }, searchStrategies);
+        const source = {
+            title: title,
+            cleanedTitle: [parsedTitle.track, parsedTitle.version].filter(Boolean).join(' '),
+            artist: parsedTitle.artist,
+            channel: cleanChannelName(channel),
+            durationMs: durationMs,
+            isrc: isrc || null
+        };
+        return { parsedTitle, searchAttempts, source };
+    }
+
+    // Resolves to { uri, name, artists, score, strategy, accepted, candidates } for the
+    // best scoring candidate (accepted when score >= threshold), or null if nothing came back.
+    // `candidates` holds the top scored tracks across all strategies tried, best first.
+    // The match cache is consulted first; `fresh: true` (used by preview) always
+    // searches so candidates can be shown, but still honors user corrections.
+    async function searchDestinationTrack(destination, ytTrackData, threshold = matchThreshold, { fresh = false, signal = null } = {}) {
+        const { title: originalTitle, videoId } = ytTrackData;
+        if (!originalTitle) return null;
 
-        // Search Strategies (similar to Python version)
-        let searchAttempts = [];
-        if (cleanedChannel) {
-            searchAttempts.push({ q: `track:"${cleanedTitle}" artist:"${cleanedChannel}"`, desc: 'Precise' });
-            searchAttempts.push({ q: `"${cleanedTitle}" "${cleanedChannel}"`, desc: 'Combined' });
+        // The cache (and its admin corrections) holds Spotify URIs
+        const trackCache = destination.id === 'spotify' ? matchCache : null;
+        const cached = trackCache ? trackCache.get(videoId) : null;
+        if (cached && !fresh) {
+            if (metrics) metrics.recordCacheLookup(cached.spotify_uri ? 'hit' : 'miss');
+            if (!cached.spotify_uri) {
+                console.debug(`  CACHED MISS for '${originalTitle}' (${videoId})`);
+                return null;
+            }
+            console.debug(`  CACHED [${cached.strategy}]: ${cached.name} (${cached.spotify_uri})`);
+            return matchFromCache(cached, threshold);
         }
-        searchAttempts.push({ q: cleanedTitle, desc: 'Cleaned Title Only' });
+        if (metrics && trackCache && !fresh) metrics.recordCacheLookup('none');
+
+        const { parsedTitle, searchAttempts, source } = planTrackSearch(ytTrackData);
+        if (!parsedTitle.track) return null;
+
+        const scored = new Map(); // uri -> { track, score, strategy }, keeps the highest score per track
+        let best = null;
+        let searchFailed = false; // Don't cache a "miss" that was really an API error
 
         for (const attempt of searchAttempts) {
-            console.log(`Searching Spotify [${attempt.desc}] for "${attempt.q}"...`);
+            throwIfCancelled(signal);
+            console.debug(`Searching ${destination.label} [${attempt.desc}] for "${attempt.q}"...`);
+            if (metrics) metrics.recordSearchAttempt(destination.id, attempt.desc);
             try {
-                const results = await sp.searchTracks(attempt.q, { limit: 1 });
-                if (results.body.tracks.items.length > 0) {
-                    const trackInfo = results.body.tracks.items[0];
-                    const foundArtists = trackInfo.artists.map(a => a.name).join(', ');
-                    console.log(`  FOUND: ${trackInfo.name} by ${foundArtists} (${trackInfo.uri})`);
-                    return trackInfo.uri;
-                }
+                const items = await destination.search(attempt.q, { limit: MATCH_CANDIDATES_PER_STRATEGY, signal });
+                items.forEach(trackInfo => {
+                    const { score } = scoreCandidate(source, trackInfo);
+                    const previous = scored.get(trackInfo.uri);
+                    if (!previous || score > previous.score) {
+                        scored.set(trackInfo.uri, { track: trackInfo, score, strategy: attempt.desc });
+                    }
+                    if (!best || score > best.score) {
+                        best = { track: trackInfo, score, strategy: attempt.desc };
+                    }
+                });
+                // A near-certain hit isn't going to be beaten by a looser strategy
+                if (best && best.score >= CONFIDENT_MATCH_SCORE) break;
             } catch (err) {
-                console.error(`  Spotify API error during search [${attempt.desc}] ${err.message}`);
-                if (err.statusCode === 429) { // Rate limit
+                if (err.cancelled) throw err; // Dropped by the scheduler: the job was cancelled
+                console.error(`  ${destination.label} API error during search [${attempt.desc}] ${err.message}`);
+                searchFailed = true;
+                if (err.statusCode === 429) { // Still rate limited after the scheduler's retries
                     console.log("  Rate limit hit, stopping search for this track.");
                     break; // Stop trying for this track
                 }
             }
         }
-        console.log(`### No Spotify match found for YouTube track: '${originalTitle}' ###`);
-        return null;
+
+        if (!best) {
+            console.debug(`### No ${destination.label} match found for YouTube track: '${originalTitle}' ###`);
+            if (trackCache && !searchFailed) trackCache.recordSearch(videoId, null);
+            return null;
+        }
+
+        const foundArtists = best.track.artists.map(a => a.name).join(', ');
+        const accepted = best.score >= threshold;
+        if (accepted) {
+            console.debug(`  FOUND [${best.strategy}, score ${best.score}]: ${best.track.name} by ${foundArtists} (${best.track.uri})`);
+            if (metrics) metrics.recordSearchHit(destination.id, best.strategy);
+        } else {
+            console.debug(`### Best ${destination.label} match for '${originalTitle}' scored ${best.score} (< ${threshold}): ${best.track.name} by ${foundArtists} ###`);
+        }
+        const match = {
+            uri: best.track.uri,
+            name: best.track.name,
+            artists: best.track.artists.map(a => a.name),
+            album: best.track.album?.name || null,
+            duration_ms: best.track.duration_ms ?? null,
+            isrc: best.track.external_ids?.isrc?.toUpperCase() || null,
+            score: best.score,
+            strategy: best.strategy,
+            accepted: accepted,
+            candidates: Array.from(scored.values())
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_PREVIEW_CANDIDATES)
+                .map(({ track, score, strategy }) => ({
+                    uri: track.uri,
+                    name: track.name,
+                    artists: track.artists.map(a => a.name),
+                    album: track.album?.name || null,
+                    duration_ms: track.duration_ms ?? null,
+                    preview_url: track.preview_url || null,
+                    score: score,
+                    strategy: strategy
+                }))
+        };
+        if (trackCache && !(searchFailed && !accepted)) trackCache.recordSearch(videoId, match);
+        // A user correction still decides the pick when we searched anyway (preview)
+        if (cached && cached.source === 'user') {
+            return { ...matchFromCache(cached, threshold), candidates: match.candidates };
+        }
+        return match;
     }
 
-    // --- Spotify Playlist Creation/Addition Logic ---
-    async function createSpotifyPlaylist(accessToken, userId, playlistName) {
-        if (!accessToken) throw new Error("Missing access token for Spotify operation.");
-        // Create temporary client for this request
-        const spUser = new SpotifyWebApi({ accessToken: accessToken });
-        try {
-            console.log(`Creating Spotify playlist '${playlistName}' for user ${userId}`);
-            const playlist = await spUser.createPlaylist(playlistName, { 'public' : true });
-            console.log(`Successfully created playlist: ${playlist.body.name} (${playlist.body.id})`);
-            return playlist.body.uri;
-        } catch (err) {
-            console.error(`Spotify API error creating playlist: ${err.message}`);
-            throw new Error(`Could not create playlist: ${err.message} (Status: ${err.statusCode})`);
+    // Turn a cache entry into the same shape searchDestinationTrack returns
+    function matchFromCache(entry, threshold) {
+        return {
+            uri: entry.spotify_uri,
+            name: entry.name,
+            artists: entry.artists || [],
+            album: null,
+            duration_ms: null,
+            isrc: entry.isrc || null, // Missing on corrections and older entries: dedupe by ISRC falls back to the URI
+            score: entry.score,
+            strategy: entry.strategy,
+            // Corrections always apply; cached auto hits are re-checked against this request's threshold
+            accepted: entry.source === 'user' || entry.score >= threshold,
+            cached: true,
+            candidates: []
+        };
+    }
+
+    // Per-track match report for the response (and the exports built from it).
+    // Low-confidence hits are shown (with their score) but were not added to the playlist.
+    // The spotify_* keys predate other destinations and are kept for existing
+    // clients; they describe the track on whichever service `target` names.
+    function describeMatch(ytTrack, match, threshold, destination) {
+        let reason = null;
+        if (!match) {
+            reason = `No ${destination.label} results for any search strategy.`;
+        } else if (!match.accepted) {
+            reason = `Best match scored ${match.score}, below the ${threshold} threshold.`;
         }
+        return {
+            youtube_title: ytTrack.title,
+            youtube_channel: ytTrack.channel || null,
+            youtube_video_id: ytTrack.videoId || null,
+            youtube_position: ytTrack.position ?? null,
+            status: !match ? 'not_found' : (match.accepted ? 'matched' : 'low_confidence'),
+            spotify_uri: match?.uri || null,
+            spotify_name: match?.name || null,
+            spotify_artists: match?.artists || [],
+            spotify_album: match?.album || null,
+            spotify_duration_ms: match?.duration_ms ?? null,
+            score: match?.score ?? null,
+            strategy: match?.strategy || null,
+            cached: Boolean(match?.cached),
+            reason: reason
+        };
     }
 
-    async function addTracksToSpotifyPlaylist(accessToken, playlistUri, trackUris) {
-        if (!accessToken) throw new Error("Missing access token for Spotify operation.");
-        if (!trackUris || trackUris.length === 0) return { success: true, added_count: 0 };
-        
-        // Create temporary client for this request
-        const spUser = new SpotifyWebApi({ accessToken: accessToken });
-        const playlistId = playlistUri.split(':')[2]; // Extract ID from URI
-        let addedCount = 0;
-        let errors = [];
-        console.log(`Adding ${trackUris.length} tracks to Spotify playlist ${playlistId}`);
+    // --- Cancellation Helper ---
+    function throwIfCancelled(signal) {
+        if (signal && signal.aborted) {
+            const err = new Error("Conversion cancelled by user.");
+            err.cancelled = true;
+            throw err;
+        }
+    }
 
-        // Add tracks in chunks of 100
-        for (let i = 0; i < trackUris.length; i += 100) {
-            const chunk = trackUris.slice(i, i + 100);
-            try {
-                await spUser.addTracksToPlaylist(playlistId, chunk);
-                addedCount += chunk.length;
-                console.log(`  Added chunk ${i/100 + 1}, total added: ${addedCount}`);
-            } catch (err) {
-                const msg = `Failed adding chunk: ${err.message} (Status: ${err.statusCode})`;
-                console.error(`  ERROR: ${msg}`);
-                errors.push(msg);
+    // --- Fetch & Match Stage ---
+    // Shared by conversion and preview: reads the YouTube playlist and searches
+    // the destination for every item. Never touches the user's library.
+    // `searchCache` (a Map) lets several playlists in one batch share search results.
+    // Deleted/private items aren't searched; they come back as `unavailableItems`.
+    async function fetchAndMatchTracks(source, destination, threshold, { onProgress = () => {}, signal = null, googleToken = null, fresh = false, userKey = undefined, searchCache = null } = {}) {
+        // Imported sources carry their whole track list, so only log the format
+        const sourceLabel = source.type === 'import' ? `${source.format} file (${source.tracks.length} entries)` : JSON.stringify(source);
+        console.log(`Fetching YouTube ${source.type}: ${sourceLabel}${googleToken ? ' (as Google user)' : ''}`);
+        const yt = googleToken ? youtubeForUser(googleToken) : youtube;
+        const sourceItems = await getYoutubeSourceItems(source, yt, userKey);
+        // Every item keeps its place in the source, even where the source doesn't number them
+        sourceItems.forEach((item, index) => { if (item.position == null) item.position = index; });
+        const youtubeTracks = sourceItems.filter(item => !item.unavailable);
+        const unavailableItems = sourceItems.filter(item => item.unavailable).map(describeUnavailable);
+        console.log(`Found ${youtubeTracks.length} tracks on YouTube${unavailableItems.length ? ` (${unavailableItems.length} unavailable)` : ''}.`);
+        if (youtubeTracks.length === 0) {
+            return { youtubeTracks, searchResults: [], unavailableItems };
+        }
+        onProgress('fetched', { fetched: youtubeTracks.length, total: youtubeTracks.length });
+        throwIfCancelled(signal);
+
+        console.log(`Searching ${destination.label} for tracks...`);
+        // Use Promise.all for potentially faster searching (though limited by API rate limits)
+        let searchedCount = 0;
+        let matchedCount = 0;
+        // Every search is queued with the scheduler at once; cancelling the job
+        // makes it drop the ones still queued, which rejects this stage.
+        const searchPromises = youtubeTracks.map(async trackData => {
+            // Reuse (or join) a search another playlist in this batch already started
+            const cacheKey = trackData.videoId || trackData.title;
+            let pending = searchCache ? searchCache.get(cacheKey) : null;
+            if (!pending) {
+                pending = searchDestinationTrack(destination, trackData, threshold, { fresh, signal });
+                if (searchCache) searchCache.set(cacheKey, pending);
             }
+            const match = await pending;
+            searchedCount++;
+            if (match && match.accepted) matchedCount++;
+            onProgress('searched', { searched: searchedCount, matched: matchedCount });
+            return match;
+        });
+        const searchResults = await Promise.all(searchPromises);
+        throwIfCancelled(signal);
+        return { youtubeTracks, searchResults, unavailableItems };
+    }
+
+    // Report entry for a source item that was skipped without searching
+    function describeUnavailable(item) {
+        return {
+            youtube_position: item.position,
+            youtube_video_id: item.videoId || null,
+            youtube_title: item.title || null,
+            reason: item.unavailable
+        };
+    }
+
+    // --- Track Selection ---
+    // Accepted matches in source order (by playlist position), with repeats dropped
+    // according to `dedupe` (see DEDUPE_POLICIES). Returns { uris, duplicates }.
+    function selectTrackUris(youtubeTracks, searchResults, dedupe) {
+        const accepted = youtubeTracks
+            .map((track, index) => ({ track, match: searchResults[index] }))
+            .filter(({ match }) => match && match.accepted)
+            .sort((a, b) => a.track.position - b.track.position);
+        const firstSeen = new Map(); // dedupe key -> position of the item that was kept
+        const uris = [];
+        const duplicates = [];
+        for (const { track, match } of accepted) {
+            const keys = [match.uri];
+            if (dedupe === 'isrc' && match.isrc) keys.push(`isrc:${match.isrc}`);
+            const seenKey = dedupe === 'keep_all' ? null : keys.find(key => firstSeen.has(key));
+            if (seenKey) {
+                duplicates.push({
+                    youtube_position: track.position,
+                    youtube_title: track.title,
+                    youtube_video_id: track.videoId || null,
+                    spotify_uri: match.uri,
+                    duplicate_of_position: firstSeen.get(seenKey)
+                });
+                continue;
+            }
+            keys.forEach(key => firstSeen.set(key, track.position));
+            uris.push(match.uri);
         }
+        return { uris, duplicates };
+    }
+
+    // `dedupe` from a body or query; null when invalid
+    function parseDedupePolicy(value) {
+        if (value === undefined || value === null || value === '') return dedupePolicy;
+        return DEDUPE_POLICIES.includes(value) ? value : null;
+    }
 
-        if (errors.length > 0) {
-            return { success: false, added_count: addedCount, error: errors.join('; ') };
+    // Validates `dedupe` for a run that may sync into existing playlists. Syncing
+    // keeps one copy of each track (planSync), so keep_all can't be asked for there.
+    // Returns { dedupe } or { statusCode, body }.
+    function checkDedupe(value, syncing) {
+        const dedupe = parseDedupePolicy(value);
+        if (!dedupe) {
+            return { statusCode: 400, body: { error: `Invalid 'dedupe': expected one of ${DEDUPE_POLICIES.join(', ')}.` } };
+        }
+        if (syncing && value === 'keep_all') {
+            return { statusCode: 400, body: { error: "'dedupe' keep_all can't be used with 'target_playlist': syncing keeps one copy of each track. Use uri or isrc." } };
         }
-        return { success: true, added_count: addedCount };
+        return { dedupe };
     }
 
-    // --- POST /api/convert Route ---
-    router.post('/', extractToken, async (req, res, next) => {
-        // 1. Check Authentication via Token
-        const userAccessToken = req.token;
-        if (!userAccessToken) {
-            return res.status(401).json({ error: "Authorization token missing or invalid.", auth_required: true });
+    // --- Playlist Options ---
+    // How created playlists are set up: visibility, collaborative, description and
+    // cover. Syncing into an existing playlist leaves its settings alone.
+
+    // Validates visibility / collaborative / description / cover_image (body or
+    // query values). Returns { playlistOptions } or { statusCode, body }.
+    function checkPlaylistOptions({ visibility, collaborative, description, cover_image: coverImage }) {
+        const invalid = (error) => ({ statusCode: 400, body: { error } });
+        if (visibility !== undefined && !PLAYLIST_VISIBILITIES.includes(visibility)) {
+            return invalid(`Invalid 'visibility': expected one of ${PLAYLIST_VISIBILITIES.join(', ')}.`);
+        }
+        if (collaborative !== undefined && ![true, false, 'true', 'false'].includes(collaborative)) {
+            return invalid("'collaborative' must be true or false.");
+        }
+        const isCollaborative = collaborative === true || collaborative === 'true';
+        // Collaborative playlists can't be public; make them private unless asked otherwise
+        if (isCollaborative && visibility === 'public') {
+            return invalid("Collaborative playlists must be private: drop 'visibility' or set it to 'private'.");
+        }
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            return invalid("'description' must be a string.");
         }
+        if (coverImage !== undefined && !['source', 'none'].includes(coverImage) && !/^https?:\/\//i.test(String(coverImage))) {
+            return invalid("'cover_image' must be 'source' (the YouTube playlist thumbnail), 'none' or an http(s) image URL.");
+        }
+        return {
+            playlistOptions: {
+                visibility: isCollaborative ? 'private' : (visibility || playlistVisibility),
+                collaborative: isCollaborative,
+                description: description ?? playlistDescription, // '' or null: no description
+                coverImage: coverImage || 'source'
+            }
+        };
+    }
+
+    // Fills {source_url}, {date} (YYYY-MM-DD) and {playlist_name} into a description
+    // template. Line breaks become spaces and the result is cut to Spotify's limit.
+    // Templates that mention the source are skipped when there is none (e.g. /commit without playlist_url).
+    function renderDescription(template, { sourceUrl, playlistName }) {
+        if (!template || (!sourceUrl && template.includes('{source_url}'))) return null;
+        const values = {
+            source_url: sourceUrl,
+            date: new Date().toISOString().slice(0, 10),
+            playlist_name: playlistName || ''
+        };
+        const text = template
+            .replace(/\{(source_url|date|playlist_name)\}/g, (placeholder, key) => values[key])
+            .replace(/\s+/g, ' ')
+            .trim();
+        return text ? text.slice(0, MAX_DESCRIPTION_LENGTH) : null;
+    }
 
-        // Create temporary API client for user-specific actions
-        const spUser = new SpotifyWebApi({ accessToken: userAccessToken });
-        let spotifyUserId = null;
+    // Link to the source for descriptions: bare playlist IDs become playlist URLs
+    function sourceLink(youtubePlaylistUrl, source) {
+        if (!youtubePlaylistUrl || /^https?:\/\//i.test(youtubePlaylistUrl)) return youtubePlaylistUrl || null;
+        if (source?.type === 'playlist') return `https://www.youtube.com/playlist?list=${source.playlistId}`;
+        return youtubePlaylistUrl;
+    }
+
+    // Largest thumbnail of the YouTube playlist behind the source (playlists
+    // only; Liked music has no artwork of its own), or null
+    async function getSourceThumbnailUrl(source, yt, userKey) {
+        let playlistId = null;
+        if (source?.type === 'playlist' && !source.requiresGoogleAuth) playlistId = source.playlistId;
+        if (!playlistId) return null;
+        const response = await scheduler.youtube(() => yt.playlists.list({
+            part: 'snippet',
+            id: playlistId
+        }), { userKey, label: 'playlists.list' });
+        const thumbnails = response.data.items?.[0]?.snippet?.thumbnails || {};
+        const best = THUMBNAIL_SIZES.map(size => thumbnails[size]).find(thumbnail => thumbnail?.url);
+        return best ? best.url : null;
+    }
+
+    // Uploads the cover for a created playlist. Never fails the conversion: resolves
+    // to { status: 'uploaded' | 'skipped' | 'failed', source?, reason?, error? }.
+    async function applyCoverImage(destination, playlistId, { coverImage, source, googleToken, userKey }) {
+        if (coverImage === 'none') return { status: 'skipped', reason: 'not_requested' };
+        if (!destination.supportsCoverImage) return { status: 'skipped', reason: 'unsupported_target' };
         try {
-            // Verify token and get user ID
-            const me = await spUser.getMe();
-            spotifyUserId = me.body.id;
-            console.log(`[CONVERT] Request authenticated for user: ${spotifyUserId}`);
+            const yt = googleToken ? youtubeForUser(googleToken) : youtube;
+            const imageUrl = coverImage === 'source' ? await getSourceThumbnailUrl(source, yt, userKey) : coverImage;
+            if (!imageUrl) return { status: 'skipped', reason: 'no_thumbnail' };
+            const jpegBase64 = await fetchCoverImage(imageUrl);
+            await destination.setCoverImage(playlistId, jpegBase64);
+            return { status: 'uploaded', source: coverImage === 'source' ? 'youtube_thumbnail' : 'url' };
         } catch (err) {
-             console.error('[CONVERT] Invalid token during user check:', err.message);
-             return res.status(401).json({ error: "Invalid or expired Spotify token.", auth_required: true });
+            console.warn(`Could not set the playlist cover: ${err.message}`);
+            // 401/403: the login didn't include the image upload scope
+            if (err.statusCode === 401 || err.statusCode === 403) {
+                return { status: 'failed', reason: 'missing_scope', error: "Log in again with features=cover_image to allow cover uploads." };
+            }
+            return { status: 'failed', reason: 'error', error: err.message };
         }
+    }
 
-        // 2. Get Request Body Data
-        const { playlist_url: youtubePlaylistUrl, playlist_name: spotifyPlaylistName = 'Converted YouTube Playlist' } = req.body;
-        if (!youtubePlaylistUrl) {
-            return res.status(400).json({ error: "Missing 'playlist_url' in request." });
+    // --- Conversion Pipeline ---
+    // Runs the full fetch -> search -> create -> add flow and resolves to
+    // { statusCode, payload } so both the synchronous route and background
+    // jobs can reuse it. `onProgress(stage, counts)` is called as work advances.
+    // Every finished run (not cancelled ones) lands in the user's history.
+    async function runConversion(options, hooks = {}) {
+        const outcome = await convertPlaylist(options, hooks);
+        if (metrics) {
+            metrics.recordConversion(options.destination.id, {
+                statusCode: outcome.statusCode,
+                trackMatches: outcome.payload.data?.track_matches || []
+            });
         }
+        const entry = recordHistory(options, outcome);
+        if (entry && outcome.payload.data) outcome.payload.data.history_id = entry.id;
+        return outcome;
+    }
+
+    async function convertPlaylist(options, { onProgress = () => {}, signal = null } = {}) {
+        const { destination, userId, source, spotifyPlaylistName } = options;
+        const threshold = options.matchThreshold ?? matchThreshold;
 
         let youtubeTracks = [];
         let spotifyTrackUris = [];
         let notFoundTracks = [];
+        let trackMatches = [];
+        let unavailableItems = [];
         let resultData = {};
 
         try {
-            // 3. Extract YouTube Playlist ID
-            const playlistId = getYoutubePlaylistId(youtubePlaylistUrl);
-            if (!playlistId) {
-                return res.status(400).json({ error: "Invalid YouTube Music Playlist URL format." });
-            }
-
-            // 4. Get YouTube Tracks
-            console.log(`Fetching YouTube playlist: ${playlistId}`);
-            youtubeTracks = await getYoutubePlaylistItems(playlistId);
-            console.log(`Found ${youtubeTracks.length} tracks on YouTube.`);
+            // 4-5. Get YouTube Tracks and search the destination for each
+            const fetched = await fetchAndMatchTracks(source, destination, threshold, {
+                onProgress, signal, googleToken: options.googleToken, userKey: userId, searchCache: options.searchCache
+            });
+            youtubeTracks = fetched.youtubeTracks;
+            unavailableItems = fetched.unavailableItems;
             if (youtubeTracks.length === 0) {
-                 return res.status(404).json({ error: "Could not fetch tracks from YouTube (playlist empty, private, or API issue?)." });
-            }
-
-            // 5. Search Spotify Tracks
-            console.log("Searching Spotify for tracks...");
-            // Use search client if available 
-            let spSearch = spotifySearchApi; // <<< Use let instead of const
-            if (!spSearch) {
-                 // If search client failed init, maybe try user client? Less ideal.
-                 console.warn("Spotify search client not available, falling back to user token for search.");
-                 spSearch = spUser; // Now allowed
-                 // Alternatively, return an error if search is critical
-                 // return res.status(503).json({ error: "Spotify search service unavailable." });
+                 return {
+                     statusCode: statusFor('SOURCE_EMPTY'),
+                     payload: {
+                         error: "Could not fetch tracks from YouTube (playlist empty, private, or API issue?).",
+                         code: 'SOURCE_EMPTY',
+                         data: unavailableItems.length > 0 ? { unavailable_items: unavailableItems } : undefined
+                     }
+                 };
             }
+            const searchResults = fetched.searchResults;
 
-            // Use Promise.all for potentially faster searching (though limited by API rate limits)
-            // Pass the potentially reassigned spSearch variable
-            const searchPromises = youtubeTracks.map(trackData => searchSpotifyTrack(spSearch, trackData));
-            const searchResults = await Promise.all(searchPromises);
-
-            searchResults.forEach((uri, index) => {
-                if (uri) {
-                    spotifyTrackUris.push(uri);
-                } else {
-                    notFoundTracks.push(youtubeTracks[index].title);
-                }
+            searchResults.forEach((match, index) => {
+                if (!match || !match.accepted) notFoundTracks.push(youtubeTracks[index].title);
+                trackMatches.push(describeMatch(youtubeTracks[index], match, threshold, destination));
             });
+            // Source order, minus duplicates (per the request's dedupe policy). A keep_all
+            // default doesn't apply to syncs, which keep one copy of each track.
+            const requestedDedupe = options.dedupe || dedupePolicy;
+            const dedupe = options.targetPlaylistId && requestedDedupe === 'keep_all' ? 'uri' : requestedDedupe;
+            const selection = selectTrackUris(youtubeTracks, searchResults, dedupe);
+            spotifyTrackUris = selection.uris;
+            const foundCount = spotifyTrackUris.length + selection.duplicates.length;
+            const duplicateReport = {
+                dedupe: dedupe,
+                duplicate_tracks: selection.duplicates,
+                unavailable_items: unavailableItems
+            };
 
-            console.log(`Found ${spotifyTrackUris.length} matching tracks on Spotify.`);
+            console.log(`Found ${foundCount} matching tracks on ${destination.label} (${selection.duplicates.length} duplicates skipped).`);
+            onProgress('matched', { matched: foundCount });
             if (spotifyTrackUris.length === 0) {
                  resultData = {
+                     target: destination.id,
                      total_youtube_tracks: youtubeTracks.length,
                      found_spotify_tracks: 0,
                      not_found_tracks: notFoundTracks,
+                     unavailable_items: unavailableItems,
+                     match_threshold: threshold,
+                     track_matches: trackMatches
                  };
-                return res.status(404).json({
-                    error: "Could not find any matching tracks on Spotify for this playlist.",
-                    data: resultData
-                });
+                return {
+                    statusCode: statusFor('NO_MATCHES'),
+                    payload: {
+                        error: `Could not find any matching tracks on ${destination.label} for this playlist.`,
+                        code: 'NO_MATCHES',
+                        data: resultData
+                    }
+                };
             }
 
-            // 6. Create Spotify Playlist - Pass access token
-            console.log(`Creating Spotify playlist '${spotifyPlaylistName}'...`);
-            const spotifyPlaylistUri = await createSpotifyPlaylist(userAccessToken, spotifyUserId, spotifyPlaylistName);
-            const spotifyPlaylistIdOnly = spotifyPlaylistUri.split(':')[2];
-            const spotifyPlaylistUrl = `https://open.spotify.com/playlist/${spotifyPlaylistIdOnly}`;
-            console.log(`Created playlist URL: ${spotifyPlaylistUrl}`);
+            // 6b. Sync Mode - update an existing playlist instead of creating one
+            if (options.targetPlaylistId) {
+                const syncResult = await destination.syncPlaylist(options.targetPlaylistId, spotifyTrackUris, options.syncMode);
+                onProgress('added', { added: syncResult.added_uris.length });
+                resultData = {
+                    target: destination.id,
+                    spotify_playlist_id: syncResult.playlist_id,
+                    spotify_playlist_name: syncResult.playlist_name,
+                    spotify_playlist_url: destination.playlistUrl(syncResult.playlist_id),
+                    sync_mode: options.syncMode,
+                    total_youtube_tracks: youtubeTracks.length,
+                    found_spotify_tracks: foundCount,
+                    tracks_added: syncResult.added_uris.length,
+                    tracks_removed: syncResult.removed_uris.length,
+                    added_tracks: syncResult.added_uris,
+                    removed_tracks: syncResult.removed_uris,
+                    not_found_tracks: notFoundTracks,
+                    ...duplicateReport,
+                    match_threshold: threshold,
+                    track_matches: trackMatches,
+                    api_errors: syncResult.errors
+                };
+                return { statusCode: 200, payload: { success: true, data: resultData } };
+            }
+
+            // 6. Create the destination playlist
+            const playlistOptions = options.playlistOptions || checkPlaylistOptions({}).playlistOptions;
+            console.log(`Creating ${destination.label} playlist '${spotifyPlaylistName}'...`);
+            const playlist = await destination.createPlaylist(spotifyPlaylistName, {
+                public: playlistOptions.visibility === 'public',
+                collaborative: playlistOptions.collaborative,
+                description: renderDescription(playlistOptions.description, {
+                    sourceUrl: sourceLink(options.youtubePlaylistUrl, source),
+                    playlistName: spotifyPlaylistName
+                })
+            });
+            console.log(`Created playlist URL: ${playlist.url}`);
 
-            // 7. Add Tracks to Playlist - Pass access token
+            // 7. Add Tracks to Playlist
             console.log(`Adding ${spotifyTrackUris.length} tracks to playlist...`);
-            const addResult = await addTracksToSpotifyPlaylist(userAccessToken, spotifyPlaylistUri, spotifyTrackUris);
+            const addResult = await destination.addTracks(playlist.id, spotifyTrackUris);
+            onProgress('added', { added: addResult.added_count });
+
+            // 7b. Cover image (best effort)
+            const cover = await applyCoverImage(destination, playlist.id, {
+                coverImage: playlistOptions.coverImage, source, googleToken: options.googleToken, userKey: userId
+            });
 
             // 8. Prepare Response Data
             resultData = {
-                spotify_playlist_id: spotifyPlaylistIdOnly,
+                target: destination.id,
+                spotify_playlist_id: playlist.id,
                 spotify_playlist_name: spotifyPlaylistName,
-                spotify_playlist_url: spotifyPlaylistUrl,
+                spotify_playlist_url: playlist.url,
+                visibility: playlistOptions.visibility,
+                collaborative: playlistOptions.collaborative,
+                cover_image: cover,
                 total_youtube_tracks: youtubeTracks.length,
-                found_spotify_tracks: spotifyTrackUris.length,
+                found_spotify_tracks: foundCount,
                 tracks_added: addResult.added_count,
                 not_found_tracks: notFoundTracks,
+                ...duplicateReport,
+                match_threshold: threshold,
+                track_matches: trackMatches,
                 api_errors: addResult.success ? [] : [addResult.error]
             };
 
-            return res.status(200).json({ success: true, data: resultData });
+            return { statusCode: 200, payload: { success: true, data: resultData } };
 
         } catch (err) {
+            if (err.cancelled) throw err; // Let the job runner record the cancellation
             console.error("Error during conversion process:", err.message);
             // Send back partial data if available (e.g., tracks were fetched but playlist creation failed)
             const partialData = {
                 total_youtube_tracks: youtubeTracks?.length || null,
                 found_spotify_tracks: spotifyTrackUris?.length || null,
                 not_found_tracks: notFoundTracks?.length ? notFoundTracks : null,
+                unavailable_items: unavailableItems.length ? unavailableItems : null,
                 api_errors: [err.message]
             };
-            // Determine appropriate status code based on error source if possible
-            const statusCode = err.message.includes("YouTube") ? 502 : (err.message.includes("Spotify") ? 502 : 500);
+            // The status follows from the error's code (lib/apiErrors.js); uncoded errors are ours (500).
+            // The unversioned routes answer 502 for messages naming YouTube or the destination, as before.
+            const code = errorCodeOf(err);
+            const upstreamMessage = err.message.includes("YouTube") || err.message.includes(destination.label);
+            const statusCode = errorStatus(code, upstreamMessage ? 502 : 500, options.apiVersion);
             // Send partial data only on server/API errors
-            return res.status(statusCode).json({ 
-                error: err.message, 
-                data: (statusCode === 502 || statusCode === 500) ? partialData : undefined 
-            }); 
-            // Or just pass to generic error handler: next(err);
+            return {
+                statusCode: statusCode,
+                payload: {
+                    error: err.message,
+                    code: code,
+                    data: statusCode >= 500 ? partialData : undefined
+                }
+            };
+        }
+    }
+
+    // --- Subscription Sync ---
+    // One scheduled run of a sync subscription (lib/subscriptionScheduler.js):
+    // fetches the YouTube playlist, matches only items whose video IDs aren't in
+    // `seenVideoIds` and appends the matches to the target playlist (append mode
+    // skips tracks that are already in it). Deleted/private items are left for
+    // later, in case they come back.
+    async function syncSubscriptionItems({ destination, userId, youtubePlaylistId, targetPlaylistId, seenVideoIds }) {
+        const items = await getYoutubePlaylistItems(youtubePlaylistId, youtube, userId);
+        items.forEach((item, index) => { if (item.position == null) item.position = index; });
+        const newTracks = items.filter(item => !item.unavailable && item.videoId && !seenVideoIds.has(item.videoId));
+        const outcome = {
+            processed_video_ids: newTracks.map(track => track.videoId),
+            new_items: newTracks.length,
+            matched: 0,
+            added: 0,
+            not_found: [],
+            api_errors: []
+        };
+        if (newTracks.length === 0) return outcome;
+
+        console.log(`[SUBSCRIPTIONS] ${newTracks.length} new items in ${youtubePlaylistId}, searching ${destination.label}...`);
+        const searchResults = await Promise.all(newTracks.map(track => searchDestinationTrack(destination, track, matchThreshold)));
+        searchResults.forEach((match, index) => {
+            if (!match || !match.accepted) outcome.not_found.push(newTracks[index].title);
+        });
+        const { uris } = selectTrackUris(newTracks, searchResults, dedupePolicy);
+        outcome.matched = uris.length;
+        if (uris.length === 0) return outcome;
+
+        const syncResult = await destination.syncPlaylist(targetPlaylistId, uris, 'append');
+        outcome.added = syncResult.added_uris.length;
+        outcome.api_errors = syncResult.errors;
+        return outcome;
+    }
+
+    // --- Conversion History ---
+    // What re-run and undo need later: where the tracks came from, which playlist
+    // was created or synced, and exactly which tracks a sync added and removed.
+    function recordHistory(options, { statusCode, payload }) {
+        if (!historyStore) return null;
+        const data = payload.data || {};
+        const createdPlaylist = !options.targetPlaylistId && Boolean(data.spotify_playlist_id);
+        try {
+            return historyStore.record(options.destination.id, options.userId, {
+                status: statusCode === 200 ? 'completed' : 'failed',
+                status_code: statusCode,
+                error: payload.error || null,
+                source_url: options.youtubePlaylistUrl,
+                source_type: options.source.type,
+                playlist_id: data.spotify_playlist_id || options.targetPlaylistId || null,
+                playlist_name: data.spotify_playlist_name || options.spotifyPlaylistName || null,
+                playlist_url: data.spotify_playlist_url || null,
+                created_playlist: createdPlaylist,
+                sync_mode: options.targetPlaylistId ? options.syncMode : null,
+                match_threshold: data.match_threshold ?? options.matchThreshold ?? matchThreshold,
+                rerun_of: options.rerunOf || null,
+                counts: {
+                    total: data.total_youtube_tracks || 0,
+                    matched: data.found_spotify_tracks || 0,
+                    added: data.tracks_added || 0,
+                    removed: data.tracks_removed || 0,
+                    not_found: Array.isArray(data.not_found_tracks) ? data.not_found_tracks.length : 0,
+                    duplicates: Array.isArray(data.duplicate_tracks) ? data.duplicate_tracks.length : 0,
+                    unavailable: Array.isArray(data.unavailable_items) ? data.unavailable_items.length : 0
+                },
+                // A created playlist is undone by removing it; only syncs need the track lists
+                added_uris: createdPlaylist ? [] : (data.added_tracks || []),
+                removed_uris: createdPlaylist ? [] : (data.removed_tracks || []),
+                tracks: data.track_matches || [],
+                undo: null
+            });
+        } catch (err) {
+            // History is a convenience; never fail the conversion over it
+            console.error(`[HISTORY] Could not record conversion for user ${options.userId}:`, err.message);
+            return null;
         }
+    }
+
+    // --- Batch Pipeline ---
+    // Converts several playlists one after another (each one already fans out
+    // its searches through the scheduler). A failing playlist is recorded in
+    // its result and the batch moves on to the next one.
+    async function runBatchConversion(options, { onProgress = () => {}, signal = null } = {}) {
+        const { playlists, shareCache, ...shared } = options;
+        const searchCache = shareCache ? new Map() : null;
+        const results = [];
+
+        for (const [index, entry] of playlists.entries()) {
+            throwIfCancelled(signal);
+            console.log(`[BATCH] Playlist ${index + 1}/${playlists.length}: ${entry.youtubePlaylistUrl}`);
+            const progressForEntry = (stage, counts) => onProgress(stage, {
+                ...counts, playlist_index: index, playlists_total: playlists.length
+            });
+            progressForEntry('playlist_started', {});
+            const { statusCode, payload } = await runConversion(
+                { ...shared, ...entry, searchCache },
+                { onProgress: progressForEntry, signal }
+            );
+            results.push({
+                playlist_url: entry.youtubePlaylistUrl,
+                playlist_name: entry.spotifyPlaylistName,
+                status_code: statusCode,
+                success: statusCode === 200,
+                error: payload.error || null,
+                error_code: payload.code || null,
+                data: payload.data || null
+            });
+        }
+
+        const sum = (key) => results.reduce((total, result) => total + (result.data?.[key] || 0), 0);
+        const succeeded = results.filter(result => result.success).length;
+        const totals = {
+            playlists: results.length,
+            succeeded: succeeded,
+            failed: results.length - succeeded,
+            total_youtube_tracks: sum('total_youtube_tracks'),
+            found_spotify_tracks: sum('found_spotify_tracks'),
+            tracks_added: sum('tracks_added'),
+            unique_searches: searchCache ? searchCache.size : null
+        };
+        console.log(`[BATCH] Finished: ${succeeded}/${results.length} playlists converted.`);
+
+        if (succeeded === 0) {
+            return {
+                statusCode: 502,
+                payload: { error: "None of the playlists could be converted.", code: 'UPSTREAM_ERROR', data: { totals, results } }
+            };
+        }
+        return { statusCode: 200, payload: { success: true, data: { totals, results } } };
+    }
+
+    // --- Background Job Runner ---
+    // `run({ onProgress, signal })` must resolve to { statusCode, payload }
+    function startJob(params, userId, run) {
+        const job = jobStore.createJob({ ...params, user_id: userId });
+        const signal = jobStore.getSignal(job.id);
+        const onProgress = (stage, counts) => jobStore.reportProgress(job.id, stage, counts);
+
+        console.log(`[JOBS] Started job ${job.id} for user ${userId}`);
+        // Deliberately not awaited - the request returns as soon as the job exists.
+        // Its logs keep the request's request_id and add the job_id.
+        runWithContext({ job_id: job.id }, () => run({ onProgress, signal }))
+            .then(({ statusCode, payload }) => {
+                const status = statusCode === 200 ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED;
+                jobStore.finishJob(job.id, status, {
+                    result: { status_code: statusCode, ...payload },
+                    error: payload.error || null
+                });
+                console.log(`[JOBS] Job ${job.id} finished with status ${status}`);
+            })
+            .catch(err => {
+                if (err.cancelled) {
+                    console.log(`[JOBS] Job ${job.id} stopped after cancellation.`);
+                    return; // cancelJob already recorded the final state
+                }
+                console.error(`[JOBS] Job ${job.id} crashed:`, err.message);
+                jobStore.finishJob(job.id, JOB_STATUS.FAILED, { error: err.message });
+            });
+        return job;
+    }
+
+    function conversionJobParams(options) {
+        return {
+            target: options.destination.id,
+            playlist_url: options.youtubePlaylistUrl,
+            playlist_name: options.spotifyPlaylistName,
+            target_playlist_id: options.targetPlaylistId || null,
+            sync_mode: options.targetPlaylistId ? options.syncMode : null
+        };
+    }
+
+    function batchJobParams(options) {
+        return {
+            type: 'batch',
+            target: options.destination.id,
+            playlist_urls: options.playlists.map(entry => entry.youtubePlaylistUrl)
+        };
+    }
+
+    function startConversionJob(options) {
+        return startJob(conversionJobParams(options), options.userId, hooks => runConversion(options, hooks));
+    }
+
+    function startBatchJob(options) {
+        return startJob(batchJobParams(options), options.userId, hooks => runBatchConversion(options, hooks));
+    }
+
+    // Synchronous runs are stored as finished jobs too, so their reports can be
+    // exported after the response; the job_id is added to the response data.
+    // That's one stored report per request, so the store keeps only the newest
+    // JOB_STORE_MAX_FINISHED finished jobs.
+    function recordFinishedRun(params, userId, { statusCode, payload }) {
+        const job = jobStore.createJob({ ...params, user_id: userId });
+        if (payload.data) payload.data.job_id = job.id;
+        jobStore.finishJob(job.id, statusCode === 200 ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED, {
+            result: { status_code: statusCode, ...payload },
+            error: payload.error || null
+        });
+        return job;
+    }
+
+    // Public view of a job (never includes tokens)
+    function serializeJob(job) {
+        return {
+            job_id: job.id,
+            status: job.status,
+            progress: job.progress,
+            error: job.error,
+            created_at: job.created_at,
+            updated_at: job.updated_at,
+            finished_at: job.finished_at
+        };
+    }
+
+    // --- Auth Middleware ---
+    // Picks the destination from `target` (body or query, default spotify), verifies
+    // the bearer token with that service and attaches the provider and user ID
+    async function requireDestinationUser(req, res, next) {
+        const target = req.query.target || req.body?.target || DEFAULT_DESTINATION;
+        const provider = getDestination(target);
+        if (!provider) {
+            return res.status(400).json({ error: `Invalid 'target': expected one of ${DESTINATION_IDS.join(', ')}.` });
+        }
+
+        // 1. Check Authentication via Token
+        const userAccessToken = req.token;
+        if (!userAccessToken) {
+            return res.status(401).json({ error: "Authorization token missing or invalid.", code: 'AUTH_REQUIRED', auth_required: true });
+        }
+
+        // Per-request provider acting as the user
+        const destination = provider.create({ accessToken: userAccessToken, scheduler, spotifyAppToken });
+        try {
+            // Verify token and get user ID
+            const user = await destination.getUser();
+            req.destination = destination;
+            req.userId = user.id;
+            setLogContext({ user_id: user.id, target: provider.id });
+            console.log(`[CONVERT] Request authenticated for ${destination.label} user: ${req.userId}`);
+            next();
+        } catch (err) {
+             console.error('[CONVERT] Invalid token during user check:', err.message);
+             return res.status(401).json({
+                 error: `Invalid or expired ${provider.label} token.`,
+                 code: destinationErrorCode(provider.id, 401),
+                 auth_required: true,
+                 target: provider.id
+             });
+        }
+    }
+
+    // Resolves a playlist_url into a source descriptor (lib/youtubeSource.js).
+    // Returns { source } or { statusCode, body } describing why it can't be used.
+    function checkSource(youtubePlaylistUrl, googleToken) {
+        if (!youtubePlaylistUrl || typeof youtubePlaylistUrl !== 'string') {
+            return { statusCode: 400, body: { error: "Missing 'playlist_url' in request." } };
+        }
+        // Work out what kind of YouTube source this is (playlist, video, channel)
+        const source = resolveYoutubeSource(youtubePlaylistUrl);
+        if (!source) {
+            return { statusCode: 400, body: { error: "Unsupported YouTube URL. Paste a playlist, album, video, shorts or channel link, or a playlist ID.", code: 'UNSUPPORTED_SOURCE' } };
+        }
+        if (source.type === 'unsupported') {
+            return { statusCode: 400, body: { error: source.reason, code: 'UNSUPPORTED_SOURCE' } };
+        }
+        if (source.requiresGoogleAuth && !googleToken) {
+            return {
+                statusCode: 401,
+                body: { error: "Reading your liked music requires Google login (X-Google-Token header).", code: 'GOOGLE_AUTH_REQUIRED', google_auth_required: true }
+            };
+        }
+        return { source };
+    }
+
+    // Validates target_playlist / sync_mode for the destination. Returns { targetPlaylistId } or { statusCode, body }.
+    function checkTarget(targetPlaylist, syncMode, destination) {
+        if (!targetPlaylist) return { targetPlaylistId: null };
+        const targetPlaylistId = destination.parsePlaylistRef(targetPlaylist);
+        if (!targetPlaylistId) {
+            return { statusCode: 400, body: { error: `Invalid 'target_playlist': expected a ${destination.label} playlist ID, URL or URI.` } };
+        }
+        if (!destination.syncModes.includes(syncMode)) {
+            return { statusCode: 400, body: { error: `Invalid 'sync_mode': expected one of ${destination.syncModes.join(', ')}.` } };
+        }
+        return { targetPlaylistId };
+    }
+
+    function isValidThreshold(value) {
+        return value === undefined || (Number(value) >= 0 && Number(value) <= 1);
+    }
+
+    // Validates playlist_url / match_threshold from the body. Sends an error and
+    // returns null when invalid, otherwise returns { source, matchThreshold } where
+    // `source` is the descriptor from lib/youtubeSource.js.
+    function parseSourceRequest(req, res) {
+        const { playlist_url: youtubePlaylistUrl, match_threshold: requestedThreshold } = req.body;
+        if (!isValidThreshold(requestedThreshold)) {
+            res.status(400).json({ error: "'match_threshold' must be a number between 0 and 1." });
+            return null;
+        }
+        const checked = checkSource(youtubePlaylistUrl, req.googleToken);
+        if (!checked.source) {
+            res.status(checked.statusCode).json(checked.body);
+            return null;
+        }
+        return {
+            youtubePlaylistUrl,
+            source: checked.source,
+            googleToken: req.googleToken,
+            matchThreshold: requestedThreshold !== undefined ? Number(requestedThreshold) : undefined
+        };
+    }
+
+    // --- POST /api/convert Route ---
+    // Body: { playlist_url, playlist_name?, async?, match_threshold?, target?, target_playlist?, sync_mode?,
+    //         visibility?, collaborative?, description?, cover_image?, dedupe? }
+    // `target` picks the destination service (spotify by default, or deezer); the
+    // bearer token must belong to that service.
+    // With `async: true` the conversion runs as a background job and the
+    // response is 202 with a job_id to poll or stream.
+    // With `target_playlist` (ID, URL or URI) an existing playlist is updated
+    // instead of creating a new one; `sync_mode` is append (default), mirror or replace.
+    // A created playlist is `visibility` public|private (server default), optionally
+    // `collaborative` (private only), gets `description` (a template with {source_url},
+    // {date} and {playlist_name}) and `cover_image`: 'source' (default, the YouTube
+    // playlist thumbnail), 'none' or an image URL. Covers need the login feature cover_image.
+    // Tracks are added in playlist order; `dedupe` is keep_all (not with target_playlist), uri or isrc (server default).
+    // Deleted/private videos are listed in `unavailable_items`, apart from search misses.
+    router.post('/', extractToken, requireDestinationUser, async (req, res, next) => {
+        // 2. Get Request Body Data
+        const {
+            playlist_name: spotifyPlaylistName = defaultPlaylistName,
+            async: runAsJob = false,
+            target_playlist: targetPlaylist,
+            sync_mode: syncMode = 'append'
+        } = req.body;
+        const parsed = parseSourceRequest(req, res);
+        if (!parsed) return;
+
+        const target = checkTarget(targetPlaylist, syncMode, req.destination);
+        if (target.statusCode) {
+            return res.status(target.statusCode).json(target.body);
+        }
+        const settings = checkPlaylistOptions(req.body);
+        if (settings.statusCode) {
+            return res.status(settings.statusCode).json(settings.body);
+        }
+        const policy = checkDedupe(req.body.dedupe, Boolean(target.targetPlaylistId));
+        if (policy.statusCode) {
+            return res.status(policy.statusCode).json(policy.body);
+        }
+
+        const options = {
+            destination: req.destination,
+            userId: req.userId,
+            apiVersion: req.apiVersion,
+            spotifyPlaylistName,
+            targetPlaylistId: target.targetPlaylistId,
+            syncMode,
+            playlistOptions: settings.playlistOptions,
+            dedupe: policy.dedupe,
+            ...parsed
+        };
+
+        if (runAsJob === true || runAsJob === 'true') {
+            const job = startConversionJob(options);
+            return res.status(202).json({ success: true, data: serializeJob(job) });
+        }
+
+        const outcome = await runConversion(options);
+        recordFinishedRun(conversionJobParams(options), req.userId, outcome);
+        return res.status(outcome.statusCode).json(outcome.payload);
+    });
+
+    // --- POST /api/convert/batch Route ---
+    // Body: { playlists: [ "url" | { playlist_url, playlist_name?, target_playlist?, sync_mode? } ],
+    //         match_threshold?, share_cache? (default true), async?, target?,
+    //         visibility?, collaborative?, description?, cover_image? (applied to every created playlist), dedupe? }
+    // Every entry is validated up front; at run time a failing playlist doesn't stop the rest.
+    router.post('/batch', extractToken, requireDestinationUser, async (req, res) => {
+        const {
+            playlists: rawPlaylists,
+            match_threshold: requestedThreshold,
+            share_cache: shareCache = true,
+            async: runAsJob = false
+        } = req.body;
+        if (!Array.isArray(rawPlaylists) || rawPlaylists.length === 0) {
+            return res.status(400).json({ error: "'playlists' must be a non-empty array of playlist URLs or objects." });
+        }
+        if (rawPlaylists.length > MAX_BATCH_PLAYLISTS) {
+            return res.status(400).json({ error: `Too many playlists: at most ${MAX_BATCH_PLAYLISTS} per batch.` });
+        }
+        if (!isValidThreshold(requestedThreshold)) {
+            return res.status(400).json({ error: "'match_threshold' must be a number between 0 and 1." });
+        }
+        const settings = checkPlaylistOptions(req.body);
+        if (settings.statusCode) {
+            return res.status(settings.statusCode).json(settings.body);
+        }
+
+        const playlists = [];
+        const invalidPlaylists = [];
+        rawPlaylists.forEach((raw, index) => {
+            const entry = typeof raw === 'string' ? { playlist_url: raw } : (raw || {});
+            const syncMode = entry.sync_mode || 'append';
+            const checked = checkSource(entry.playlist_url, req.googleToken);
+            const target = checkTarget(entry.target_playlist, syncMode, req.destination);
+            const problem = checked.body || target.body;
+            if (problem) {
+                invalidPlaylists.push({ index, playlist_url: entry.playlist_url || null, ...problem });
+                return;
+            }
+            playlists.push({
+                youtubePlaylistUrl: entry.playlist_url,
+                source: checked.source,
+                spotifyPlaylistName: entry.playlist_name || `${defaultPlaylistName} ${index + 1}`,
+                targetPlaylistId: target.targetPlaylistId,
+                syncMode
+            });
+        });
+        if (invalidPlaylists.length > 0) {
+            return res.status(400).json({ error: "Some playlists in the batch are invalid.", data: { invalid_playlists: invalidPlaylists } });
+        }
+        const policy = checkDedupe(req.body.dedupe, playlists.some(entry => entry.targetPlaylistId));
+        if (policy.statusCode) {
+            return res.status(policy.statusCode).json(policy.body);
+        }
+
+        const options = {
+            destination: req.destination,
+            userId: req.userId,
+            apiVersion: req.apiVersion,
+            googleToken: req.googleToken,
+            matchThreshold: requestedThreshold !== undefined ? Number(requestedThreshold) : undefined,
+            shareCache: shareCache === true || shareCache === 'true',
+            playlistOptions: settings.playlistOptions,
+            dedupe: policy.dedupe,
+            playlists
+        };
+
+        if (runAsJob === true || runAsJob === 'true') {
+            const job = startBatchJob(options);
+            return res.status(202).json({ success: true, data: serializeJob(job) });
+        }
+
+        const outcome = await runBatchConversion(options);
+        recordFinishedRun(batchJobParams(options), req.userId, outcome);
+        return res.status(outcome.statusCode).json(outcome.payload);
+    });
+
+    // --- POST /api/convert/import Route ---
+    // Converts an uploaded track list instead of a YouTube URL. The file is the raw
+    // request body (send it as text/plain or application/octet-stream; JSON bodies
+    // are subject to the global 100kb JSON limit).
+    // Query: ?format=csv|takeout|m3u|xspf|spotify (detected when omitted), file_name?,
+    //        playlist_name?, source_playlist? (Spotify exports), match_threshold?,
+    //        target?, target_playlist?, sync_mode?, async?,
+    //        visibility?, collaborative?, description?, cover_image? (a file has no thumbnail: URL or none), dedupe?
+    router.post('/import', extractToken, requireDestinationUser, importBodyParser, async (req, res) => {
+        const {
+            format: requestedFormat,
+            file_name: fileName = null,
+            playlist_name: requestedName,
+            source_playlist: sourcePlaylist = null,
+            match_threshold: requestedThreshold,
+            target_playlist: targetPlaylist,
+            sync_mode: syncMode = 'append',
+            async: runAsJob = false
+        } = req.query;
+        const content = typeof req.body === 'string' ? req.body
+            : Buffer.isBuffer(req.body) ? req.body.toString('utf8')
+            : (req.body && Object.keys(req.body).length ? JSON.stringify(req.body) : '');
+        if (!content.trim()) {
+            return res.status(400).json({ error: "Upload the playlist file as the request body." });
+        }
+        if (!isValidThreshold(requestedThreshold)) {
+            return res.status(400).json({ error: "'match_threshold' must be a number between 0 and 1." });
+        }
+        const format = requestedFormat ? String(requestedFormat).toLowerCase() : detectImportFormat(content, fileName);
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Unknown file format: pass 'format' as one of ${IMPORT_FORMATS.join(', ')}.` });
+        }
+        const target = checkTarget(targetPlaylist, syncMode, req.destination);
+        if (target.statusCode) {
+            return res.status(target.statusCode).json(target.body);
+        }
+        const settings = checkPlaylistOptions(req.query);
+        if (settings.statusCode) {
+            return res.status(settings.statusCode).json(settings.body);
+        }
+        const policy = checkDedupe(req.query.dedupe, Boolean(target.targetPlaylistId));
+        if (policy.statusCode) {
+            return res.status(policy.statusCode).json(policy.body);
+        }
+
+        let imported;
+        try {
+            imported = parseImport(content, format, { playlistName: sourcePlaylist });
+        } catch (err) {
+            return res.status(400).json({ error: `Could not read ${format} file: ${err.message}` });
+        }
+        if (imported.tracks.length === 0) {
+            return res.status(400).json({ error: "No tracks found in the uploaded file." });
+        }
+        console.log(`[IMPORT] ${format} file with ${imported.tracks.length} entries from user ${req.userId}`);
+
+        const options = {
+            destination: req.destination,
+            userId: req.userId,
+            apiVersion: req.apiVersion,
+            spotifyPlaylistName: requestedName || imported.name || defaultPlaylistName,
+            targetPlaylistId: target.targetPlaylistId,
+            syncMode,
+            youtubePlaylistUrl: `import:${fileName || format}`,
+            source: { type: 'import', format, tracks: imported.tracks },
+            playlistOptions: settings.playlistOptions,
+            dedupe: policy.dedupe,
+            googleToken: req.googleToken,
+            matchThreshold: requestedThreshold !== undefined ? Number(requestedThreshold) : undefined
+        };
+
+        if (runAsJob === true || runAsJob === 'true') {
+            const job = startConversionJob(options);
+            return res.status(202).json({ success: true, data: serializeJob(job) });
+        }
+
+        const outcome = await runConversion(options);
+        recordFinishedRun(conversionJobParams(options), req.userId, outcome);
+        return res.status(outcome.statusCode).json(outcome.payload);
+    });
+
+    // --- POST /api/convert/preview Route ---
+    // Dry run: same fetch and search as a conversion, but nothing is written to
+    // the destination. Returns every YouTube item with its query and top candidates so
+    // the user can review and pick tracks before calling /commit.
+    // Body: { playlist_url, match_threshold?, target? }
+    router.post('/preview', extractToken, requireDestinationUser, async (req, res) => {
+        const parsed = parseSourceRequest(req, res);
+        if (!parsed) return;
+        const threshold = parsed.matchThreshold ?? matchThreshold;
+
+        try {
+            const { youtubeTracks, searchResults, unavailableItems } = await fetchAndMatchTracks(
+                parsed.source, req.destination, threshold, { googleToken: parsed.googleToken, fresh: true, userKey: req.userId }
+            );
+            if (youtubeTracks.length === 0) {
+                return res.status(statusFor('SOURCE_EMPTY')).json({
+                    error: "Could not fetch tracks from YouTube (playlist empty, private, or API issue?).",
+                    code: 'SOURCE_EMPTY',
+                    data: unavailableItems.length > 0 ? { unavailable_items: unavailableItems } : undefined
+                });
+            }
+
+            const items = youtubeTracks.map((ytTrack, index) => {
+                const match = searchResults[index];
+                const { parsedTitle, searchAttempts } = planTrackSearch(ytTrack);
+                return {
+                    position: index,
+                    youtube_title: ytTrack.title,
+                    youtube_channel: ytTrack.channel,
+                    youtube_video_id: ytTrack.videoId || null,
+                    youtube_position: ytTrack.position ?? null,
+                    youtube_published_at: ytTrack.publishedAt || null,
+                    youtube_metadata: ytTrack.metadata ? {
+                        track: ytTrack.metadata.track,
+                        artists: ytTrack.metadata.artists,
+                        album: ytTrack.metadata.album,
+                        release_year: ytTrack.metadata.releaseYear,
+                        label: ytTrack.metadata.label,
+                        isrc: ytTrack.metadata.isrc
+                    } : null,
+                    parsed_title: parsedTitle,
+                    query: searchAttempts[0]?.q || null,
+                    status: !match ? 'not_found' : (match.accepted ? 'matched' : 'low_confidence'),
+                    selected_uri: match && match.accepted ? match.uri : null,
+                    candidates: match ? match.candidates : []
+                };
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    target: req.destination.id,
+                    total_youtube_tracks: youtubeTracks.length,
+                    matched_tracks: items.filter(item => item.status === 'matched').length,
+                    match_threshold: threshold,
+                    items: items,
+                    unavailable_items: unavailableItems
+                }
+            });
+        } catch (err) {
+            console.error("Error during conversion preview:", err.message);
+            const code = errorCodeOf(err);
+            const statusCode = errorStatus(code, err.message.includes("YouTube") ? 502 : 500, req.apiVersion);
+            return res.status(statusCode).json({ error: err.message, code });
+        }
+    });
+
+    // --- POST /api/convert/commit Route ---
+    // Creates the playlist from a (possibly user-edited) preview selection.
+    // Body: { playlist_name?, track_uris: ["spotify:track:..." | "deezer:track:..."], target?,
+    //         playlist_url? (the previewed source: used for the description and the cover),
+    //         visibility?, collaborative?, description?, cover_image? }
+    router.post('/commit', extractToken, requireDestinationUser, async (req, res) => {
+        const {
+            playlist_name: spotifyPlaylistName = defaultPlaylistName,
+            playlist_url: youtubePlaylistUrl = null,
+            track_uris: trackUris
+        } = req.body;
+        const { destination } = req;
+        if (!Array.isArray(trackUris) || trackUris.length === 0) {
+            return res.status(400).json({ error: `'track_uris' must be a non-empty array of ${destination.label} track URIs.` });
+        }
+        const invalidUris = trackUris.filter(uri => !destination.isTrackUri(uri));
+        if (invalidUris.length > 0) {
+            return res.status(400).json({ error: `Invalid ${destination.label} track URIs in 'track_uris'.`, data: { invalid_uris: invalidUris } });
+        }
+        const settings = checkPlaylistOptions(req.body);
+        if (settings.statusCode) {
+            return res.status(settings.statusCode).json(settings.body);
+        }
+        const { playlistOptions } = settings;
+        const source = typeof youtubePlaylistUrl === 'string' ? resolveYoutubeSource(youtubePlaylistUrl) : null;
+
+        try {
+            const playlist = await destination.createPlaylist(spotifyPlaylistName, {
+                public: playlistOptions.visibility === 'public',
+                collaborative: playlistOptions.collaborative,
+                description: renderDescription(playlistOptions.description, {
+                    sourceUrl: sourceLink(youtubePlaylistUrl, source),
+                    playlistName: spotifyPlaylistName
+                })
+            });
+            const addResult = await destination.addTracks(playlist.id, trackUris);
+            const cover = await applyCoverImage(destination, playlist.id, {
+                coverImage: playlistOptions.coverImage, source, googleToken: req.googleToken, userKey: req.userId
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    target: destination.id,
+                    spotify_playlist_id: playlist.id,
+                    spotify_playlist_name: spotifyPlaylistName,
+                    spotify_playlist_url: playlist.url,
+                    visibility: playlistOptions.visibility,
+                    collaborative: playlistOptions.collaborative,
+                    cover_image: cover,
+                    tracks_added: addResult.added_count,
+                    api_errors: addResult.success ? [] : [addResult.error]
+                }
+            });
+        } catch (err) {
+            console.error("Error committing previewed playlist:", err.message);
+            const code = errorCodeOf(err, 'UPSTREAM_ERROR');
+            return res.status(errorStatus(code, 502, req.apiVersion)).json({ error: err.message, code });
+        }
+    });
+
+    // --- History Endpoints ---
+    // Scoped to the authenticated destination user (pass `target` for non-Spotify accounts).
+
+    function requireHistory(req, res, next) {
+        if (!historyStore) {
+            return res.status(503).json({ error: "Conversion history is not enabled on this server." });
+        }
+        next();
+    }
+
+    function findHistoryEntry(req, res) {
+        const entry = historyStore.get(req.destination.id, req.userId, req.params.entryId);
+        if (!entry) {
+            res.status(404).json({ error: "Conversion not found in your history." });
+            return null;
+        }
+        return entry;
+    }
+
+    // GET /api/convert/history?limit=&offset= - Past conversions, newest first (without per-track reports)
+    router.get('/history', extractToken, requireHistory, requireDestinationUser, (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const { total, entries } = historyStore.list(req.destination.id, req.userId, { limit, offset });
+        res.json({ success: true, data: { total, limit, offset, entries } });
+    });
+
+    // GET /api/convert/history/:entryId - One conversion with its per-track outcomes
+    router.get('/history/:entryId', extractToken, requireHistory, requireDestinationUser, (req, res) => {
+        const entry = findHistoryEntry(req, res);
+        if (!entry) return;
+        res.json({ success: true, data: entry });
+    });
+
+    // POST /api/convert/history/:entryId/rerun - Convert the same source again, as it is now.
+    // Body: { sync_mode?, match_threshold?, async?, dedupe? }
+    // The run syncs into the playlist the original created or updated (sync_mode
+    // defaults to the original's, or append); if that playlist was undone, a new one is created.
+    router.post('/history/:entryId/rerun', extractToken, requireHistory, requireDestinationUser, async (req, res) => {
+        const entry = findHistoryEntry(req, res);
+        if (!entry) return;
+        const { sync_mode: requestedMode, match_threshold: requestedThreshold, async: runAsJob = false } = req.body;
+        if (entry.source_type === 'import') {
+            return res.status(400).json({ error: "Conversions of uploaded files can't be re-run. Upload the file again instead." });
+        }
+        if (!isValidThreshold(requestedThreshold)) {
+            return res.status(400).json({ error: "'match_threshold' must be a number between 0 and 1." });
+        }
+        const checked = checkSource(entry.source_url, req.googleToken);
+        if (!checked.source) {
+            return res.status(checked.statusCode).json(checked.body);
+        }
+        const targetPlaylistId = entry.created_playlist && entry.undone_at ? null : entry.playlist_id;
+        const syncMode = requestedMode || entry.sync_mode || 'append';
+        if (targetPlaylistId && !req.destination.syncModes.includes(syncMode)) {
+            return res.status(400).json({ error: `Invalid 'sync_mode': expected one of ${req.destination.syncModes.join(', ')}.` });
+        }
+        const policy = checkDedupe(req.body.dedupe, Boolean(targetPlaylistId));
+        if (policy.statusCode) {
+            return res.status(policy.statusCode).json(policy.body);
+        }
+
+        const options = {
+            destination: req.destination,
+            userId: req.userId,
+            apiVersion: req.apiVersion,
+            spotifyPlaylistName: entry.playlist_name || defaultPlaylistName,
+            targetPlaylistId,
+            syncMode,
+            youtubePlaylistUrl: entry.source_url,
+            source: checked.source,
+            googleToken: req.googleToken,
+            matchThreshold: requestedThreshold !== undefined ? Number(requestedThreshold) : entry.match_threshold,
+            dedupe: policy.dedupe,
+            rerunOf: entry.id
+        };
+        console.log(`[HISTORY] Re-running ${entry.id} for user ${req.userId}`);
+
+        if (runAsJob === true || runAsJob === 'true') {
+            const job = startConversionJob(options);
+            return res.status(202).json({ success: true, data: serializeJob(job) });
+        }
+
+        const outcome = await runConversion(options);
+        recordFinishedRun(conversionJobParams(options), req.userId, outcome);
+        return res.status(outcome.statusCode).json(outcome.payload);
+    });
+
+    // POST /api/convert/history/:entryId/undo - Remove the playlist a conversion
+    // created, or take a sync back: remove the tracks it added and re-add (at the
+    // end) the ones it removed. Each conversion can be undone once.
+    router.post('/history/:entryId/undo', extractToken, requireHistory, requireDestinationUser, async (req, res) => {
+        const entry = findHistoryEntry(req, res);
+        if (!entry) return;
+        if (entry.undone_at) {
+            return res.status(409).json({ error: "This conversion has already been undone.", data: entry.undo });
+        }
+        if (entry.status !== 'completed' || !entry.playlist_id) {
+            return res.status(409).json({ error: "This conversion didn't change any playlist, so there is nothing to undo." });
+        }
+
+        const { destination } = req;
+        let undo;
+        try {
+            if (entry.created_playlist) {
+                await destination.deletePlaylist(entry.playlist_id);
+                undo = { action: 'playlist_removed', playlist_id: entry.playlist_id, api_errors: [] };
+            } else {
+                const removeResult = await destination.removeTracks(entry.playlist_id, entry.added_uris);
+                const restoreResult = await destination.addTracks(entry.playlist_id, entry.removed_uris);
+                undo = {
+                    action: 'tracks_reverted',
+                    playlist_id: entry.playlist_id,
+                    tracks_removed: removeResult.removed_count,
+                    tracks_restored: restoreResult.added_count,
+                    api_errors: [removeResult.error, restoreResult.error].filter(Boolean)
+                };
+            }
+        } catch (err) {
+            console.error(`[HISTORY] Undo of ${entry.id} failed:`, err.message);
+            const code = errorCodeOf(err, 'UPSTREAM_ERROR');
+            return res.status(errorStatus(code, 502, req.apiVersion)).json({ error: err.message, code });
+        }
+
+        const updated = historyStore.update(destination.id, req.userId, entry.id, { undone_at: new Date().toISOString(), undo });
+        console.log(`[HISTORY] Undid ${entry.id} (${undo.action}) for user ${req.userId}`);
+        res.json({ success: true, data: updated });
     });
 
+    // --- Job Endpoints ---
+    // Status and the progress stream only need the job ID (a random UUID), which
+    // lets the frontend use a plain EventSource (no custom headers). The result,
+    // the export and cancelling also need the token of the user who started the
+    // job (`target` for non-Spotify accounts); other users get a 404.
+    // Jobs live in the memory of the process that ran them (JOB_STORE_FILE only
+    // restores them after a restart), so with several pm2 instances a job started
+    // on one instance is a 404 on the others: route a client to one instance.
+
+    // The job if it belongs to the authenticated user; otherwise sends a 404 and returns null
+    function findOwnJob(req, res) {
+        const job = jobStore.getJob(req.params.jobId);
+        if (!job || job.params.user_id !== req.userId || job.params.target !== req.destination.id) {
+            res.status(404).json({ error: "Conversion job not found." });
+            return null;
+        }
+        return job;
+    }
+
+    // GET /api/convert/jobs/:jobId - Current status and progress counters
+    router.get('/jobs/:jobId', (req, res) => {
+        const job = jobStore.getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: "Conversion job not found." });
+        }
+        res.json({ success: true, data: serializeJob(job) });
+    });
+
+    // GET /api/convert/jobs/:jobId/result - Final result once the job has finished (owner only)
+    router.get('/jobs/:jobId/result', extractToken, requireDestinationUser, (req, res) => {
+        const job = findOwnJob(req, res);
+        if (!job) return;
+        if (!isTerminal(job.status)) {
+            return res.status(409).json({ error: "Conversion job has not finished yet.", data: serializeJob(job) });
+        }
+        if (!job.result) {
+            const code = job.status === JOB_STATUS.CANCELLED ? 'JOB_CANCELLED' : 'INTERNAL_ERROR';
+            return res.status(statusFor(code)).json({ error: job.error, code, data: serializeJob(job) });
+        }
+        const { status_code: statusCode, ...payload } = job.result;
+        res.status(statusCode).json(payload);
+    });
+
+    // Flattens a finished job's track_matches (one conversion or a whole batch) into report rows
+    function collectExportItems(job) {
+        const data = job.result?.data || {};
+        const conversions = Array.isArray(data.results)
+            ? data.results.map(result => ({ playlistUrl: result.playlist_url, data: result.data || {} }))
+            : [{ playlistUrl: job.params?.playlist_url || null, data }];
+        const items = [];
+        conversions.forEach(({ playlistUrl, data: conversion }) => {
+            (conversion.track_matches || []).forEach(match => {
+                items.push({
+                    playlist_url: playlistUrl,
+                    ...match,
+                    youtube_url: match.youtube_video_id ? `https://www.youtube.com/watch?v=${match.youtube_video_id}` : null
+                });
+            });
+        });
+        return items;
+    }
+
+    // GET /api/convert/jobs/:jobId/export?format=json|csv|m3u|xspf - Downloadable report (owner only).
+    // CSV/JSON list every source item with its match status and reason; M3U/XSPF
+    // are playlists of the matched tracks.
+    router.get('/jobs/:jobId/export', extractToken, requireDestinationUser, (req, res) => {
+        const format = String(req.query.format || 'json').toLowerCase();
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            return res.status(400).json({ error: `Invalid 'format': expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+        }
+        const job = findOwnJob(req, res);
+        if (!job) return;
+        if (!isTerminal(job.status)) {
+            return res.status(409).json({ error: "Conversion job has not finished yet.", data: serializeJob(job) });
+        }
+        const items = collectExportItems(job);
+        if (items.length === 0) {
+            return res.status(404).json({ error: "This conversion has no track report to export (the YouTube playlist could not be read).", data: serializeJob(job) });
+        }
+
+        const title = job.params?.playlist_name || 'Converted YouTube Playlist';
+        const matchedTracks = items
+            .filter(item => item.status === 'matched')
+            .map(item => ({
+                uri: item.spotify_uri,
+                url: destinationForUri(item.spotify_uri)?.trackUrl(item.spotify_uri) || null,
+                name: item.spotify_name,
+                artists: item.spotify_artists,
+                album: item.spotify_album || null,
+                duration_ms: item.spotify_duration_ms ?? null
+            }));
+        let body;
+        if (format === 'csv') {
+            body = toCsv(items, EXPORT_COLUMNS);
+        } else if (format === 'm3u') {
+            body = toM3u(matchedTracks, title);
+        } else if (format === 'xspf') {
+            body = toXspf(matchedTracks, title);
+        } else {
+            body = JSON.stringify({
+                job_id: job.id,
+                status: job.status,
+                playlist_name: title,
+                exported_at: new Date().toISOString(),
+                total_items: items.length,
+                matched_items: matchedTracks.length,
+                items: items
+            }, null, 2);
+        }
+
+        res.attachment(`conversion-${job.id.slice(0, 8)}.${exportFormat.extension}`);
+        res.set('Content-Type', exportFormat.contentType); // After attachment(), which guesses from the extension
+        res.send(body);
+    });
+
+    // GET /api/convert/jobs/:jobId/events - Server-Sent Events progress stream
+    router.get('/jobs/:jobId/events', (req, res) => {
+        const job = jobStore.getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: "Conversion job not found." });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        // Always start with the current state so late subscribers catch up
+        send('progress', serializeJob(job));
+        if (isTerminal(job.status)) {
+            send('done', serializeJob(job));
+            return res.end();
+        }
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        const unsubscribe = jobStore.subscribe(job.id, ({ type, job: updatedJob }) => {
+            send(type, serializeJob(updatedJob));
+            if (type === 'done') cleanup(true);
+        });
+
+        function cleanup(endResponse) {
+            clearInterval(heartbeat);
+            unsubscribe();
+            if (endResponse) res.end();
+        }
+        req.on('close', () => cleanup(false));
+    });
+
+    // DELETE /api/convert/jobs/:jobId - Cancel a queued or running job (owner only)
+    router.delete('/jobs/:jobId', extractToken, requireDestinationUser, (req, res) => {
+        if (!findOwnJob(req, res)) return;
+        const job = jobStore.cancelJob(req.params.jobId);
+        console.log(`[JOBS] Cancel requested for job ${job.id} (status: ${job.status})`);
+        res.json({ success: true, data: serializeJob(job) });
+    });
+
+    // The subscription scheduler (wired in server.js) runs syncs outside any request
+    router.syncSubscriptionItems = syncSubscriptionItems;
+
     return router; // Return the configured router
-}; 
\ No newline at end of file
+};
+
+// Values lib/apiSpec.js builds the /api/v1 request schemas from
+module.exports.DEDUPE_POLICIES = DEDUPE_POLICIES;
+module.exports.MAX_BATCH_PLAYLISTS = MAX_BATCH_PLAYLISTS;
+module.exports.PLAYLIST_VISIBILITIES = PLAYLIST_VISIBILITIES;
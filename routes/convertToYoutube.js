@@ -0,0 +1,305 @@
+const express = require('express');
+const SpotifyWebApi = require('spotify-web-api-node'); // Need this for temporary client
+const { DEFAULT_THRESHOLD, parseIsoDuration, scoreCandidate } = require('../lib/trackMatcher');
+const { getSpotifyPlaylistId } = require('../lib/spotifyPlaylists');
+const { parseYoutubeTitle, cleanChannelName } = require('../lib/titleParser');
+const { apiError, errorCodeOf, errorStatus } = require('../lib/apiErrors');
+
+const YOUTUBE_CANDIDATES_PER_TRACK = 5; // search.list results scored per Spotify track
+const YOUTUBE_MUSIC_CATEGORY_ID = '10';
+
+// Middleware to extract Authorization Bearer token (Spotify) and the Google token
+const extractTokens = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        req.token = authHeader.substring(7); // Extract token part
+    } else {
+        req.token = req.authSession?.tokens.spotify || null; // AUTH_MODE=session: tokens come from the session cookie
+    }
+    req.googleToken = req.headers['x-google-token'] || req.authSession?.tokens.google || null;
+    next();
+};
+
+// Translate googleapis errors into the same style of messages convert.js uses
+function describeYoutubeError(err, action) {
+    const status = err.response?.status || err.code;
+    const reason = err.response?.data?.error?.errors?.[0]?.reason;
+    if (status === 401) return { statusCode: 401, code: 'GOOGLE_TOKEN_EXPIRED', message: "Invalid or expired Google token." };
+    if (status === 403 && reason === 'quotaExceeded') return { statusCode: 502, code: 'YOUTUBE_QUOTA_EXCEEDED', message: "YouTube Error: API Quota Exceeded." };
+    if (status === 403) return { statusCode: 502, code: 'YOUTUBE_API_ERROR', message: `YouTube Error: access forbidden while trying to ${action} (missing youtube scope?).` };
+    return { statusCode: 502, code: 'YOUTUBE_API_ERROR', message: `YouTube API Error while trying to ${action} (${status || 'Unknown'})` };
+}
+
+module.exports = function(dependencies) {
+    const router = express.Router();
+    const {
+        youtube, // API key client, used for searching
+        youtubeForUser, // (accessToken) => YouTube client acting as the Google user
+        spotifyAppToken, // lib/spotifyAppToken.js manager - app client can read public playlists
+        matchThreshold = DEFAULT_THRESHOLD,
+        scheduler // Shared lib/requestScheduler.js instance
+    } = dependencies;
+
+    // --- Spotify Reading Logic ---
+    async function getSpotifyPlaylistTracks(sp, playlistId, userKey) {
+        const playlist = await scheduler.spotify(() => sp.getPlaylist(playlistId, { fields: 'name' }), { userKey, label: 'getPlaylist' });
+        let tracks = [];
+        let offset = 0;
+        let total = 0;
+        do {
+            const page = await scheduler.spotify(() => sp.getPlaylistTracks(playlistId, {
+                offset: offset,
+                limit: 100,
+                fields: 'total,items(is_local,track(uri,name,duration_ms,artists(name),album(name)))'
+            }), { userKey, label: 'getPlaylistTracks' });
+            total = page.body.total;
+            page.body.items.forEach(item => {
+                // Local files and removed tracks come back without a usable track
+                if (item.track && !item.is_local && item.track.name) {
+                    tracks.push(item.track);
+                }
+            });
+            offset += 100;
+        } while (offset < total);
+        return { name: playlist.body.name, tracks };
+    }
+
+    // --- YouTube Search Logic ---
+    // Scores YouTube results with the same matcher used for YouTube -> Spotify,
+    // just with the roles swapped (the video is the "source", the track the "candidate").
+    async function searchYoutubeVideo(spotifyTrack, threshold, userKey) {
+        const artistNames = spotifyTrack.artists.map(a => a.name);
+        const query = `${artistNames[0] || ''} ${spotifyTrack.name}`.trim();
+        console.debug(`Searching YouTube for "${query}"...`);
+
+        const searchResponse = await scheduler.youtube(() => youtube.search.list({
+            part: 'snippet',
+            q: query,
+            type: 'video',
+            videoCategoryId: YOUTUBE_MUSIC_CATEGORY_ID,
+            maxResults: YOUTUBE_CANDIDATES_PER_TRACK
+        }), { userKey, label: 'search.list' });
+        const videos = searchResponse.data.items.filter(item => item.id?.videoId);
+        if (videos.length === 0) return null;
+
+        // Durations cost one unit for the whole batch and weed out extended/live cuts
+        const detailsResponse = await scheduler.youtube(() => youtube.videos.list({
+            part: 'contentDetails',
+            id: videos.map(v => v.id.videoId).join(',')
+        }), { userKey, label: 'videos.list' });
+        const durations = new Map(detailsResponse.data.items.map(video => [
+            video.id, parseIsoDuration(video.contentDetails?.duration)
+        ]));
+
+        let best = null;
+        videos.forEach(video => {
+            const parsedTitle = parseYoutubeTitle(video.snippet.title, video.snippet.channelTitle);
+            const source = {
+                title: video.snippet.title,
+                cleanedTitle: [parsedTitle.track, parsedTitle.version].filter(Boolean).join(' '),
+                artist: parsedTitle.artist,
+                channel: cleanChannelName(video.snippet.channelTitle),
+                durationMs: durations.get(video.id.videoId) || null
+            };
+            const { score } = scoreCandidate(source, spotifyTrack);
+            if (!best || score > best.score) {
+                best = { videoId: video.id.videoId, title: video.snippet.title, score };
+            }
+        });
+
+        if (best.score < threshold) {
+            console.debug(`### Best YouTube match for '${spotifyTrack.name}' scored ${best.score} (< ${threshold}) ###`);
+            return null;
+        }
+        console.debug(`  FOUND [score ${best.score}]: ${best.title} (${best.videoId})`);
+        return best;
+    }
+
+    // --- YouTube Playlist Creation/Addition Logic ---
+    async function createYoutubePlaylist(ytUser, playlistName, sourceUrl, userKey) {
+        console.log(`Creating YouTube playlist '${playlistName}'`);
+        const response = await scheduler.youtube(() => ytUser.playlists.insert({
+            part: 'snippet,status',
+            requestBody: {
+                snippet: {
+                    title: playlistName,
+                    description: `Converted from Spotify: ${sourceUrl}`
+                },
+                status: { privacyStatus: 'private' }
+            }
+        }), { userKey, label: 'playlists.insert' });
+        console.log(`Successfully created YouTube playlist: ${response.data.id}`);
+        return response.data.id;
+    }
+
+    async function addVideosToYoutubePlaylist(ytUser, playlistId, videoIds, userKey) {
+        let addedCount = 0;
+        let errors = [];
+        console.log(`Adding ${videoIds.length} videos to YouTube playlist ${playlistId}`);
+        // playlistItems.insert only takes one video per call
+        for (const videoId of videoIds) {
+            try {
+                await scheduler.youtube(() => ytUser.playlistItems.insert({
+                    part: 'snippet',
+                    requestBody: {
+                        snippet: {
+                            playlistId: playlistId,
+                            resourceId: { kind: 'youtube#video', videoId: videoId }
+                        }
+                    }
+                }), { userKey, label: 'playlistItems.insert' });
+                addedCount++;
+            } catch (err) {
+                const { message } = describeYoutubeError(err, `add video ${videoId}`);
+                console.error(`  ERROR: ${message}`);
+                errors.push(message);
+                if (err.response?.data?.error?.errors?.[0]?.reason === 'quotaExceeded') break; // Every later insert would fail too
+            }
+        }
+        if (errors.length > 0) {
+            return { success: false, added_count: addedCount, error: errors.join('; ') };
+        }
+        return { success: true, added_count: addedCount };
+    }
+
+    // --- POST /api/convert-to-youtube Route ---
+    // Headers: Authorization: Bearer <spotify token> (optional for public playlists),
+    //          X-Google-Token: <google access token with youtube scope>
+    // Body: { playlist_url, playlist_name?, match_threshold? }
+    router.post('/', extractTokens, async (req, res) => {
+        if (!req.googleToken) {
+            return res.status(401).json({ error: "Google authorization token missing (X-Google-Token header).", code: 'GOOGLE_AUTH_REQUIRED', google_auth_required: true });
+        }
+
+        const {
+            playlist_url: spotifyPlaylistUrl,
+            playlist_name: requestedName,
+            match_threshold: requestedThreshold
+        } = req.body;
+        if (!spotifyPlaylistUrl) {
+            return res.status(400).json({ error: "Missing 'playlist_url' in request." });
+        }
+        if (requestedThreshold !== undefined && !(Number(requestedThreshold) >= 0 && Number(requestedThreshold) <= 1)) {
+            return res.status(400).json({ error: "'match_threshold' must be a number between 0 and 1." });
+        }
+        const threshold = requestedThreshold !== undefined ? Number(requestedThreshold) : matchThreshold;
+
+        const spotifyPlaylistId = getSpotifyPlaylistId(spotifyPlaylistUrl);
+        if (!spotifyPlaylistId) {
+            return res.status(400).json({ error: "Invalid Spotify playlist URL or URI format." });
+        }
+
+        // The user's token can read their private playlists; the app token only public ones
+        const spRead = req.token ? new SpotifyWebApi({ accessToken: req.token }) : spotifyAppToken.client();
+
+        // Groups this request's calls in the scheduler; the Google token is per user
+        const userKey = `google:${req.googleToken.slice(-12)}`;
+        let spotifyTracks = [];
+        let youtubeVideoIds = [];
+        let notFoundTracks = [];
+        let searchErrors = [];
+
+        try {
+            // 1. Read Spotify Tracks
+            let playlistName;
+            try {
+                console.log(`Fetching Spotify playlist: ${spotifyPlaylistId}`);
+                const playlist = await getSpotifyPlaylistTracks(spRead, spotifyPlaylistId, userKey);
+                spotifyTracks = playlist.tracks;
+                playlistName = requestedName || playlist.name || 'Converted Spotify Playlist';
+            } catch (err) {
+                console.error('Spotify API error reading playlist:', err.message);
+                if (err.statusCode === 401) {
+                    return res.status(401).json({ error: "Invalid or expired Spotify token.", code: 'SPOTIFY_TOKEN_EXPIRED', auth_required: true });
+                }
+                if (err.statusCode === 404) {
+                    return res.status(404).json({ error: "Spotify playlist not found or private.", code: 'NOT_FOUND' });
+                }
+                throw apiError('SPOTIFY_API_ERROR', `Spotify Error: could not read playlist (${err.message})`);
+            }
+            console.log(`Found ${spotifyTracks.length} tracks on Spotify.`);
+            if (spotifyTracks.length === 0) {
+                return res.status(404).json({ error: "Could not fetch tracks from Spotify (playlist empty or only local files?).", code: 'SOURCE_EMPTY' });
+            }
+
+            // 2. Search YouTube, one track at a time - search.list costs 100 quota units a call
+            for (const track of spotifyTracks) {
+                const label = `${track.artists.map(a => a.name).join(', ')} - ${track.name}`;
+                try {
+                    const video = await searchYoutubeVideo(track, threshold, userKey);
+                    if (video) {
+                        youtubeVideoIds.push(video.videoId);
+                    } else {
+                        notFoundTracks.push(label);
+                    }
+                } catch (err) {
+                    const { code, message } = describeYoutubeError(err, 'search');
+                    console.error(`  ${message}`);
+                    notFoundTracks.push(label);
+                    searchErrors.push(message);
+                    if (code === 'YOUTUBE_QUOTA_EXCEEDED') {
+                        throw apiError(code, message);
+                    }
+                }
+            }
+            console.log(`Found ${youtubeVideoIds.length} matching videos on YouTube.`);
+            if (youtubeVideoIds.length === 0) {
+                return res.status(404).json({
+                    error: "Could not find any matching videos on YouTube for this playlist.",
+                    code: 'NO_MATCHES',
+                    data: {
+                        total_spotify_tracks: spotifyTracks.length,
+                        found_youtube_tracks: 0,
+                        not_found_tracks: notFoundTracks,
+                        api_errors: searchErrors
+                    }
+                });
+            }
+
+            // 3. Create YouTube Playlist in the user's account and add the videos
+            const ytUser = youtubeForUser(req.googleToken);
+            let youtubePlaylistId;
+            try {
+                youtubePlaylistId = await createYoutubePlaylist(ytUser, playlistName, spotifyPlaylistUrl, userKey);
+            } catch (err) {
+                const { statusCode, code, message } = describeYoutubeError(err, 'create the playlist');
+                console.error(`YouTube API error creating playlist: ${message}`);
+                if (statusCode === 401) {
+                    return res.status(401).json({ error: message, code, google_auth_required: true });
+                }
+                throw apiError(code, message);
+            }
+            const addResult = await addVideosToYoutubePlaylist(ytUser, youtubePlaylistId, youtubeVideoIds, userKey);
+
+            // 4. Prepare Response Data
+            return res.status(200).json({
+                success: true,
+                data: {
+                    youtube_playlist_id: youtubePlaylistId,
+                    youtube_playlist_name: playlistName,
+                    youtube_playlist_url: `https://www.youtube.com/playlist?list=${youtubePlaylistId}`,
+                    total_spotify_tracks: spotifyTracks.length,
+                    found_youtube_tracks: youtubeVideoIds.length,
+                    tracks_added: addResult.added_count,
+                    not_found_tracks: notFoundTracks,
+                    api_errors: searchErrors.concat(addResult.success ? [] : [addResult.error])
+                }
+            });
+        } catch (err) {
+            console.error("Error during Spotify to YouTube conversion:", err.message);
+            const code = errorCodeOf(err, 'UPSTREAM_ERROR');
+            return res.status(errorStatus(code, 502, req.apiVersion)).json({
+                error: err.message,
+                code: code,
+                data: {
+                    total_spotify_tracks: spotifyTracks.length || null,
+                    found_youtube_tracks: youtubeVideoIds.length || null,
+                    not_found_tracks: notFoundTracks.length ? notFoundTracks : null,
+                    api_errors: [err.message]
+                }
+            });
+        }
+    });
+
+    return router; // Return the configured router
+};
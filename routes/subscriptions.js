@@ -0,0 +1,206 @@
+const express = require('express');
+const { getDestination } = require('../lib/destinations');
+const { resolveYoutubeSource } = require('../lib/youtubeSource');
+const { SUBSCRIPTION_STATUS } = require('../lib/subscriptionStore');
+
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60; // A week
+
+// --- Sync Subscriptions ---
+// A subscription keeps a Spotify playlist following a YouTube playlist: every
+// `interval_minutes` the scheduler (lib/subscriptionScheduler.js) appends the
+// matches for items added since the last run. Runs happen without the user, so
+// creating one hands over a refresh token (POST /api/auth/refresh style, client
+// secret flow), which lib/subscriptionStore.js keeps encrypted.
+// All endpoints are scoped to the Spotify user of the bearer token.
+
+module.exports = function(dependencies) {
+    const router = express.Router();
+    const {
+        subscriptionStore = null, // lib/subscriptionStore.js instance; null when TOKEN_ENCRYPTION_KEY isn't set
+        subscriptionScheduler = null, // lib/subscriptionScheduler.js instance, if this process runs it (see server.js)
+        refreshGrant, // (refreshToken) => Promise<{ access_token, refresh_token, expires_at, scope }>
+        minIntervalMinutes = 15,
+        sessionMode = false, // AUTH_MODE=session
+        spotifyAppToken,
+        scheduler // Shared lib/requestScheduler.js instance
+    } = dependencies;
+    const spotify = getDestination('spotify');
+
+    // --- Middleware ---
+
+    function requireSubscriptions(req, res, next) {
+        if (!subscriptionStore) {
+            return res.status(503).json({ error: "Sync subscriptions are not enabled on this server (TOKEN_ENCRYPTION_KEY not set)." });
+        }
+        // PKCE refresh tokens rotate on every use, so the session's can't be shared with a subscription
+        if (sessionMode) {
+            return res.status(501).json({ error: "Sync subscriptions are not available with AUTH_MODE=session." });
+        }
+        next();
+    }
+
+    // Verifies the Spotify bearer token and attaches the user ID
+    async function requireSpotifyUser(req, res, next) {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ error: "Authorization token missing or invalid.", auth_required: true });
+        }
+        try {
+            const destination = spotify.create({ accessToken: authHeader.substring(7), scheduler, spotifyAppToken });
+            req.userId = (await destination.getUser()).id;
+            next();
+        } catch (err) {
+            console.error('[SUBSCRIPTIONS] Invalid token during user check:', err.message);
+            return res.status(401).json({ error: "Invalid or expired Spotify token.", auth_required: true, target: spotify.id });
+        }
+    }
+
+    router.use(requireSubscriptions, requireSpotifyUser);
+
+    // Refreshes `refreshToken` and checks it belongs to the caller. Returns the
+    // grant, or sends an error and returns null.
+    async function verifyRefreshToken(refreshToken, userId, res) {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            res.status(400).json({ error: "Missing 'refresh_token': subscriptions run while you're away and need your Spotify refresh token." });
+            return null;
+        }
+        let grant;
+        try {
+            grant = await refreshGrant(refreshToken);
+        } catch (err) {
+            console.error('[SUBSCRIPTIONS] Could not refresh the submitted token:', err.message);
+            res.status(400).json({ error: "Spotify rejected the refresh_token.", reason: err.message });
+            return null;
+        }
+        try {
+            const owner = await spotify.create({ accessToken: grant.access_token, scheduler }).getUser();
+            if (owner.id !== userId) {
+                res.status(403).json({ error: "The refresh_token belongs to another Spotify account." });
+                return null;
+            }
+        } catch (err) {
+            res.status(502).json({ error: `Could not verify the refresh_token: ${err.message}` });
+            return null;
+        }
+        return grant;
+    }
+
+    function findSubscription(req, res) {
+        const subscription = subscriptionStore.get(spotify.id, req.userId, req.params.subscriptionId);
+        if (!subscription) {
+            res.status(404).json({ error: "Subscription not found." });
+            return null;
+        }
+        return subscription;
+    }
+
+    // Runs what just became due without waiting for the next poll
+    function runDueSoon() {
+        if (subscriptionScheduler) subscriptionScheduler.tick();
+    }
+
+    // --- Endpoints ---
+
+    // POST /api/subscriptions - Follow a YouTube playlist into a Spotify playlist
+    // Body: { playlist_url, target_playlist, interval_minutes, refresh_token }
+    // The first run starts right away; it adds what the playlist holds now.
+    router.post('/', async (req, res) => {
+        const {
+            playlist_url: playlistUrl,
+            target_playlist: targetPlaylist,
+            interval_minutes: intervalMinutes,
+            refresh_token: refreshToken
+        } = req.body;
+
+        const source = typeof playlistUrl === 'string' ? resolveYoutubeSource(playlistUrl) : null;
+        if (!source || source.type !== 'playlist') {
+            return res.status(400).json({ error: "Invalid 'playlist_url': expected a YouTube playlist link or ID." });
+        }
+        if (source.requiresGoogleAuth) {
+            return res.status(400).json({ error: "Liked videos need a Google login for every run, so they can't be subscribed to." });
+        }
+        const targetPlaylistId = spotify.parsePlaylistRef(targetPlaylist);
+        if (!targetPlaylistId) {
+            return res.status(400).json({ error: "Invalid 'target_playlist': expected a Spotify playlist ID, URL or URI." });
+        }
+        const interval = Number(intervalMinutes);
+        if (!Number.isInteger(interval) || interval < minIntervalMinutes || interval > MAX_INTERVAL_MINUTES) {
+            return res.status(400).json({ error: `Invalid 'interval_minutes': expected a whole number between ${minIntervalMinutes} and ${MAX_INTERVAL_MINUTES}.` });
+        }
+
+        const grant = await verifyRefreshToken(refreshToken, req.userId, res);
+        if (!grant) return;
+
+        const subscription = subscriptionStore.create(spotify.id, req.userId, {
+            source_url: playlistUrl,
+            youtube_playlist_id: source.playlistId,
+            target_playlist_id: targetPlaylistId,
+            interval_minutes: interval
+        }, grant);
+        if (!subscription) {
+            return res.status(409).json({ error: "You have reached the maximum number of subscriptions. Delete one first." });
+        }
+        console.log(`[SUBSCRIPTIONS] User ${req.userId} subscribed ${source.playlistId} -> ${targetPlaylistId} every ${interval} min`);
+        runDueSoon();
+        res.status(201).json({ success: true, data: subscription });
+    });
+
+    // GET /api/subscriptions - The user's subscriptions, oldest first, with their last run
+    router.get('/', (req, res) => {
+        res.json({ success: true, data: { subscriptions: subscriptionStore.list(spotify.id, req.userId) } });
+    });
+
+    // GET /api/subscriptions/:subscriptionId - One subscription and its last run outcome
+    router.get('/:subscriptionId', (req, res) => {
+        const subscription = findSubscription(req, res);
+        if (!subscription) return;
+        res.json({ success: true, data: subscription });
+    });
+
+    // POST /api/subscriptions/:subscriptionId/pause - Stop running until resumed
+    router.post('/:subscriptionId/pause', (req, res) => {
+        if (!findSubscription(req, res)) return;
+        const subscription = subscriptionStore.setStatus(spotify.id, req.userId, req.params.subscriptionId, SUBSCRIPTION_STATUS.PAUSED);
+        res.json({ success: true, data: subscription });
+    });
+
+    // POST /api/subscriptions/:subscriptionId/resume - Run again (the next run starts right away)
+    // Body: { refresh_token? } - required after Spotify rejected the stored one (paused_reason 'token_revoked')
+    router.post('/:subscriptionId/resume', async (req, res) => {
+        const existing = findSubscription(req, res);
+        if (!existing) return;
+        const refreshToken = req.body?.refresh_token;
+        let grant = null;
+        if (refreshToken || existing.paused_reason === 'token_revoked') {
+            grant = await verifyRefreshToken(refreshToken, req.userId, res);
+            if (!grant) return;
+        }
+        const subscription = subscriptionStore.setStatus(spotify.id, req.userId, existing.id, SUBSCRIPTION_STATUS.ACTIVE, { grant });
+        runDueSoon();
+        res.json({ success: true, data: subscription });
+    });
+
+    // POST /api/subscriptions/:subscriptionId/run - Sync now instead of at the next interval
+    router.post('/:subscriptionId/run', (req, res) => {
+        const existing = findSubscription(req, res);
+        if (!existing) return;
+        if (existing.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+            return res.status(409).json({ error: "This subscription is paused. Resume it first." });
+        }
+        const subscription = subscriptionStore.runNow(spotify.id, req.userId, existing.id);
+        runDueSoon();
+        res.status(202).json({ success: true, data: subscription });
+    });
+
+    // DELETE /api/subscriptions/:subscriptionId - Stop following; the stored token is deleted with it
+    router.delete('/:subscriptionId', (req, res) => {
+        const removed = subscriptionStore.remove(spotify.id, req.userId, req.params.subscriptionId);
+        if (!removed) {
+            return res.status(404).json({ error: "Subscription not found." });
+        }
+        console.log(`[SUBSCRIPTIONS] User ${req.userId} deleted subscription ${req.params.subscriptionId}`);
+        res.json({ success: true, data: { id: req.params.subscriptionId, removed: true } });
+    });
+
+    return router;
+};
@@ -0,0 +1,52 @@
+const express = require('express');
+const { OPERATIONS, SCHEMAS, buildOpenApiDocument } = require('../lib/apiSpec');
+const { validateBody } = require('../lib/schemaValidator');
+
+// --- /api/v1 ---
+// The versioned API: the same routers as the unversioned /api routes (which stay
+// as aliases), with request bodies checked against lib/apiSpec.js first. Error
+// responses are shaped into the typed envelope by lib/apiErrors.js
+// errorResponses(), which server.js installs ahead of the body parsers so
+// malformed JSON gets the envelope too.
+
+module.exports = function(dependencies) {
+    const router = express.Router();
+    const {
+        authRouter,
+        convertRouter,
+        convertToYoutubeRouter,
+        subscriptionRouter,
+        adminRouter
+    } = dependencies;
+
+    // Caught errors answer with their code's status here (lib/apiErrors.js errorStatus())
+    router.use((req, res, next) => {
+        req.apiVersion = 1;
+        next();
+    });
+
+    // GET /api/v1/openapi.json - Generated from the same table the validation uses
+    const openApiDocument = buildOpenApiDocument();
+    router.get('/openapi.json', (req, res) => {
+        res.json(openApiDocument);
+    });
+
+    // Body validation for every operation that takes one ({param} -> :param)
+    for (const operation of OPERATIONS) {
+        if (!operation.body) continue;
+        const expressPath = operation.path.replace(/\{(\w+)\}/g, ':$1');
+        router[operation.method](expressPath, validateBody(SCHEMAS[operation.body]));
+    }
+
+    router.use('/auth', authRouter);
+    router.use('/convert', convertRouter);
+    router.use('/convert-to-youtube', convertToYoutubeRouter);
+    router.use('/subscriptions', subscriptionRouter);
+    router.use('/admin', adminRouter);
+
+    router.use((req, res) => {
+        res.status(404).json({ error: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`, code: 'NOT_FOUND' });
+    });
+
+    return router;
+};
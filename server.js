@@ -1,71 +1,197 @@
 require('dotenv').config(); // Load .env file variables
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const { google } = require('googleapis');
 const SpotifyWebApi = require('spotify-web-api-node');
-const url = require('url'); // For URL parsing
+const createJobStore = require('./lib/jobStore');
+const createGoogleAuth = require('./lib/googleAuth');
+const createMatchCache = require('./lib/matchCache');
+const createHistoryStore = require('./lib/historyStore');
+const createRequestScheduler = require('./lib/requestScheduler');
+const createLogger = require('./lib/logger');
+const { runWithContext } = require('./lib/logger');
+const createMetrics = require('./lib/metrics');
+const createSpotifyAppToken = require('./lib/spotifyAppToken');
+const createSpotifyAuth = require('./lib/spotifyAuth');
+const createAuthSessions = require('./lib/authSessions');
+const createSubscriptionStore = require('./lib/subscriptionStore');
+const createSubscriptionScheduler = require('./lib/subscriptionScheduler');
+const { getDestination } = require('./lib/destinations');
+const { DEFAULT_THRESHOLD } = require('./lib/trackMatcher');
+const { loadConfig, summarizeConfig } = require('./lib/config');
+const { redirectSpotifyWebApi } = require('./lib/upstreamHosts');
+const { errorResponses, errorCodeOf, codeForStatus } = require('./lib/apiErrors');
 
 // --- Configuration & Validation ---
-const { 
-    SESSION_SECRET,
-    YOUTUBE_API_KEY,
-    SPOTIFY_CLIENT_ID,
-    SPOTIFY_CLIENT_SECRET,
-    SPOTIFY_REDIRECT_URI,
-    FRONTEND_URL,
-    PORT 
-} = process.env;
-
-const requiredEnvVars = [
-    'SESSION_SECRET', 'YOUTUBE_API_KEY', 'SPOTIFY_CLIENT_ID', 
-    'SPOTIFY_CLIENT_SECRET', 'SPOTIFY_REDIRECT_URI', 'FRONTEND_URL', 'PORT'
-];
-const missingEnvVars = requiredEnvVars.filter(key => !process.env[key]);
-
-if (missingEnvVars.length > 0) {
-    console.error(`\n*** ERROR: Missing required environment variables: ${missingEnvVars.join(', ')} ***`);
-    console.error("Please ensure they are set in your .env file.\n");
+// Every setting is read and validated by lib/config.js (the option table there lists them);
+// CONFIG_PROFILE=development fills in local defaults.
+let config;
+try {
+    config = loadConfig();
+} catch (err) {
+    console.error(`\n*** ERROR: ${err.message} ***`);
+    console.error("Please check your .env file.\n");
     process.exit(1);
 }
 
-const spotifyApiScope = ['playlist-modify-public', 'playlist-modify-private', 'user-read-private'];
-const appPort = parseInt(PORT, 10);
+// Structured logging: every console.* call from here on is a JSON log line (lib/logger.js)
+const logger = createLogger({ level: config.logging.level, format: config.logging.format });
+logger.captureConsole();
+
+config.warnings.forEach(warning => console.warn(`[CONFIG] ${warning}`));
+logger.child({ component: 'CONFIG' }).info(`Loaded configuration (${config.profile} profile)`, { config: summarizeConfig(config) });
+
+const spotifyApiScope = ['playlist-modify-public', 'playlist-modify-private', 'playlist-read-private', 'user-read-private'];
+// Extra scopes a login asks for only when the frontend requests the feature (/api/auth/login?features=...)
+const spotifyFeatureScopes = {
+    cover_image: ['ugc-image-upload'] // Custom playlist covers
+};
+const matchThreshold = config.matching.threshold ?? undefined; // undefined: the routes' default
 
 // --- Initialize API Clients ---
 
+// MOCK_UPSTREAMS: Spotify and YouTube calls go to a local stand-in (test/support/mockUpstreams.js)
+const mockUpstreams = config.mockUpstreams;
+if (mockUpstreams) redirectSpotifyWebApi(mockUpstreams);
+const youtubeRootUrl = mockUpstreams ? `${mockUpstreams}/` : undefined;
+
+// Prometheus metrics, served by GET /metrics (the queue gauge reads the scheduler below)
+const metrics = createMetrics({ queueStats: () => scheduler.getStats().queued });
+
+// Shared scheduler: concurrency limits, Retry-After handling and backoff for every API call
+const scheduler = createRequestScheduler({
+    metrics: metrics,
+    concurrency: {
+        spotify: config.concurrency.spotify,
+        youtube: config.concurrency.youtube,
+        deezer: config.concurrency.deezer
+    },
+    perUserConcurrency: config.concurrency.perUser
+});
+
 // YouTube Client (using API Key)
-const youtube = google.youtube({ version: 'v3', auth: YOUTUBE_API_KEY });
+const youtube = google.youtube({ version: 'v3', auth: config.youtube.apiKey, rootUrl: youtubeRootUrl });
+
+// Google OAuth (login flow + YouTube clients acting as the signed-in user)
+const googleAuth = createGoogleAuth({
+    google: google,
+    clientId: config.google.clientId,
+    clientSecret: config.google.clientSecret,
+    redirectUri: config.google.redirectUri,
+    youtubeRootUrl: youtubeRootUrl
+});
+if (!googleAuth.isConfigured) {
+    console.warn('Google login disabled: set GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_REDIRECT_URI to enable it.');
+}
 
 // Spotify Client
 const spotifyApi = new SpotifyWebApi({
-    clientId: SPOTIFY_CLIENT_ID,
-    clientSecret: SPOTIFY_CLIENT_SECRET,
-    redirectUri: SPOTIFY_REDIRECT_URI
+    clientId: config.spotify.clientId,
+    clientSecret: config.spotify.clientSecret,
+    redirectUri: config.spotify.redirectUri
+});
+
+// Spotify OAuth with PKCE (session mode login)
+const spotifyAuth = createSpotifyAuth({
+    clientId: config.spotify.clientId,
+    redirectUri: config.spotify.redirectUri,
+    scopes: spotifyApiScope,
+    ...(mockUpstreams ? { accountsUrl: mockUpstreams } : {})
 });
 
-// Spotify Client Credentials Client (for search without user login)
-let spotifySearchApi = null;
-const initializeSearchClient = () => {
-    const searchApiInstance = new SpotifyWebApi({
-        clientId: SPOTIFY_CLIENT_ID,
-        clientSecret: SPOTIFY_CLIENT_SECRET,
+// Spotify App Token (client credentials, for search without user login).
+// Granted lazily on first use and kept fresh by the manager.
+const spotifyAppToken = createSpotifyAppToken({
+    clientId: config.spotify.clientId,
+    clientSecret: config.spotify.clientSecret
+});
+
+// Background conversion jobs (in memory, optionally mirrored to JOB_STORE_FILE)
+const jobStore = createJobStore({ persistFile: config.jobStore.file, maxFinishedJobs: config.jobStore.maxFinished });
+
+// Match cache (YouTube video ID -> Spotify track), shared by all conversions
+let matchCache;
+try {
+    matchCache = createMatchCache({
+        driver: config.matchCache.driver,
+        filePath: config.matchCache.path,
+        negativeTtlMs: config.matchCache.negativeTtlHours * 60 * 60 * 1000,
+        acceptThreshold: matchThreshold ?? DEFAULT_THRESHOLD // The threshold the routes accept matches at
     });
-    return searchApiInstance.clientCredentialsGrant().then(
-        (data) => {
-            console.log('Spotify search client credentials token expires in ' + data.body['expires_in']);
-            searchApiInstance.setAccessToken(data.body['access_token']);
-            spotifySearchApi = searchApiInstance;
-            // Optional: Set up automatic refresh (complex, maybe do on demand)
-        },
-        (err) => {
-            console.error('Could not initialize Spotify search client:', err.message);
-            spotifySearchApi = null; // Ensure it's null on failure
-        }
-    );
-};
-// Initialize search client on startup
-initializeSearchClient();
+} catch (err) {
+    console.error(`\n*** ERROR: Could not set up the match cache: ${err.message} ***\n`);
+    process.exit(1);
+}
+
+// Per-user conversion history (re-run / undo), shared by all conversions
+let historyStore;
+try {
+    historyStore = createHistoryStore({
+        driver: config.history.driver,
+        filePath: config.history.path
+    });
+} catch (err) {
+    console.error(`\n*** ERROR: Could not set up the conversion history: ${err.message} ***\n`);
+    process.exit(1);
+}
+
+// Server-side auth sessions (AUTH_MODE=session only; fragment mode keeps no tokens)
+let authSessions = null;
+if (config.auth.mode === 'session') {
+    try {
+        authSessions = createAuthSessions({
+            driver: config.auth.sessionDriver,
+            filePath: config.auth.sessionPath,
+            encryptionKey: config.auth.encryptionKey,
+            sessionTtlMs: config.auth.sessionTtlHours * 60 * 60 * 1000,
+            refreshGrant: {
+                spotify: spotifyAuth.refreshGrant,
+                ...(googleAuth.isConfigured ? { google: googleAuth.refreshGrant } : {})
+            },
+            cookieSecure: config.auth.cookieSecure
+        });
+    } catch (err) {
+        console.error(`\n*** ERROR: Could not set up auth sessions: ${err.message} ***\n`);
+        process.exit(1);
+    }
+}
+
+// Sync subscriptions (needs TOKEN_ENCRYPTION_KEY: they store the user's refresh token)
+let subscriptionStore = null;
+if (config.subscriptions.enabled) {
+    try {
+        subscriptionStore = createSubscriptionStore({
+            driver: config.subscriptions.driver,
+            filePath: config.subscriptions.path,
+            encryptionKey: config.auth.encryptionKey
+        });
+    } catch (err) {
+        console.error(`\n*** ERROR: Could not set up sync subscriptions: ${err.message} ***\n`);
+        process.exit(1);
+    }
+} else {
+    console.warn('Sync subscriptions disabled: set TOKEN_ENCRYPTION_KEY to enable them.');
+}
+
+// Refreshes a Spotify grant the way POST /api/auth/refresh does (client secret flow),
+// on a client of its own so concurrent refreshes don't share a refresh token
+async function refreshSpotifyGrant(refreshToken) {
+    const client = new SpotifyWebApi({
+        clientId: config.spotify.clientId,
+        clientSecret: config.spotify.clientSecret,
+        refreshToken: refreshToken
+    });
+    const data = await scheduler.spotify(() => client.refreshAccessToken(), { label: 'refreshAccessToken' });
+    return {
+        access_token: data.body.access_token,
+        refresh_token: data.body.refresh_token || refreshToken, // Spotify doesn't always send a new one
+        expires_at: Date.now() + data.body.expires_in * 1000,
+        scope: data.body.scope || ''
+    };
+}
 
 // --- Express App Setup ---
 const app = express();
@@ -76,14 +202,46 @@ const app = express();
 
 // --- Middleware ---
 
+// Request IDs: reuse a sane incoming X-Request-Id (from a proxy) or make one, echo it
+// back, and run the rest of the request in a log context carrying it. Also writes
+// one access log line and the HTTP metrics per request.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const httpLogger = logger.child({ component: 'HTTP' });
+app.use((req, res, next) => {
+    const incomingId = req.headers['x-request-id'];
+    req.id = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        // Route patterns, not paths, so IDs don't blow up the metric labels
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        metrics.recordHttpRequest({ method: req.method, route, status: res.statusCode, durationMs });
+        httpLogger.info(`${req.method} ${req.baseUrl}${req.path} ${res.statusCode}`, {
+            request_id: req.id,
+            method: req.method,
+            route: route,
+            status: res.statusCode,
+            duration_ms: Math.round(durationMs)
+        });
+    });
+    runWithContext({ request_id: req.id }, next);
+});
+
 // CORS
 app.use(cors({
-    origin: 'https://convert.jheels.in', // Explicitly allow requests from frontend URL
-    credentials: true      // Allow cookies to be sent - MAYBE REMOVE LATER if no cookies used at all
+    origin: config.corsOrigins, // CORS_ORIGINS, or the frontend's origin (plus local dev servers in development)
+    credentials: true      // Allow cookies to be sent (the session cookie in AUTH_MODE=session)
 }));
 
-// Cookie Parser
-// app.use(cookieParser()); // REMOVE
+// Error responses: /api/v1 answers with the typed envelope, the unversioned
+// aliases keep { error } and gain a machine-readable `code` (lib/apiErrors.js).
+// Ahead of the body parsers so their errors are shaped too.
+app.use('/api', errorResponses());
+app.use('/api/v1', errorResponses({ envelope: true }));
+
+// Cookie Parser (signed cookies: session mode's session and OAuth state cookies)
+app.use(cookieParser(config.sessionSecret));
 
 // Body Parsers
 app.use(express.json()); // For parsing application/json
@@ -92,73 +250,128 @@ app.use(express.urlencoded({ extended: true })); // For parsing application/x-ww
 // Session Management
 // app.use(session({ ... })); // REMOVE ENTIRE BLOCK
 
-// Middleware to attach Spotify API client with user tokens if available
-// Also handles token refresh
-// app.use(async (req, res, next) => { ... }); // REMOVE ENTIRE BLOCK
-
-// --- Helper Functions (Ported/Adapted from Python) ---
-
-function getYoutubePlaylistId(playlistUrl) {
-    try {
-        const parsedUrl = new url.URL(playlistUrl);
-        const hostname = parsedUrl.hostname.replace('www.', '');
-        if (['music.youtube.com', 'youtube.com'].includes(hostname)) {
-            return parsedUrl.searchParams.get('list');
-        }
-        // Handle youtu.be/playlist?list=...
-        if (hostname === 'youtu.be' && parsedUrl.pathname === '/playlist') {
-            return parsedUrl.searchParams.get('list');
-        }
-    } catch (e) {
-        console.error(`Error parsing URL: ${playlistUrl}`, e.message);
-    }
-    console.log(`DEBUG: Could not parse playlist ID from URL: ${playlistUrl}`);
-    return null;
-}
-
-function cleanYoutubeTitle(title) {
-    if (!title) return "";
-    let searchQuery = title.toLowerCase();
-    // Remove common video/audio type indicators more broadly
-    searchQuery = searchQuery.replace(/[\(\[].*?(official|music|video|audio|lyric|visualizer|hq|hd|4k|1080p|720p|live|session|explicit|remastered|album|ep|single|radio edit|remix).*?[\)\]]/gi, ' ');
-    // Remove content after common separators like -, |, // etc. if it seems like extra info
-    searchQuery = searchQuery.split(/\s+[-–|\/]+\s+/)[0];
-    // Remove "feat." patterns
-    searchQuery = searchQuery.replace(/\s+\(?(feat|ft)\.?\s+.*?\)?/gi, '');
-    // Remove year in parentheses at the end
-    searchQuery = searchQuery.replace(/\s*\(\d{4}\)\s*$/, '');
-    // Remove extra whitespace
-    searchQuery = searchQuery.replace(/\s+/g, ' ').trim();
-    return searchQuery;
+// Session mode: resolve the session cookie into fresh access tokens (req.authSession)
+if (authSessions) {
+    app.use('/api', authSessions.middleware());
 }
 
+// --- Helper Functions ---
+// Title parsing and source URL resolution live in lib/titleParser.js and lib/youtubeSource.js
 
 // --- API Routes ---
 
 // Authentication Routes
 const authRoutesSetup = require('./routes/auth'); // NEW: Require the setup function
 // Pass dependencies to the setup function
-app.use('/api/auth', authRoutesSetup({ 
+const authRouter = authRoutesSetup({ 
     spotifyApi: spotifyApi, // Pass the global instance
-    spotifyApiScope: spotifyApiScope // Pass the scope defined earlier
-})); 
+    spotifyApiScope: spotifyApiScope, // Pass the scope defined earlier
+    spotifyFeatureScopes: spotifyFeatureScopes,
+    googleAuth: googleAuth,
+    scheduler: scheduler,
+    frontendUrl: config.frontendUrl,
+    authSessions: authSessions,
+    spotifyAuth: spotifyAuth
+});
+app.use('/api/auth', authRouter); 
 
 // Conversion Route
 const convertRoutesSetup = require('./routes/convert'); // NEW: Require the setup function
 // Pass dependencies to the setup function
-app.use('/api/convert', convertRoutesSetup({ 
+const convertRouter = convertRoutesSetup({ 
+    youtube: youtube,
+    spotifyAppToken: spotifyAppToken,
+    youtubeForUser: googleAuth.youtubeForUser,
+    jobStore: jobStore,
+    matchThreshold: matchThreshold,
+    matchCache: matchCache,
+    historyStore: historyStore,
+    metrics: metrics,
+    searchStrategies: config.matching.searchStrategies,
+    dedupePolicy: config.matching.dedupe,
+    defaultPlaylistName: config.playlists.defaultName,
+    playlistVisibility: config.playlists.visibility,
+    playlistDescription: config.playlists.description,
+    scheduler: scheduler
+});
+app.use('/api/convert', convertRouter);
+
+// Subscription scheduler: every instance runs one. Several instances need sqlite
+// (lib/config.js refuses anything else), where leases keep runs from overlapping.
+let subscriptionScheduler = null;
+if (subscriptionStore) {
+    subscriptionScheduler = createSubscriptionScheduler({
+        store: subscriptionStore,
+        refreshGrant: refreshSpotifyGrant,
+        pollIntervalMs: config.subscriptions.pollSeconds * 1000,
+        runSync: async ({ subscription, accessToken, seenVideoIds }) => {
+            const destination = getDestination(subscription.target).create({ accessToken, scheduler, spotifyAppToken });
+            const user = await destination.getUser(); // A 401 here makes the scheduler refresh and retry
+            if (user.id !== subscription.user_id) {
+                throw new Error('The stored token belongs to another account.');
+            }
+            return convertRouter.syncSubscriptionItems({
+                destination: destination,
+                userId: user.id,
+                youtubePlaylistId: subscription.youtube_playlist_id,
+                targetPlaylistId: subscription.target_playlist_id,
+                seenVideoIds: seenVideoIds
+            });
+        }
+    });
+}
+
+// Sync Subscription Routes
+const subscriptionRoutesSetup = require('./routes/subscriptions');
+const subscriptionRouter = subscriptionRoutesSetup({
+    subscriptionStore: subscriptionStore,
+    subscriptionScheduler: subscriptionScheduler,
+    refreshGrant: refreshSpotifyGrant,
+    minIntervalMinutes: config.subscriptions.minIntervalMinutes,
+    sessionMode: config.auth.mode === 'session',
+    spotifyAppToken: spotifyAppToken,
+    scheduler: scheduler
+});
+app.use('/api/subscriptions', subscriptionRouter);
+
+// Admin Routes (match cache inspection and corrections)
+const adminRoutesSetup = require('./routes/admin');
+const adminRouter = adminRoutesSetup({
+    adminToken: config.adminToken,
+    matchCache: matchCache
+});
+app.use('/api/admin', adminRouter);
+
+// Reverse Conversion Route (Spotify -> YouTube)
+const convertToYoutubeRoutesSetup = require('./routes/convertToYoutube');
+const convertToYoutubeRouter = convertToYoutubeRoutesSetup({
     youtube: youtube,
-    spotifySearchApi: spotifySearchApi,
-    getYoutubePlaylistId: getYoutubePlaylistId,
-    cleanYoutubeTitle: cleanYoutubeTitle
+    youtubeForUser: googleAuth.youtubeForUser,
+    spotifyAppToken: spotifyAppToken,
+    matchThreshold: matchThreshold,
+    scheduler: scheduler
+});
+app.use('/api/convert-to-youtube', convertToYoutubeRouter);
+
+// Versioned API: the same routers with validated bodies and typed errors, plus
+// the OpenAPI document (/api/v1/openapi.json). The routes above are its aliases.
+const v1RoutesSetup = require('./routes/v1');
+app.use('/api/v1', v1RoutesSetup({
+    authRouter: authRouter,
+    convertRouter: convertRouter,
+    convertToYoutubeRouter: convertToYoutubeRouter,
+    subscriptionRouter: subscriptionRouter,
+    adminRouter: adminRouter
 }));
 
 // Spotify Callback (Not under /api, matches registration)
 app.get('/callback', async (req, res) => {
-    const { code, error, state } = req.query;
+    // Session mode: state + PKCE check, tokens stay server-side (routes/auth.js)
+    if (authSessions) return authRouter.handleSpotifyCallback(req, res);
 
-    // Use the FRONTEND_URL from environment for redirects
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000'; // Fallback needed
+    const { code, error } = req.query;
+
+    const frontendUrl = config.frontendUrl;
 
     if (error) {
         console.error('Spotify Callback Error:', error);
@@ -171,13 +384,11 @@ app.get('/callback', async (req, res) => {
         return res.redirect(`${frontendUrl}/auth/callback#error=spotify_no_code`);
     }
 
-    // TODO: Validate state if used during login
-
     try {
         // Use the global spotifyApi instance to exchange code for tokens
         console.log('[CALLBACK] Exchanging code for tokens...');
         const data = await spotifyApi.authorizationCodeGrant(code);
-        const { access_token, refresh_token, expires_in } = data.body;
+        const { access_token, refresh_token, expires_in, scope } = data.body;
         console.log('[CALLBACK] Tokens received successfully.');
 
         // ** DO NOT STORE IN SESSION **
@@ -193,7 +404,8 @@ app.get('/callback', async (req, res) => {
         redirectUrl.hash = new URLSearchParams({
             access_token: access_token,
             refresh_token: refresh_token,
-            expires_in: expires_in.toString()
+            expires_in: expires_in.toString(),
+            scope: scope || '' // Granted scopes, space separated (e.g. to check for cover uploads)
         }).toString();
 
         console.log(`[CALLBACK] Redirecting to frontend with tokens in fragment.`);
@@ -207,23 +419,74 @@ app.get('/callback', async (req, res) => {
     }
 });
 
+// Prometheus scrape endpoint (per process; see lib/metrics.js)
+app.get('/metrics', (req, res) => {
+    if (config.metricsToken) {
+        const authHeader = req.headers.authorization;
+        const provided = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+        const expected = Buffer.from(config.metricsToken);
+        const given = Buffer.from(provided);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).json({ error: "Metrics token missing or invalid." });
+        }
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
 // Basic Root Route (Optional - for testing if server is up)
 app.get('/', (req, res) => {
     res.send('Playlist Converter Backend API is running.');
 });
 
+// Health Check - reports the Spotify app token state (503 once it can't be obtained)
+app.get('/health', (req, res) => {
+    const spotifyAppTokenHealth = spotifyAppToken.getHealth();
+    const healthy = spotifyAppTokenHealth.status !== 'down';
+    res.status(healthy ? 200 : 503).json({
+        status: healthy ? 'ok' : 'degraded',
+        spotify_app_token: spotifyAppTokenHealth
+    });
+});
+
 // --- Error Handling Middleware (Basic) ---
 // Place after all routes
 app.use((err, req, res, next) => {
     console.error("Unhandled Error:", err.stack || err);
-    res.status(err.status || 500).json({
-        error: err.message || 'Internal Server Error'
+    const status = err.status || 500;
+    res.status(status).json({
+        error: err.message || 'Internal Server Error',
+        code: errorCodeOf(err, status >= 500 ? 'INTERNAL_ERROR' : codeForStatus(status)),
+        request_id: req.id // Lets users quote it when reporting problems
     });
 });
 
 // --- Start Server ---
-app.listen(appPort, () => {
-    console.log(`Backend API server listening on port ${appPort}`);
-    console.log(`Allowed frontend origin: ${FRONTEND_URL}`);
-    console.log(`Spotify Callback URI: ${SPOTIFY_REDIRECT_URI}`);
-}); 
\ No newline at end of file
+app.listen(config.port, () => {
+    console.log(`Backend API server listening on port ${config.port} (${config.profile} profile)`);
+    console.log(`Allowed frontend origins: ${config.corsOrigins.join(', ')}`);
+    console.log(`Spotify Callback URI: ${config.spotify.redirectUri}`);
+    console.log(`Logging: ${config.logging.format}, level ${config.logging.level}`);
+    console.log(`Auth mode: ${config.auth.mode}${authSessions ? ` (sessions: ${authSessions.driver})` : ''}`);
+    if (mockUpstreams) console.log(`Upstream APIs: mocked at ${mockUpstreams}`);
+    if (subscriptionScheduler) subscriptionScheduler.start();
+}); 
+// --- Shutdown ---
+// pm2 stops and reloads with SIGINT (SIGTERM from other process managers). The
+// file drivers debounce their writes, so the last second of changes (match
+// corrections, history, rotated sessions, subscription runs) is written out first.
+function shutdown(signal) {
+    console.log(`Received ${signal}, writing pending changes and exiting.`);
+    if (subscriptionScheduler) subscriptionScheduler.stop();
+    for (const store of [jobStore, matchCache, historyStore, authSessions, subscriptionStore]) {
+        if (!store) continue;
+        try {
+            store.flush();
+        } catch (err) {
+            console.error('Could not write pending changes on shutdown:', err.message);
+        }
+    }
+    process.exit(0);
+}
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
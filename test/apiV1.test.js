@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockUpstreams } = require('./support/mockUpstreams');
+const { startBackend } = require('./support/backend');
+const { DEDUPE_POLICIES, MAX_BATCH_PLAYLISTS } = require('../routes/convert');
+
+// --- /api/v1 Integration Tests ---
+// The versioned routes share their handlers with the unversioned aliases; these
+// check what v1 adds: body validation, the error envelope and the OpenAPI document.
+
+const SINGLE = 'https://www.youtube.com/playlist?list=PLmockSingleHit0001';
+const MIXED = 'https://www.youtube.com/playlist?list=PLmockMixedHits0001';
+const MISSING = 'https://www.youtube.com/playlist?list=PLmockDoesNotExist01';
+const USER_TOKEN = 'mock-user-access-token';
+
+const mock = createMockUpstreams();
+let backend;
+
+async function request(method, path, { body, rawBody, token = USER_TOKEN } = {}) {
+    const response = await fetch(`${backend.url}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: rawBody ?? (body ? JSON.stringify(body) : undefined)
+    });
+    return { status: response.status, requestId: response.headers.get('x-request-id'), body: await response.json() };
+}
+
+const convert = (body, options) => request('POST', '/api/v1/convert', { body: { cover_image: 'none', ...body }, ...options });
+
+test.before(async () => {
+    await mock.listen();
+    backend = await startBackend(mock);
+});
+
+test.after(async () => {
+    if (backend) await backend.stop();
+    await mock.close();
+});
+
+test.afterEach(() => mock.clearFaults());
+
+test('serves the OpenAPI document', async () => {
+    const { status, body } = await request('GET', '/api/v1/openapi.json', { token: null });
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    assert.ok(body.paths['/convert'].post.responses['502'].description.includes('YOUTUBE_QUOTA_EXCEEDED'));
+    assert.ok(body.components.schemas.ConvertRequest.properties.playlist_url);
+    assert.deepEqual(body.components.schemas.ConvertRequest.properties.dedupe.enum, DEDUPE_POLICIES);
+    assert.equal(body.components.schemas.BatchRequest.properties.playlists.maxItems, MAX_BATCH_PLAYLISTS);
+});
+
+test('rejects a body that does not match its schema before calling any service', async () => {
+    const mark = mock.calls().length;
+    const { status, body, requestId } = await convert({ playlist_url: SINGLE, match_threshold: 'high', colour: 'blue' });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.deepEqual([body.error.code, body.error.status, body.error.request_id], ['VALIDATION_FAILED', 400, requestId]);
+    assert.deepEqual(body.error.details.field_errors.map(error => error.path), ['match_threshold', 'colour']);
+    assert.equal(mock.calls().length, mark);
+
+    const malformed = await request('POST', '/api/v1/convert', { rawBody: '{"playlist_url":' });
+    assert.deepEqual([malformed.status, malformed.body.error.code], [400, 'VALIDATION_FAILED']);
+});
+
+test('answers with typed error codes', async () => {
+    mock.addFault({ route: 'youtube.playlistItems', status: 403, reason: 'quotaExceeded', message: 'Quota exceeded.' });
+    const quota = await convert({ playlist_url: MIXED });
+    assert.deepEqual([quota.status, quota.body.error.code], [502, 'YOUTUBE_QUOTA_EXCEEDED']);
+    assert.match(quota.body.error.message, /API Quota Exceeded/);
+
+    mock.addFault({ route: 'youtube.playlistItems', status: 403, reason: 'playlistItemsNotAccessible', message: 'Private.' });
+    assert.equal((await convert({ playlist_url: MIXED })).body.error.code, 'SOURCE_PRIVATE');
+    assert.equal((await convert({ playlist_url: MISSING })).body.error.code, 'SOURCE_NOT_FOUND');
+
+    const expired = await convert({ playlist_url: SINGLE }, { token: 'not-a-valid-token' });
+    assert.deepEqual([expired.status, expired.body.error.code], [401, 'SPOTIFY_TOKEN_EXPIRED']);
+    assert.deepEqual(expired.body.error.details, { auth_required: true, target: 'spotify' });
+
+    const unknown = await request('GET', '/api/v1/convert/jobs/no-such-job');
+    assert.deepEqual([unknown.status, unknown.body.error.code], [404, 'NOT_FOUND']);
+    assert.equal((await request('GET', '/api/v1/nothing-here')).body.error.code, 'NOT_FOUND');
+});
+
+test('the unversioned aliases keep their body and gain the code', async () => {
+    const { status, body } = await request('POST', '/api/convert', { body: { playlist_url: MISSING, cover_image: 'none' } });
+    assert.equal(status, 502);
+    assert.equal(body.error, 'YouTube playlist not found or private.');
+    assert.equal(body.code, 'SOURCE_NOT_FOUND');
+
+    // Statuses from before the codes stay on the aliases; v1 uses the code's
+    mock.addFault({ route: 'youtube.playlistItems', status: 400, reason: 'invalidParameter', times: 2 });
+    const legacy = await request('POST', '/api/convert', { body: { playlist_url: MIXED, cover_image: 'none' } });
+    assert.deepEqual([legacy.status, legacy.body.code], [502, 'UNSUPPORTED_SOURCE']);
+    const versioned = await convert({ playlist_url: MIXED });
+    assert.deepEqual([versioned.status, versioned.body.error.code], [400, 'UNSUPPORTED_SOURCE']);
+
+    const unknown = await request('GET', '/api/convert/jobs/no-such-job');
+    assert.deepEqual(unknown.body, { error: "Conversion job not found.", code: 'NOT_FOUND' });
+});
+
+test('successful responses are the same as on the aliases', async () => {
+    const { status, body } = await convert({ playlist_url: SINGLE, playlist_name: 'Versioned' });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.success, true);
+    assert.equal(body.data.tracks_added, 1);
+});
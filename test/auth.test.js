@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockUpstreams } = require('./support/mockUpstreams');
+const { startBackend, loginThroughMock } = require('./support/backend');
+
+// --- Auth Integration Tests ---
+// Spotify login, callback redirects and token refresh, in fragment mode (the
+// default) and session mode, against the mock accounts service.
+
+const mock = createMockUpstreams();
+let backend;
+
+const fragmentOf = (location) => new URLSearchParams(new URL(location).hash.substring(1));
+
+async function callback(query) {
+    const response = await fetch(`${backend.url}/callback?${new URLSearchParams(query)}`, { redirect: 'manual' });
+    assert.equal(response.status, 302);
+    return response.headers.get('location');
+}
+
+async function status(token) {
+    const response = await fetch(`${backend.url}/api/auth/status`, { headers: { Authorization: `Bearer ${token}` } });
+    return { status: response.status, body: await response.json() };
+}
+
+test.before(async () => {
+    await mock.listen();
+    backend = await startBackend(mock);
+});
+
+test.after(async () => {
+    if (backend) await backend.stop();
+    await mock.close();
+});
+
+test('login redirects to the accounts service and the callback hands the tokens to the frontend', async () => {
+    const login = await fetch(`${backend.url}/api/auth/login`, { redirect: 'manual' });
+    assert.equal(login.status, 302);
+    assert.ok(login.headers.get('location').startsWith(`${mock.url}/authorize?`));
+
+    const grant = await loginThroughMock(backend);
+    assert.ok(grant.get('access_token'));
+    assert.ok(grant.get('refresh_token'));
+    assert.equal(grant.get('expires_in'), '3600');
+
+    const checked = await status(grant.get('access_token'));
+    assert.deepEqual([checked.body.logged_in, checked.body.user.id], [true, 'mock-user']);
+});
+
+test('the callback redirects errors to the frontend', async () => {
+    const denied = await callback({ error: 'access_denied' });
+    assert.equal(denied, `${backend.frontendUrl}/auth/callback#error=spotify_login_access_denied`);
+
+    const noCode = await callback({});
+    assert.equal(noCode, `${backend.frontendUrl}/auth/callback#error=spotify_no_code`);
+
+    const badCode = await callback({ code: 'code-that-was-never-issued' });
+    assert.ok(badCode.startsWith(`${backend.frontendUrl}/auth/callback#`));
+    assert.match(fragmentOf(badCode).get('error'), /^spotify_token_/);
+});
+
+test('login rejects unknown features', async () => {
+    const response = await fetch(`${backend.url}/api/auth/login?features=teleport`, { redirect: 'manual' });
+    assert.equal(response.status, 400);
+});
+
+test('refresh exchanges a refresh token for a working access token', async () => {
+    const response = await fetch(`${backend.url}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: mock.fixtures.spotify.users[0].refresh_token })
+    });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.expires_in, 3600);
+    assert.equal((await status(body.access_token)).body.logged_in, true);
+});
+
+test('refresh passes on Spotify rejecting the refresh token', async () => {
+    const response = await fetch(`${backend.url}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: 'revoked-refresh-token' })
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Failed to refresh token');
+});
+
+test('status answers 401 for an expired token', async () => {
+    const checked = await status('expired-access-token');
+    assert.equal(checked.status, 401);
+    assert.equal(checked.body.logged_in, false);
+});
+
+test('session mode: PKCE login keeps the tokens server-side and checks the state', async (t) => {
+    const sessionBackend = await startBackend(mock, {
+        AUTH_MODE: 'session',
+        TOKEN_ENCRYPTION_KEY: '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef'
+    });
+    t.after(() => sessionBackend.stop());
+
+    // Cookies as a browser would keep them (name=value only; all are host-only here)
+    const jar = new Map();
+    const keepCookies = (response) => response.headers.getSetCookie().forEach(cookie => {
+        const [pair] = cookie.split(';');
+        const [name, ...value] = pair.split('=');
+        jar.set(name, value.join('='));
+    });
+    const cookieHeader = () => Array.from(jar, ([name, value]) => `${name}=${value}`).join('; ');
+    const get = async (url, options = {}) => {
+        const response = await fetch(url, { redirect: 'manual', ...options, headers: { Cookie: cookieHeader(), ...options.headers } });
+        keepCookies(response);
+        return response;
+    };
+
+    const login = await get(`${sessionBackend.url}/api/auth/login`);
+    const authorizeUrl = new URL(login.headers.get('location'));
+    assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+
+    // A callback carrying another state is refused, and uses up the login
+    const consent = await fetch(authorizeUrl, { redirect: 'manual' });
+    const forged = new URL(consent.headers.get('location'));
+    forged.searchParams.set('state', 'forged-state');
+    const refused = await get(forged);
+    assert.equal(fragmentOf(refused.headers.get('location')).get('error'), 'spotify_invalid_state');
+
+    const retry = await get(`${sessionBackend.url}/api/auth/login`);
+    const approved = await fetch(retry.headers.get('location'), { redirect: 'manual' });
+    const completed = await get(approved.headers.get('location'));
+    const fragment = fragmentOf(completed.headers.get('location'));
+    assert.equal(fragment.get('logged_in'), 'true');
+    assert.equal(fragment.get('access_token'), null);
+
+    const checked = await get(`${sessionBackend.url}/api/auth/status`);
+    assert.equal((await checked.json()).user.id, 'mock-user');
+
+    // PKCE refresh: Spotify (and the mock) rotate the refresh token every time
+    const refreshed = await get(`${sessionBackend.url}/api/auth/refresh`, { method: 'POST' });
+    assert.equal(refreshed.status, 200);
+    assert.equal((await refreshed.json()).logged_in, true);
+    const tokenCalls = mock.calls('accounts.token').map(call => call.body.grant_type);
+    assert.deepEqual(tokenCalls.slice(-2), ['authorization_code', 'refresh_token']);
+});
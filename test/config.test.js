@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../lib/config');
+
+// --- Configuration Tests ---
+
+const env = {
+    PORT: '5000',
+    FRONTEND_URL: 'http://localhost:3000',
+    SESSION_SECRET: 'test-session-secret-0123456789',
+    YOUTUBE_API_KEY: 'youtube-key',
+    SPOTIFY_CLIENT_ID: 'spotify-client',
+    SPOTIFY_CLIENT_SECRET: 'spotify-secret',
+    SPOTIFY_REDIRECT_URI: 'http://127.0.0.1:5000/callback',
+    MOCK_UPSTREAMS: 'http://127.0.0.1:5055'
+};
+
+test('MOCK_UPSTREAMS is refused under the production profile', () => {
+    assert.throws(() => loadConfig(env), /MOCK_UPSTREAMS is only allowed with CONFIG_PROFILE=development or test/);
+    for (const profile of ['development', 'test']) {
+        assert.equal(loadConfig({ ...env, CONFIG_PROFILE: profile }).mockUpstreams, 'http://127.0.0.1:5055');
+    }
+});
+
+test('subscriptions on several instances need the sqlite driver', () => {
+    const subscriptions = { ...env, CONFIG_PROFILE: 'test', TOKEN_ENCRYPTION_KEY: 'ab'.repeat(32) };
+    assert.throws(() => loadConfig({ ...subscriptions, NODE_APP_INSTANCE: '1' }), /SUBSCRIPTION_DRIVER must be sqlite when running several instances/);
+    assert.equal(loadConfig({ ...subscriptions, NODE_APP_INSTANCE: '0' }).subscriptions.driver, 'file');
+    assert.equal(loadConfig({ ...subscriptions, NODE_APP_INSTANCE: '1', SUBSCRIPTION_DRIVER: 'sqlite' }).subscriptions.enabled, true);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createJobStore = require('../lib/jobStore');
+const { JOB_STATUS } = require('../lib/jobStore');
+
+// --- Job Store Tests ---
+
+function finishedJob(store, label) {
+    const job = store.createJob({ type: 'convert', label });
+    store.finishJob(job.id, JOB_STATUS.COMPLETED, { result: { label } });
+    return job;
+}
+
+test('keeps only the newest finished jobs', () => {
+    const store = createJobStore({ maxFinishedJobs: 2 });
+    const running = store.createJob({ type: 'convert', label: 'running' });
+    const [first, second, third] = ['first', 'second', 'third'].map(label => finishedJob(store, label));
+
+    assert.equal(store.getJob(first.id), null);
+    assert.deepEqual([second, third].map(job => store.getJob(job.id).result.label), ['second', 'third']);
+    assert.equal(store.getJob(running.id).status, JOB_STATUS.QUEUED); // Unfinished jobs don't count
+});
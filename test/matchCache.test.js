@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createMatchCache = require('../lib/matchCache');
+const { DEFAULT_THRESHOLD } = require('../lib/trackMatcher');
+
+// --- Match Cache Tests ---
+
+const hit = (uri, score) => ({ uri, name: 'Track', artists: ['Artist'], isrc: null, strategy: 'Precise', score });
+
+test('a hit below the accept threshold expires like a miss and is cleared with the negatives', () => {
+    const cache = createMatchCache({ negativeTtlMs: 60 * 1000 });
+    cache.recordSearch('dQw4w9WgXcQ', hit('spotify:track:4PTG3Z6ehGkBFwjybzWkR8', DEFAULT_THRESHOLD + 0.3));
+    cache.recordSearch('JGwWNGJdvx8', hit('spotify:track:0ENSn4fwAbCGeFGVUbXEU3', 0.12));
+    cache.recordSearch('5NV6Rdv1a3I', null);
+
+    assert.equal(cache.get('dQw4w9WgXcQ').expires_at, null);
+    assert.ok(cache.get('JGwWNGJdvx8').expires_at > Date.now());
+
+    assert.equal(cache.clear('negative'), 2);
+    assert.equal(cache.get('JGwWNGJdvx8'), null);
+    assert.equal(cache.get('dQw4w9WgXcQ').spotify_uri, 'spotify:track:4PTG3Z6ehGkBFwjybzWkR8');
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createRequestScheduler = require('../lib/requestScheduler');
+
+// --- Request Scheduler Tests ---
+
+test('a queued call whose signal aborts is dropped without running', async () => {
+    const scheduler = createRequestScheduler({ concurrency: { spotify: 1 } });
+    let release;
+    const first = scheduler.spotify(() => new Promise(resolve => { release = resolve; }));
+    const controller = new AbortController();
+    let ran = false;
+    const queued = scheduler.spotify(async () => { ran = true; }, { label: 'searchTracks', signal: controller.signal });
+
+    controller.abort();
+    release('done');
+    assert.equal(await first, 'done');
+    await assert.rejects(queued, (err) => err.cancelled === true);
+    assert.equal(ran, false);
+});
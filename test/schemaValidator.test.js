@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../lib/schemaValidator');
+const { SCHEMAS, OPERATIONS, buildOpenApiDocument } = require('../lib/apiSpec');
+const { ERROR_CODES } = require('../lib/apiErrors');
+
+// --- Schema Validator Tests ---
+
+const paths = (errors) => errors.map(error => error.path);
+
+test('accepts a valid conversion request', () => {
+    assert.deepEqual(validate(SCHEMAS.ConvertRequest, {
+        playlist_url: 'https://www.youtube.com/playlist?list=PLmockMixedHits0001',
+        match_threshold: 0.5,
+        target: 'deezer',
+        description: null,
+        cover_image: 'https://example.com/cover.jpg'
+    }), []);
+});
+
+test('reports every problem with its path', () => {
+    const errors = validate(SCHEMAS.ConvertRequest, {
+        match_threshold: 2,
+        target: 'tidal',
+        async: 'yes',
+        cover_image: 'ftp://example.com/cover.jpg',
+        colour: 'blue'
+    });
+    assert.deepEqual(paths(errors).sort(), ['async', 'colour', 'cover_image', 'match_threshold', 'playlist_url', 'target']);
+    assert.equal(errors.find(error => error.path === 'playlist_url').message, 'is required');
+    assert.equal(errors.find(error => error.path === 'async').message, 'expected boolean, got string');
+});
+
+test('validates array items against either allowed form', () => {
+    assert.deepEqual(validate(SCHEMAS.BatchRequest, { playlists: ['PLmockSingleHit0001', { playlist_url: 'PLmockMixedHits0001', sync_mode: 'mirror' }] }), []);
+    assert.deepEqual(paths(validate(SCHEMAS.BatchRequest, { playlists: ['PLmockSingleHit0001', { sync_mode: 'mirror' }, 7] })), ['playlists[1]', 'playlists[2]']);
+    assert.deepEqual(paths(validate(SCHEMAS.BatchRequest, { playlists: [] })), ['playlists']);
+    assert.deepEqual(paths(validate(SCHEMAS.BatchRequest, [])), ['(body)']);
+});
+
+test('the OpenAPI document covers every operation and error code', () => {
+    const document = buildOpenApiDocument();
+    assert.equal(document.openapi, '3.1.0');
+    const operationIds = Object.values(document.paths).flatMap(path => Object.values(path).map(operation => operation.operationId));
+    assert.equal(operationIds.length, OPERATIONS.length);
+    assert.equal(new Set(operationIds).size, operationIds.length);
+
+    const codes = document.components.schemas.ErrorEnvelope.properties.error.properties.code.oneOf.map(option => option.const);
+    assert.deepEqual(codes, Object.keys(ERROR_CODES));
+    for (const operation of OPERATIONS) {
+        for (const code of operation.errors) assert.ok(ERROR_CODES[code], `${operation.path}: unknown code ${code}`);
+        if (operation.body) assert.ok(SCHEMAS[operation.body], `${operation.path}: unknown schema ${operation.body}`);
+    }
+    assert.deepEqual(document.paths['/convert'].post.requestBody.content['application/json'].schema, { $ref: '#/components/schemas/ConvertRequest' });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockUpstreams } = require('./support/mockUpstreams');
+const { redirectSpotifyWebApi } = require('../lib/upstreamHosts');
+const createSpotifyAppToken = require('../lib/spotifyAppToken');
+
+// --- Spotify App Token Tests ---
+// In-process against the mock accounts service: a failed grant must not turn
+// into background retries, only into a new attempt by the next caller.
+
+const mock = createMockUpstreams();
+const clientId = mock.fixtures.spotify.client.id;
+const tokenCalls = () => mock.calls('accounts.token').length;
+
+test.before(async () => {
+    redirectSpotifyWebApi(await mock.listen());
+});
+
+test.after(() => mock.close());
+
+test('a rejected grant is retried by the next caller, not in the background', async () => {
+    const appToken = createSpotifyAppToken({ clientId, clientSecret: 'wrong-secret' });
+    const search = () => appToken.call(client => client.searchTracks('track:"Shape of You"'));
+
+    await assert.rejects(search);
+    assert.deepEqual([appToken.getHealth().status, appToken.getHealth().expires_at], ['down', null]);
+    const afterFailure = tokenCalls();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(tokenCalls(), afterFailure);
+
+    await assert.rejects(search);
+    assert.equal(tokenCalls(), afterFailure + 1);
+});
+
+test('grants lazily and shares the token between callers', async () => {
+    const appToken = createSpotifyAppToken({ clientId, clientSecret: mock.fixtures.spotify.client.secret });
+    const before = tokenCalls();
+    assert.equal(appToken.getHealth().status, 'uninitialized');
+
+    const results = await Promise.all([1, 2].map(() => appToken.call(client => client.searchTracks('track:"Shape of You"'))));
+    assert.ok(results.every(result => result.body.tracks.items.length > 0));
+    assert.equal(tokenCalls(), before + 1);
+    assert.equal(appToken.getHealth().status, 'ok');
+});
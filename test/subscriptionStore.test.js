@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const createSubscriptionStore = require('../lib/subscriptionStore');
+
+// --- Subscription Store Tests ---
+// Leases are what keep pm2 instances from running a subscription twice: two
+// sqlite stores on one file stand in for two instances.
+
+const encryptionKey = crypto.randomBytes(32);
+const grant = { access_token: 'access', refresh_token: 'refresh', expires_at: Date.now() + 3600 * 1000 };
+const fields = {
+    source_url: 'https://www.youtube.com/playlist?list=PLmockSingleHit0001',
+    youtube_playlist_id: 'PLmockSingleHit0001',
+    target_playlist_id: '0123456789abcdefABCDEF',
+    interval_minutes: 15
+};
+
+function tempStores(t, count) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscription-store-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'subscriptions.sqlite');
+    return Array.from({ length: count }, () => createSubscriptionStore({ driver: 'sqlite', filePath, encryptionKey }));
+}
+
+test('a due subscription is claimed by one instance until its run finishes', (t) => {
+    const [first, second] = tempStores(t, 2);
+    const created = first.create('spotify', 'mock-user', fields, grant);
+    const leaseUntil = Date.now() + 60 * 1000;
+
+    const claimed = first.claimNext('instance-a', leaseUntil);
+    assert.equal(claimed.id, created.id);
+    assert.equal(second.claimNext('instance-b', leaseUntil), null);
+    assert.deepEqual(second.getGrant(claimed), grant);
+
+    // Only the lease holder can record the run; the next one is an interval away
+    assert.equal(second.finishRun(created.id, 'instance-b', { last_run: { status: 'succeeded' } }), false);
+    assert.equal(first.finishRun(created.id, 'instance-a', { last_run: { status: 'succeeded' }, seen_video_ids: ['JGwWNGJdvx8'] }), true);
+    const finished = second.get('spotify', 'mock-user', created.id);
+    assert.deepEqual([finished.run_count, finished.seen_items, finished.running], [1, 1, false]);
+    assert.equal(second.claimNext('instance-b', leaseUntil), null);
+    assert.equal(second.claimNext('instance-b', leaseUntil, Date.now() + 16 * 60 * 1000).id, created.id);
+});
+
+test('an expired lease can be taken over, and a pause during the run is kept', (t) => {
+    const [first, second] = tempStores(t, 2);
+    const created = first.create('spotify', 'mock-user', fields, grant);
+    first.claimNext('instance-a', Date.now() - 1); // Crashed mid-run: lease already over
+    assert.equal(second.claimNext('instance-b', Date.now() + 60 * 1000).id, created.id);
+
+    second.setStatus('spotify', 'mock-user', created.id, 'paused');
+    assert.equal(first.finishRun(created.id, 'instance-a', { last_run: { status: 'succeeded' } }), false);
+    assert.equal(second.finishRun(created.id, 'instance-b', { last_run: { status: 'succeeded' } }), true);
+    assert.equal(first.get('spotify', 'mock-user', created.id).status, 'paused');
+});
+
+test('subscriptions belong to their user', () => {
+    const store = createSubscriptionStore({ encryptionKey, maxPerUser: 1 });
+    const created = store.create('spotify', 'mock-user', fields, grant);
+    assert.equal(store.create('spotify', 'mock-user', fields, grant), null);
+    assert.equal(store.get('spotify', 'someone-else', created.id), null);
+    assert.equal(store.remove('spotify', 'someone-else', created.id), false);
+    assert.deepEqual(store.list('spotify', 'mock-user').map(subscription => subscription.id), [created.id]);
+});
+
+test('the file driver writes debounced changes when flushed', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscription-store-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'subscriptions.json');
+    const store = createSubscriptionStore({ driver: 'file', filePath, encryptionKey });
+    const created = store.create('spotify', 'mock-user', fields, grant);
+    assert.equal(fs.existsSync(filePath), false); // Still inside the debounce window
+
+    store.flush();
+    const reloaded = createSubscriptionStore({ driver: 'file', filePath, encryptionKey });
+    assert.equal(reloaded.get('spotify', 'mock-user', created.id).id, created.id);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockUpstreams } = require('./support/mockUpstreams');
+const { startBackend, loginThroughMock } = require('./support/backend');
+
+// --- Subscription Integration Tests ---
+// Sync subscriptions against the mock upstreams. The scheduler polls every
+// second here, and creating or running a subscription starts a run at once.
+
+const SINGLE = 'https://www.youtube.com/playlist?list=PLmockSingleHit0001';
+const USER_TOKEN = 'mock-user-access-token';
+const SHAPE_OF_YOU = 'spotify:track:7qiZfU4dY1lWllzX7mPBI3';
+const RICK = 'spotify:track:4PTG3Z6ehGkBFwjybzWkR8';
+const RUN_TIMEOUT_MS = 10000;
+
+const mock = createMockUpstreams();
+let backend;
+
+async function api(method, path, body, token = USER_TOKEN) {
+    const response = await fetch(`${backend.url}/api/subscriptions${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// A playlist of the fixture user's, created the way the frontend would
+async function createTargetPlaylist(name) {
+    const response = await fetch(`${mock.url}/v1/me/playlists`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${USER_TOKEN}` },
+        body: JSON.stringify({ name })
+    });
+    return (await response.json()).id;
+}
+
+function subscribe(targetPlaylistId, overrides = {}) {
+    return api('POST', '/', {
+        playlist_url: SINGLE,
+        target_playlist: targetPlaylistId,
+        interval_minutes: 60,
+        refresh_token: mock.fixtures.spotify.users[0].refresh_token,
+        ...overrides
+    });
+}
+
+// Polls until the subscription has finished `runCount` runs
+async function waitForRun(id, runCount) {
+    const deadline = Date.now() + RUN_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const { body } = await api('GET', `/${id}`);
+        if (body.data.run_count >= runCount && !body.data.running) return body.data;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Subscription ${id} did not finish run ${runCount} within ${RUN_TIMEOUT_MS}ms`);
+}
+
+const playlistUris = (id) => mock.playlists().find(playlist => playlist.id === id).uris;
+
+test.before(async () => {
+    await mock.listen();
+    backend = await startBackend(mock, {
+        TOKEN_ENCRYPTION_KEY: '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef',
+        SUBSCRIPTION_DRIVER: 'memory',
+        SUBSCRIPTION_POLL_SECONDS: '1'
+    });
+});
+
+test.after(async () => {
+    if (backend) await backend.stop();
+    await mock.close();
+});
+
+test('a subscription adds what the playlist holds, then only what is added to it', async () => {
+    const targetPlaylistId = await createTargetPlaylist('Followed');
+    const created = await subscribe(targetPlaylistId);
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.data.token, undefined);
+    assert.equal(created.body.data.youtube_playlist_id, 'PLmockSingleHit0001');
+
+    const first = await waitForRun(created.body.data.id, 1);
+    assert.equal(first.last_run.status, 'succeeded');
+    assert.deepEqual([first.last_run.new_items, first.last_run.added], [1, 1]);
+    assert.deepEqual(playlistUris(targetPlaylistId), [SHAPE_OF_YOU]);
+
+    mock.addPlaylistItem('PLmockSingleHit0001', 'dQw4w9WgXcQ');
+    const triggered = await api('POST', `/${created.body.data.id}/run`);
+    assert.equal(triggered.status, 202);
+    const second = await waitForRun(created.body.data.id, 2);
+    assert.deepEqual([second.last_run.new_items, second.last_run.added, second.seen_items], [1, 1, 2]);
+    assert.deepEqual(playlistUris(targetPlaylistId), [SHAPE_OF_YOU, RICK]);
+
+    const listed = await api('GET', '/');
+    assert.ok(listed.body.data.subscriptions.some(subscription => subscription.id === created.body.data.id));
+});
+
+test('paused subscriptions do not run and deleted ones are gone', async () => {
+    const created = await subscribe(await createTargetPlaylist('Paused'));
+    const { id } = created.body.data;
+    await waitForRun(id, 1);
+
+    const paused = await api('POST', `/${id}/pause`);
+    assert.deepEqual([paused.body.data.status, paused.body.data.paused_reason], ['paused', 'user']);
+    assert.equal((await api('POST', `/${id}/run`)).status, 409);
+
+    const resumed = await api('POST', `/${id}/resume`);
+    assert.equal(resumed.body.data.status, 'active');
+    await waitForRun(id, 2);
+
+    assert.equal((await api('DELETE', `/${id}`)).status, 200);
+    assert.equal((await api('GET', `/${id}`)).status, 404);
+    assert.equal((await api('DELETE', `/${id}`)).status, 404);
+});
+
+test('validates the request and the refresh token', async () => {
+    const targetPlaylistId = await createTargetPlaylist('Validation');
+    assert.equal((await subscribe(targetPlaylistId, { playlist_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' })).status, 400);
+    assert.equal((await subscribe('not a playlist')).status, 400);
+    assert.equal((await subscribe(targetPlaylistId, { interval_minutes: 5 })).status, 400);
+    assert.equal((await subscribe(targetPlaylistId, { refresh_token: undefined })).status, 400);
+
+    const rejected = await subscribe(targetPlaylistId, { refresh_token: 'revoked-refresh-token' });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.error, 'Spotify rejected the refresh_token.');
+
+    assert.equal((await api('GET', '/', null, null)).status, 401);
+    assert.equal((await api('GET', '/', null, 'not-a-valid-token')).status, 401);
+});
+
+test('a revoked grant pauses the subscription until it is resumed with a new refresh token', async () => {
+    const login = await loginThroughMock(backend);
+    const created = await subscribe(await createTargetPlaylist('Revoked'), { refresh_token: login.get('refresh_token') });
+    const { id } = created.body.data;
+    await waitForRun(id, 1);
+
+    mock.revokeGrant(login.get('refresh_token'));
+    await api('POST', `/${id}/run`);
+    const revoked = await waitForRun(id, 2);
+    assert.deepEqual([revoked.status, revoked.paused_reason, revoked.last_run.status], ['paused', 'token_revoked', 'failed']);
+    assert.match(revoked.last_run.error, /new refresh_token/);
+
+    assert.equal((await api('POST', `/${id}/resume`)).status, 400);
+    const resumed = await api('POST', `/${id}/resume`, { refresh_token: mock.fixtures.spotify.users[0].refresh_token });
+    assert.deepEqual([resumed.body.data.status, resumed.body.data.paused_reason], ['active', null]);
+    assert.equal((await waitForRun(id, 3)).last_run.status, 'succeeded');
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// --- Backend Process ---
+// Starts server.js as a child process talking to the mock upstreams. It runs in
+// an empty temporary directory with only the variables given here, so a local
+// .env or real credentials never leak into a test run.
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 15000;
+const FRONTEND_URL = 'http://frontend.test';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * @param {object} mock A listening createMockUpstreams() instance
+ * @param {Object<string, string>} [env] Extra or overriding environment variables
+ * @returns {Promise<{url: string, frontendUrl: string, output: () => string, stop: () => Promise<void>}>}
+ */
+async function startBackend(mock, env = {}) {
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'playlist-converter-test-'));
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        cwd: workDir,
+        env: {
+            PATH: process.env.PATH,
+            CONFIG_PROFILE: 'test',
+            PORT: String(port),
+            FRONTEND_URL: FRONTEND_URL,
+            SESSION_SECRET: 'test-session-secret-0123456789',
+            YOUTUBE_API_KEY: mock.fixtures.youtube.api_key,
+            SPOTIFY_CLIENT_ID: mock.fixtures.spotify.client.id,
+            SPOTIFY_CLIENT_SECRET: mock.fixtures.spotify.client.secret,
+            SPOTIFY_REDIRECT_URI: `${url}/callback`,
+            MOCK_UPSTREAMS: mock.url,
+            MATCH_CACHE_DRIVER: 'memory',
+            HISTORY_DRIVER: 'memory',
+            AUTH_SESSION_DRIVER: 'memory',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Backend did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`)), STARTUP_TIMEOUT_MS);
+        const onData = (chunk) => {
+            output += chunk;
+            if (output.includes('Backend API server listening')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        exited.then(code => {
+            clearTimeout(timer);
+            reject(new Error(`Backend exited with code ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        url,
+        frontendUrl: FRONTEND_URL,
+        output: () => output,
+        async stop() {
+            if (child.exitCode === null) child.kill('SIGTERM');
+            await exited;
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Runs a fragment-mode Spotify login against the mock: /api/auth/login, the
+ * mock's consent page (approves at once), then /callback.
+ * @param {{url: string}} backend
+ * @param {string} [query] Extra login query string, e.g. 'features=cover_image'
+ * @returns {Promise<URLSearchParams>} The fragment the frontend would receive
+ */
+async function loginThroughMock(backend, query = '') {
+    const login = await fetch(`${backend.url}/api/auth/login${query ? `?${query}` : ''}`, { redirect: 'manual' });
+    const consent = await fetch(login.headers.get('location'), { redirect: 'manual' });
+    const callback = await fetch(consent.headers.get('location'), { redirect: 'manual' });
+    return new URLSearchParams(new URL(callback.headers.get('location')).hash.substring(1));
+}
+
+module.exports = {
+    startBackend,
+    loginThroughMock
+};
@@ -0,0 +1,560 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// --- Mock Upstreams ---
+// A local stand-in for the parts of the Spotify Web API, Spotify accounts service
+// and YouTube Data API the backend uses. It serves the recorded objects in
+// test/fixtures/upstreams/ and keeps the playlists it creates in memory.
+// Point the backend at it with MOCK_UPSTREAMS=<its URL> (see lib/upstreamHosts.js
+// for what it doesn't stand in for).
+//
+//   Spotify accounts  GET /authorize (approves at once as the first fixture user), POST /api/token
+//   Spotify Web API   GET /v1/me, GET /v1/search, POST /v1/me/playlists, GET /v1/playlists/:id,
+//                     GET|POST /v1/playlists/:id/tracks, PUT /v1/playlists/:id/images
+//   YouTube Data API  GET /youtube/v3/playlistItems, /videos, /playlists
+//   Fixture images    GET /images/:file
+//
+// Failures (and slow answers) are injected per route (see ROUTES) with addFault(), or over HTTP with
+// POST /__mock/faults when it runs on its own (npm run mock-upstreams). YouTube
+// playlists can grow during a test (addPlaylistItem) and a Spotify grant can be
+// revoked (revokeGrant).
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'upstreams');
+const DEFAULT_PORT = 5055;
+const BASE_URL_PLACEHOLDER = '{mock_url}'; // Fixture URLs pointing back at the mock
+const TOKEN_TTL_SECONDS = 3600;
+
+const ROUTES = [
+    'accounts.authorize', 'accounts.token',
+    'spotify.me', 'spotify.search', 'spotify.createPlaylist', 'spotify.getPlaylist', 'spotify.getTracks',
+    'spotify.addTracks', 'spotify.uploadCover',
+    'youtube.playlistItems', 'youtube.videos', 'youtube.playlists',
+    'images'
+];
+
+const randomToken = (prefix) => `${prefix}-${crypto.randomBytes(12).toString('hex')}`;
+const sha256Base64Url = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+const normalize = (text) => String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+function readFixture(fixturesDir, name) {
+    return JSON.parse(fs.readFileSync(path.join(fixturesDir, name), 'utf8'));
+}
+
+// Error bodies in each service's own format
+function errorBody(route, status, { message, reason } = {}) {
+    if (route.startsWith('accounts.')) {
+        return { error: reason || 'invalid_request', error_description: message || `Mock failure (HTTP ${status})` };
+    }
+    if (route.startsWith('youtube.')) {
+        return {
+            error: {
+                code: status,
+                message: message || `Mock failure (HTTP ${status})`,
+                errors: [{ domain: 'youtube', reason: reason || 'backendError', message: message || '' }]
+            }
+        };
+    }
+    return { error: { status, message: message || `Mock failure (HTTP ${status})` } };
+}
+
+// Spotify search syntax subset: isrc:X, field:"quoted value" (track, artist, album) and free text
+function parseSearchQuery(query) {
+    const filters = {};
+    const rest = query.replace(/\b(isrc|track|artist|album):(?:"([^"]*)"|(\S+))/g, (match, field, quoted, bare) => {
+        filters[field] = quoted ?? bare;
+        return ' ';
+    });
+    return { filters, words: normalize(rest).split(/\s+/).filter(Boolean) };
+}
+
+function trackMatchesQuery(track, { filters, words }) {
+    const artists = track.artists.map(artist => normalize(artist.name)).join(' ');
+    if (filters.isrc && normalize(track.external_ids?.isrc) !== normalize(filters.isrc)) return false;
+    if (filters.track && !normalize(track.name).includes(normalize(filters.track))) return false;
+    if (filters.artist && !artists.includes(normalize(filters.artist))) return false;
+    if (filters.album && !normalize(track.album.name).includes(normalize(filters.album))) return false;
+    const haystack = `${normalize(track.name)} ${artists} ${normalize(track.album.name)}`;
+    return words.every(word => haystack.includes(word));
+}
+
+/**
+ * @param {{fixturesDir?: string}} [options]
+ * @returns {object} listen(), close(), reset(), addFault(), clearFaults(), calls(), playlists(), expireAppTokens(),
+ *   revokeGrant(), addPlaylistItem(), url
+ */
+function createMockUpstreams({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+    const spotify = readFixture(fixturesDir, 'spotify.json');
+    const youtube = readFixture(fixturesDir, 'youtube.json');
+    const videosById = new Map(youtube.videos.map(video => [video.id, video]));
+
+    let state;
+    let server = null;
+    let baseUrl = null;
+
+    // Tokens and playlists start from the fixtures again; faults and call records are cleared
+    function reset() {
+        state = {
+            youtubePlaylists: structuredClone(youtube.playlists),
+            accessTokens: new Map(), // token -> { userId (null for app tokens), scope, refreshToken (when refreshed) }
+            refreshTokens: new Map(), // token -> { userId, scope }
+            codes: new Map(), // authorization code -> { userId, scope, redirectUri, codeChallenge }
+            playlists: new Map(),
+            faults: [],
+            calls: []
+        };
+        spotify.users.forEach(user => {
+            state.accessTokens.set(user.access_token, { userId: user.id, scope: user.scope });
+            state.refreshTokens.set(user.refresh_token, { userId: user.id, scope: user.scope });
+        });
+    }
+    reset();
+
+    /**
+     * Fails the next `times` calls to a route (Infinity: until cleared). Without
+     * a `status` the calls succeed as usual, `delayMs` late.
+     * @param {{route: string, status?: number, delayMs?: number, times?: number, headers?: object, reason?: string, message?: string, body?: object}} fault
+     */
+    function addFault({ route, status = null, delayMs = 0, times = 1, headers = {}, reason, message, body }) {
+        if (!ROUTES.includes(route)) throw new Error(`Unknown mock route '${route}' (expected one of ${ROUTES.join(', ')})`);
+        const errorResponse = status ? body || errorBody(route, status, { message, reason }) : null;
+        state.faults.push({ route, status, delayMs, remaining: times, headers, body: errorResponse });
+    }
+
+    function takeFault(route) {
+        const fault = state.faults.find(candidate => candidate.route === route && candidate.remaining > 0);
+        if (fault) fault.remaining--;
+        return fault || null;
+    }
+
+    // Makes the client credentials tokens issued so far invalid (as if they had expired)
+    function expireAppTokens() {
+        state.accessTokens.forEach((grant, token) => {
+            if (!grant.userId) state.accessTokens.delete(token);
+        });
+    }
+
+    // A refresh token and the access tokens issued for it stop working (the user's other logins keep theirs)
+    function revokeGrant(refreshToken) {
+        state.refreshTokens.delete(refreshToken);
+        state.accessTokens.forEach((grant, token) => {
+            if (grant.refreshToken === refreshToken) state.accessTokens.delete(token);
+        });
+    }
+
+    // Appends a video that some fixture playlist already contains to a YouTube playlist
+    function addPlaylistItem(playlistId, videoId) {
+        const playlist = state.youtubePlaylists[playlistId];
+        const original = Object.values(state.youtubePlaylists)
+            .flatMap(candidate => candidate.items)
+            .find(item => item.snippet.resourceId.videoId === videoId);
+        if (!playlist || !original) throw new Error(`Unknown mock playlist '${playlistId}' or video '${videoId}'`);
+        const item = structuredClone(original);
+        item.id = Buffer.from(`${playlistId}.${videoId}.${playlist.items.length}`).toString('base64url');
+        Object.assign(item.snippet, { playlistId, position: playlist.items.length });
+        playlist.items.push(item);
+    }
+
+    // --- Spotify Helpers ---
+
+    function issueAccessToken(userId, scope, refreshToken = null) {
+        const token = randomToken(userId ? `${userId}-access` : 'app-access');
+        state.accessTokens.set(token, { userId, scope, refreshToken });
+        return token;
+    }
+
+    // Client credentials from the Basic header or the form body
+    function clientFrom(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Basic ')) {
+            const [id, secret] = Buffer.from(header.substring(6), 'base64').toString().split(':');
+            return { id, secret };
+        }
+        return { id: req.body.client_id, secret: req.body.client_secret };
+    }
+
+    // Resolves the bearer token or answers 401 the way Spotify does
+    function spotifyCaller(req, res, { userOnly = false } = {}) {
+        const header = req.headers.authorization || '';
+        const grant = header.startsWith('Bearer ') ? state.accessTokens.get(header.substring(7)) : null;
+        if (!grant) {
+            res.status(401).json(errorBody('spotify', 401, { message: header ? 'The access token expired' : 'No token provided' }));
+            return null;
+        }
+        if (userOnly && !grant.userId) {
+            res.status(403).json(errorBody('spotify', 403, { message: 'Client credentials tokens cannot act as a user' }));
+            return null;
+        }
+        return grant;
+    }
+
+    function serializePlaylist(playlist) {
+        return {
+            collaborative: playlist.collaborative,
+            description: playlist.description,
+            external_urls: { spotify: `https://open.spotify.com/playlist/${playlist.id}` },
+            id: playlist.id,
+            images: playlist.images,
+            name: playlist.name,
+            owner: { id: playlist.ownerId, type: 'user', uri: `spotify:user:${playlist.ownerId}` },
+            public: playlist.public,
+            snapshot_id: playlist.snapshotId,
+            tracks: { total: playlist.uris.length },
+            type: 'playlist',
+            uri: `spotify:playlist:${playlist.id}`
+        };
+    }
+
+    // --- YouTube Helpers ---
+
+    // API key or OAuth token, as the real API checks them
+    function youtubeAuthorized(req, res, route) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            if (youtube.oauth_tokens.includes(header.substring(7))) return true;
+            res.status(401).json(errorBody(route, 401, { message: 'Request had invalid authentication credentials.', reason: 'authError' }));
+            return false;
+        }
+        if (req.query.key === youtube.api_key) return true;
+        res.status(400).json(errorBody(route, 400, { message: 'API key not valid. Please pass a valid API key.', reason: 'keyInvalid' }));
+        return false;
+    }
+
+    const idList = (value) => String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    // --- App ---
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.text({ type: 'image/jpeg', limit: '1mb' })); // Cover uploads are base64 text
+
+    // Fixture URLs point back at the mock as {mock_url}
+    app.use((req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = (body) => json(JSON.parse(JSON.stringify(body).split(BASE_URL_PLACEHOLDER).join(baseUrl)));
+        next();
+    });
+
+    // Records the call and applies an injected fault before the real handler
+    function route(name, handler) {
+        return (req, res, next) => {
+            const call = { route: name, method: req.method, path: req.path, query: req.query, body: req.body, status: null };
+            state.calls.push(call);
+            res.on('finish', () => { call.status = res.statusCode; });
+            const fault = takeFault(name);
+            const respond = () => fault && fault.status
+                ? res.status(fault.status).set(fault.headers).json(fault.body)
+                : handler(req, res, next);
+            if (fault && fault.delayMs) return setTimeout(respond, fault.delayMs);
+            return respond();
+        };
+    }
+
+    // --- Spotify Accounts ---
+
+    app.get('/authorize', route('accounts.authorize', (req, res) => {
+        const { client_id: clientId, redirect_uri: redirectUri, state: oauthState, scope, code_challenge: codeChallenge } = req.query;
+        if (clientId !== spotify.client.id) return res.status(400).send('INVALID_CLIENT: Invalid client');
+        if (!redirectUri) return res.status(400).send('INVALID_CLIENT: Invalid redirect URI');
+        const code = randomToken('code');
+        state.codes.set(code, { userId: spotify.users[0].id, scope: scope || '', redirectUri, codeChallenge: codeChallenge || null });
+        const redirect = new URL(redirectUri);
+        redirect.searchParams.set('code', code);
+        if (oauthState) redirect.searchParams.set('state', oauthState);
+        res.redirect(redirect.toString());
+    }));
+
+    app.post('/api/token', route('accounts.token', (req, res) => {
+        const client = clientFrom(req);
+        const invalid = (error, description) => res.status(400).json({ error, error_description: description });
+        if (client.id !== spotify.client.id) return invalid('invalid_client', 'Invalid client');
+        const confidential = client.secret !== undefined;
+        if (confidential && client.secret !== spotify.client.secret) return invalid('invalid_client', 'Invalid client secret');
+
+        const { grant_type: grantType } = req.body;
+        if (grantType === 'client_credentials') {
+            if (!confidential) return invalid('invalid_client', 'Invalid client secret');
+            return res.json({ access_token: issueAccessToken(null, ''), token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS });
+        }
+
+        if (grantType === 'authorization_code') {
+            const login = state.codes.get(req.body.code);
+            state.codes.delete(req.body.code); // Codes are single use
+            if (!login) return invalid('invalid_grant', 'Invalid authorization code');
+            if (login.redirectUri !== req.body.redirect_uri) return invalid('invalid_grant', 'Invalid redirect URI');
+            if (login.codeChallenge) {
+                if (!req.body.code_verifier || sha256Base64Url(req.body.code_verifier) !== login.codeChallenge) {
+                    return invalid('invalid_grant', 'code_verifier was incorrect');
+                }
+            } else if (!confidential) {
+                return invalid('invalid_client', 'Invalid client secret');
+            }
+            const refreshToken = randomToken(`${login.userId}-refresh`);
+            state.refreshTokens.set(refreshToken, { userId: login.userId, scope: login.scope });
+            return res.json({
+                access_token: issueAccessToken(login.userId, login.scope),
+                token_type: 'Bearer',
+                expires_in: TOKEN_TTL_SECONDS,
+                refresh_token: refreshToken,
+                scope: login.scope
+            });
+        }
+
+        if (grantType === 'refresh_token') {
+            const grant = state.refreshTokens.get(req.body.refresh_token);
+            if (!grant) return invalid('invalid_grant', 'Invalid refresh token');
+            const body = {
+                access_token: issueAccessToken(grant.userId, grant.scope, req.body.refresh_token),
+                token_type: 'Bearer',
+                expires_in: TOKEN_TTL_SECONDS,
+                scope: grant.scope
+            };
+            // Like Spotify, PKCE clients get a new refresh token every time
+            if (!confidential) {
+                state.refreshTokens.delete(req.body.refresh_token);
+                body.refresh_token = randomToken(`${grant.userId}-refresh`);
+                state.refreshTokens.set(body.refresh_token, grant);
+            }
+            return res.json(body);
+        }
+
+        return invalid('unsupported_grant_type', `grant_type must be client_credentials, authorization_code or refresh_token`);
+    }));
+
+    // --- Spotify Web API ---
+
+    app.get('/v1/me', route('spotify.me', (req, res) => {
+        const grant = spotifyCaller(req, res, { userOnly: true });
+        if (!grant) return;
+        const { access_token, refresh_token, scope, ...profile } = spotify.users.find(user => user.id === grant.userId);
+        res.json({ ...profile, type: 'user', uri: `spotify:user:${profile.id}` });
+    }));
+
+    app.get('/v1/search', route('spotify.search', (req, res) => {
+        if (!spotifyCaller(req, res)) return;
+        if (!req.query.q) return res.status(400).json(errorBody('spotify', 400, { message: 'No search query' }));
+        const limit = Math.min(Number(req.query.limit) || 20, 50);
+        const offset = Number(req.query.offset) || 0;
+        const query = parseSearchQuery(String(req.query.q));
+        const matches = spotify.tracks.filter(track => trackMatchesQuery(track, query));
+        res.json({
+            tracks: {
+                href: `${baseUrl}${req.originalUrl}`,
+                items: matches.slice(offset, offset + limit),
+                limit,
+                offset,
+                total: matches.length,
+                next: null,
+                previous: null
+            }
+        });
+    }));
+
+    app.post('/v1/me/playlists', route('spotify.createPlaylist', (req, res) => {
+        const grant = spotifyCaller(req, res, { userOnly: true });
+        if (!grant) return;
+        const { name, public: isPublic = true, collaborative = false, description = null } = req.body || {};
+        if (!name) return res.status(400).json(errorBody('spotify', 400, { message: 'Missing required field: name' }));
+        if (collaborative && isPublic) {
+            return res.status(400).json(errorBody('spotify', 400, { message: 'Collaborative playlists can only be private.' }));
+        }
+        const playlist = {
+            id: crypto.randomBytes(16).toString('base64').replace(/[^A-Za-z0-9]/g, '').padEnd(22, 'A').slice(0, 22),
+            name,
+            public: isPublic,
+            collaborative,
+            description,
+            ownerId: grant.userId,
+            images: [],
+            uris: [],
+            snapshotId: randomToken('snapshot')
+        };
+        state.playlists.set(playlist.id, playlist);
+        res.status(201).json(serializePlaylist(playlist));
+    }));
+
+    // Readable by anyone with a token, as for public playlists (`fields` is ignored)
+    app.get('/v1/playlists/:id', route('spotify.getPlaylist', (req, res) => {
+        if (!spotifyCaller(req, res)) return;
+        const playlist = state.playlists.get(req.params.id);
+        if (!playlist) return res.status(404).json(errorBody('spotify', 404, { message: 'Not found.' }));
+        res.json(serializePlaylist(playlist));
+    }));
+
+    app.get('/v1/playlists/:id/tracks', route('spotify.getTracks', (req, res) => {
+        if (!spotifyCaller(req, res)) return;
+        const playlist = state.playlists.get(req.params.id);
+        if (!playlist) return res.status(404).json(errorBody('spotify', 404, { message: 'Not found.' }));
+        const limit = Math.min(Number(req.query.limit) || 100, 100);
+        const offset = Number(req.query.offset) || 0;
+        res.json({
+            items: playlist.uris.slice(offset, offset + limit).map(uri => ({ is_local: false, track: { uri } })),
+            limit,
+            offset,
+            total: playlist.uris.length
+        });
+    }));
+
+    app.post('/v1/playlists/:id/tracks', route('spotify.addTracks', (req, res) => {
+        const grant = spotifyCaller(req, res, { userOnly: true });
+        if (!grant) return;
+        const playlist = state.playlists.get(req.params.id);
+        if (!playlist) return res.status(404).json(errorBody('spotify', 404, { message: 'Not found.' }));
+        if (playlist.ownerId !== grant.userId && !playlist.collaborative) {
+            return res.status(403).json(errorBody('spotify', 403, { message: 'Forbidden.' }));
+        }
+        const uris = req.body?.uris || [];
+        if (uris.length > 100) return res.status(400).json(errorBody('spotify', 400, { message: 'Too many tracks requested.' }));
+        if (uris.some(uri => !/^spotify:track:[A-Za-z0-9]{22}$/.test(uri))) {
+            return res.status(400).json(errorBody('spotify', 400, { message: 'Invalid track uri' }));
+        }
+        const position = Number.isInteger(req.body.position) ? req.body.position : playlist.uris.length;
+        playlist.uris.splice(position, 0, ...uris);
+        playlist.snapshotId = randomToken('snapshot');
+        res.status(201).json({ snapshot_id: playlist.snapshotId });
+    }));
+
+    app.put('/v1/playlists/:id/images', route('spotify.uploadCover', (req, res) => {
+        const grant = spotifyCaller(req, res, { userOnly: true });
+        if (!grant) return;
+        const playlist = state.playlists.get(req.params.id);
+        if (!playlist) return res.status(404).json(errorBody('spotify', 404, { message: 'Not found.' }));
+        if (!grant.scope.split(' ').includes('ugc-image-upload')) {
+            return res.status(401).json(errorBody('spotify', 401, { message: 'Missing required scope: ugc-image-upload' }));
+        }
+        const image = typeof req.body === 'string' ? req.body : '';
+        if (!image || image.length > 256 * 1024) return res.status(413).json(errorBody('spotify', 413, { message: 'Image too large' }));
+        playlist.images = [{ url: `${baseUrl}/images/uploaded/${playlist.id}.jpg`, height: null, width: null }];
+        res.status(202).end();
+    }));
+
+    // --- YouTube Data API ---
+
+    app.get('/youtube/v3/playlistItems', route('youtube.playlistItems', (req, res) => {
+        if (!youtubeAuthorized(req, res, 'youtube.playlistItems')) return;
+        const playlist = state.youtubePlaylists[req.query.playlistId];
+        if (!playlist) {
+            return res.status(404).json(errorBody('youtube.playlistItems', 404, {
+                message: "The playlist identified with the request's <code>playlistId</code> parameter cannot be found.",
+                reason: 'playlistNotFound'
+            }));
+        }
+        const pageSize = Math.min(Number(req.query.maxResults) || 5, playlist.page_size || 50);
+        const offset = req.query.pageToken ? Number(Buffer.from(String(req.query.pageToken), 'base64url').toString()) : 0;
+        const nextOffset = offset + pageSize;
+        res.json({
+            kind: 'youtube#playlistItemListResponse',
+            items: playlist.items.slice(offset, nextOffset),
+            ...(nextOffset < playlist.items.length ? { nextPageToken: Buffer.from(String(nextOffset)).toString('base64url') } : {}),
+            pageInfo: { totalResults: playlist.items.length, resultsPerPage: pageSize }
+        });
+    }));
+
+    app.get('/youtube/v3/videos', route('youtube.videos', (req, res) => {
+        if (!youtubeAuthorized(req, res, 'youtube.videos')) return;
+        const items = idList(req.query.id).map(id => videosById.get(id)).filter(Boolean);
+        res.json({ kind: 'youtube#videoListResponse', items, pageInfo: { totalResults: items.length, resultsPerPage: items.length } });
+    }));
+
+    app.get('/youtube/v3/playlists', route('youtube.playlists', (req, res) => {
+        if (!youtubeAuthorized(req, res, 'youtube.playlists')) return;
+        const items = idList(req.query.id)
+            .filter(id => state.youtubePlaylists[id])
+            .map(id => ({ kind: 'youtube#playlist', id, snippet: state.youtubePlaylists[id].snippet }));
+        res.json({ kind: 'youtube#playlistListResponse', items, pageInfo: { totalResults: items.length, resultsPerPage: items.length } });
+    }));
+
+    // --- Fixture Images ---
+
+    app.get('/images/:file', route('images', (req, res) => {
+        const file = path.join(fixturesDir, 'images', path.basename(req.params.file));
+        if (!fs.existsSync(file)) return res.status(404).end();
+        res.type(path.extname(file)).send(fs.readFileSync(file));
+    }));
+
+    // --- Control Endpoints (standalone use) ---
+
+    app.post('/__mock/faults', (req, res) => {
+        try {
+            addFault({ ...req.body, times: req.body.times ?? 1 });
+            res.status(201).json({ success: true });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+    app.delete('/__mock/faults', (req, res) => {
+        state.faults = [];
+        res.json({ success: true });
+    });
+    app.post('/__mock/reset', (req, res) => {
+        reset();
+        res.json({ success: true });
+    });
+    app.get('/__mock/calls', (req, res) => res.json({ calls: calls(req.query.route) }));
+    app.get('/__mock/playlists', (req, res) => res.json({ playlists: playlists() }));
+
+    // Calls received so far, optionally only those to one route
+    function calls(routeName = null) {
+        return routeName ? state.calls.filter(call => call.route === routeName) : state.calls.slice();
+    }
+
+    // Playlists created since the last reset, with the URIs added to them
+    function playlists() {
+        return Array.from(state.playlists.values()).map(playlist => ({ ...serializePlaylist(playlist), uris: playlist.uris.slice() }));
+    }
+
+    /**
+     * @param {number} [port=0] 0 picks a free port
+     * @returns {Promise<string>} The mock's base URL
+     */
+    function listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            server = app.listen(port, host);
+            server.once('error', reject);
+            server.once('listening', () => {
+                baseUrl = `http://${host}:${server.address().port}`;
+                resolve(baseUrl);
+            });
+        });
+    }
+
+    function close() {
+        return new Promise(resolve => {
+            if (!server) return resolve();
+            server.close(() => resolve());
+            server.closeAllConnections();
+            server = null;
+        });
+    }
+
+    return {
+        listen,
+        close,
+        reset,
+        addFault,
+        clearFaults: () => { state.faults = []; },
+        expireAppTokens,
+        revokeGrant,
+        addPlaylistItem,
+        calls,
+        playlists,
+        fixtures: { spotify, youtube },
+        get url() { return baseUrl; }
+    };
+}
+
+module.exports = {
+    ROUTES,
+    createMockUpstreams
+};
+
+// Standalone: node test/support/mockUpstreams.js [port]
+if (require.main === module) {
+    const mock = createMockUpstreams();
+    mock.listen(Number(process.argv[2] || process.env.MOCK_UPSTREAMS_PORT || DEFAULT_PORT)).then(url => {
+        console.log(`Mock upstreams listening on ${url}`);
+        console.log(`Start the backend with CONFIG_PROFILE=development MOCK_UPSTREAMS=${url} SPOTIFY_CLIENT_ID=${mock.fixtures.spotify.client.id} ` +
+            `SPOTIFY_CLIENT_SECRET=${mock.fixtures.spotify.client.secret} YOUTUBE_API_KEY=${mock.fixtures.youtube.api_key}`);
+    });
+}
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYoutubeTitle, buildSpotifyQueries } = require('../lib/titleParser');
+const titles = require('./fixtures/youtube-titles.json');
+
+test('parseYoutubeTitle splits the recorded titles into artist, track, featured and version', () => {
+    for (const { title, channel, expected } of titles) {
+        const parsed = parseYoutubeTitle(title, channel);
+        assert.deepEqual({
+            artist: parsed.artist,
+            track: parsed.track,
+            featured: parsed.featured,
+            version: parsed.version,
+            order: parsed.order
+        }, expected, title);
+    }
+});
+
+test('buildSpotifyQueries tries the ISRC first and only the enabled strategies', () => {
+    const parsed = parseYoutubeTitle('Rick Astley - Never Gonna Give You Up (Official Music Video)', 'Rick Astley');
+    const attempts = buildSpotifyQueries(parsed, 'Rick Astley', { isrc: 'GBARL9300135' });
+    assert.deepEqual(attempts[0], { q: 'isrc:GBARL9300135', desc: 'ISRC' });
+    assert.equal(attempts[1].q, 'track:"Never Gonna Give You Up" artist:"Rick Astley"');
+
+    const limited = buildSpotifyQueries(parsed, 'Rick Astley', { isrc: 'GBARL9300135' }, ['precise', 'title']);
+    assert.deepEqual(limited.map(attempt => attempt.desc), ['Precise', 'Title Only']);
+});